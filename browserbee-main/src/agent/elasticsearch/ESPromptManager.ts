@@ -6,6 +6,16 @@
  * Manages specialized prompts for Elasticsearch query generation.
  * Creates context-aware prompts that help the LLM generate accurate ES queries.
  */
+
+/**
+ * A user's annotation of a field: what it means, the words used for it and example values
+ */
+interface FieldAnnotation {
+  description?: string;
+  synonyms?: string[];
+  examples?: string[];
+}
+
 export class ESPromptManager {
   private basePrompt: string;
   private queryExamples: Map<string, string> = new Map();
@@ -20,7 +30,11 @@ export class ESPromptManager {
    * Create a query generation prompt from user input and context
    */
   async createQueryGenerationPrompt(userInput: string, context?: any): Promise<string> {
-    const schemaInfo = context?.schema || '';
+    // The glossary is listed on its own rather than buried in the schema JSON
+    const schemaContext = context?.schema || '';
+    const { glossary, ...schema } = typeof schemaContext === 'object' ? schemaContext : {} as any;
+    const schemaInfo = typeof schemaContext === 'object' ? schema : schemaContext;
+    const glossaryInfo = this.formatGlossary(glossary);
     const queryExamples = this.getRelevantExamples(userInput);
     
     return `${this.basePrompt}
@@ -28,6 +42,7 @@ export class ESPromptManager {
 ## Current Context:
 ${schemaInfo ? `**Index Schema:**
 ${JSON.stringify(schemaInfo, null, 2)}` : ''}
+${glossaryInfo}
 
 **User Request:** ${userInput}
 
@@ -36,7 +51,7 @@ ${queryExamples}
 
 ## Instructions:
 1. Analyze the user's request carefully
-2. Consider the available fields and their types from the schema
+2. Consider the available fields and their types from the schema, mapping the user's terms to fields through the field glossary when there is one
 3. Generate an appropriate Elasticsearch query
 4. Provide a clear explanation of what the query does
 5. Format your response as:
@@ -56,6 +71,30 @@ ${queryExamples}
 Generate the query now:`;
   }
 
+  /**
+   * Describe the user's field glossary, one line per annotated field
+   */
+  private formatGlossary(glossary?: Record<string, FieldAnnotation>): string {
+    const entries = Object.entries(glossary || {});
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const lines = entries.map(([field, annotation]) => {
+      const details = [
+        annotation.description,
+        annotation.synonyms?.length ? `also called ${annotation.synonyms.map(term => `"${term}"`).join(', ')}` : '',
+        annotation.examples?.length ? `e.g. ${annotation.examples.join(', ')}` : ''
+      ].filter(Boolean);
+
+      return `- \`${field}\`: ${details.join('; ')}`;
+    });
+
+    return `**Field Glossary:**
+${lines.join('\n')}
+`;
+  }
+
   /**
    * Create base prompt for Elasticsearch query generation
    */
@@ -0,0 +1,591 @@
+// scripts/mock-es-server.js
+
+/**
+ * Mock Elasticsearch server
+ *
+ * Small stand-in for an Elasticsearch cluster so the extension can be exercised
+ * offline. It answers the endpoints ESHttpClient uses with canned data and can
+ * enforce any of the supported authentication schemes.
+ *
+ * Usage:
+ *   npm run mock:es
+ *
+ * Environment variables:
+ *   MOCK_ES_PORT       Port to listen on (default 9200)
+ *   MOCK_ES_USERNAME   Require basic auth with this username...
+ *   MOCK_ES_PASSWORD   ...and this password
+ *   MOCK_ES_API_KEY    Require "Authorization: ApiKey <value>"
+ *   MOCK_ES_TOKEN      Require "Authorization: Bearer <value>"
+ *   MOCK_ES_VERSION    Version reported by the root endpoint (default 8.13.4, or 2.11.0 for OpenSearch)
+ *   MOCK_ES_DISTRIBUTION  "elasticsearch" (default) or "opensearch"
+ */
+import http from 'node:http';
+
+const port = Number(process.env.MOCK_ES_PORT || 9200);
+
+const auth = {
+  username: process.env.MOCK_ES_USERNAME,
+  password: process.env.MOCK_ES_PASSWORD,
+  apiKey: process.env.MOCK_ES_API_KEY,
+  token: process.env.MOCK_ES_TOKEN
+};
+
+const isOpenSearch = process.env.MOCK_ES_DISTRIBUTION === 'opensearch';
+const versionNumber = process.env.MOCK_ES_VERSION || (isOpenSearch ? '2.11.0' : '8.13.4');
+const majorVersion = parseInt(versionNumber, 10);
+
+const clusterInfo = {
+  name: 'mock-node-1',
+  cluster_name: 'mock-cluster',
+  cluster_uuid: 'mock-cluster-uuid',
+  version: isOpenSearch
+    ? {
+      distribution: 'opensearch',
+      number: versionNumber,
+      build_type: 'tar',
+      lucene_version: '9.7.0',
+      minimum_wire_compatibility_version: '7.10.0',
+      minimum_index_compatibility_version: '7.0.0'
+    }
+    : {
+      number: versionNumber,
+      build_flavor: 'default',
+      build_type: 'docker',
+      lucene_version: '9.10.0',
+      minimum_wire_compatibility_version: '7.17.0',
+      minimum_index_compatibility_version: '7.0.0'
+    },
+  tagline: isOpenSearch ? 'The OpenSearch Project: https://opensearch.org/' : 'You Know, for Search'
+};
+
+const logsMappings = {
+  properties: {
+    '@timestamp': { type: 'date' },
+    message: { type: 'text', fields: { keyword: { type: 'keyword', ignore_above: 256 } } },
+    log: { properties: { level: { type: 'keyword' }, logger: { type: 'keyword' } } },
+    service: { properties: { name: { type: 'keyword' }, version: { type: 'keyword' } } },
+    host: { properties: { name: { type: 'keyword' }, ip: { type: 'ip' } } },
+    http: {
+      properties: {
+        request: { properties: { method: { type: 'keyword' } } },
+        response: { properties: { status_code: { type: 'integer' } } }
+      }
+    },
+    event: {
+      properties: {
+        duration: { type: 'long' },
+        category: { type: 'keyword' },
+        outcome: { type: 'keyword' }
+      }
+    }
+  }
+};
+
+// The newer daily index maps log.logger as text and adds user.name
+const logsMappingsV2 = {
+  properties: {
+    ...logsMappings.properties,
+    log: { properties: { level: { type: 'keyword' }, logger: { type: 'text' } } },
+    user: { properties: { name: { type: 'keyword' } } }
+  }
+};
+
+const indices = {
+  'logs-2024.01.01': {
+    aliases: { logs: {} },
+    mappings: logsMappings,
+    settings: { index: { number_of_shards: '1', number_of_replicas: '0', uuid: 'mock-logs-1' } },
+    documents: [
+      {
+        '@timestamp': '2024-01-01T10:00:00Z',
+        message: 'User login succeeded',
+        log: { level: 'info', logger: 'auth' },
+        service: { name: 'api', version: '1.4.2' },
+        host: { name: 'api-1', ip: '10.2.0.11' },
+        http: { request: { method: 'POST' }, response: { status_code: 200 } },
+        event: { duration: 120000, category: 'authentication', outcome: 'success' }
+      },
+      {
+        '@timestamp': '2024-01-01T10:05:00Z',
+        message: 'Upstream timeout while calling billing',
+        log: { level: 'error', logger: 'billing' },
+        service: { name: 'worker', version: '2.0.1' },
+        host: { name: 'worker-3', ip: '10.2.1.7' },
+        http: { request: { method: 'GET' }, response: { status_code: 504 } },
+        event: { duration: 30000000, category: 'web', outcome: 'failure' }
+      }
+    ]
+  },
+  'logs-2024.01.02': {
+    aliases: { logs: {} },
+    mappings: logsMappingsV2,
+    settings: { index: { number_of_shards: '1', number_of_replicas: '0', uuid: 'mock-logs-2' } },
+    documents: [
+      {
+        '@timestamp': '2024-01-02T08:30:00Z',
+        message: 'Payment declined',
+        log: { level: 'warn', logger: 'payments' },
+        service: { name: 'api', version: '1.4.2' },
+        host: { name: 'api-2', ip: '10.2.0.12' },
+        http: { request: { method: 'POST' }, response: { status_code: 402 } },
+        event: { duration: 450000, category: 'web', outcome: 'failure' },
+        user: { name: 'alice' }
+      }
+    ]
+  }
+};
+
+const metricsMappings = {
+  properties: {
+    '@timestamp': { type: 'date' },
+    host: { properties: { name: { type: 'keyword' } } },
+    system: { properties: { cpu: { properties: { pct: { type: 'float' } } } } }
+  }
+};
+
+indices['.ds-metrics-app-default-2024.01.01-000001'] = {
+  aliases: {},
+  mappings: metricsMappings,
+  settings: { index: { number_of_shards: '1', number_of_replicas: '0', uuid: 'mock-metrics-1', hidden: 'true' } },
+  documents: [
+    { '@timestamp': '2024-01-01T10:00:00Z', host: { name: 'api-1' }, system: { cpu: { pct: 0.42 } } },
+    { '@timestamp': '2024-01-01T10:01:00Z', host: { name: 'api-2' }, system: { cpu: { pct: 0.87 } } }
+  ]
+};
+
+// Data streams and their backing indices
+const dataStreams = {
+  'metrics-app-default': {
+    backing_indices: ['.ds-metrics-app-default-2024.01.01-000001'],
+    timestamp_field: '@timestamp'
+  }
+};
+
+/**
+ * Turn a wildcard expression into a regular expression
+ */
+function toPattern(part) {
+  return new RegExp(`^${part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Convert an index expression (comma separated, wildcards allowed) to matching index names
+ *
+ * Names, aliases and data streams match; hidden (dot-prefixed) indices only
+ * match expressions that start with a dot.
+ */
+function resolveIndices(expression, includeHidden = false) {
+  const parts = !expression || expression === '_all' ? ['*'] : decodeURIComponent(expression).split(',');
+
+  const matches = new Set();
+  for (const part of parts) {
+    const pattern = toPattern(part);
+    for (const [name, index] of Object.entries(indices)) {
+      const visible = includeHidden || !name.startsWith('.') || part.startsWith('.');
+      if ((visible && pattern.test(name)) || Object.keys(index.aliases).some(alias => pattern.test(alias))) {
+        matches.add(name);
+      }
+    }
+    for (const [name, stream] of Object.entries(dataStreams)) {
+      if (pattern.test(name)) {
+        stream.backing_indices.forEach(backing => matches.add(backing));
+      }
+    }
+  }
+  return Array.from(matches);
+}
+
+/**
+ * Approximate store size of an index from its documents
+ */
+function storeSize(name) {
+  return JSON.stringify(indices[name].documents).length * 10;
+}
+
+/**
+ * Flatten a mapping into field path -> type entries
+ */
+function collectFieldTypes(properties, prefix, fields) {
+  for (const [name, mapping] of Object.entries(properties)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    if (mapping.type) {
+      fields[path] = mapping.type;
+    }
+    if (mapping.fields) {
+      for (const [subName, subMapping] of Object.entries(mapping.fields)) {
+        fields[`${path}.${subName}`] = subMapping.type;
+      }
+    }
+    if (mapping.properties) {
+      collectFieldTypes(mapping.properties, path, fields);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build a _field_caps response; like Elasticsearch, types are split per
+ * index only when the indices disagree
+ */
+function collectFieldCaps(names) {
+  const byField = {};
+  for (const name of names) {
+    for (const [path, type] of Object.entries(collectFieldTypes(indices[name].mappings.properties, '', {}))) {
+      byField[path] = byField[path] || {};
+      byField[path][type] = byField[path][type] || [];
+      byField[path][type].push(name);
+    }
+  }
+
+  const fields = {};
+  for (const [path, types] of Object.entries(byField)) {
+    const conflicting = Object.keys(types).length > 1;
+    fields[path] = Object.fromEntries(Object.entries(types).map(([type, typeIndices]) => [type, {
+      type,
+      searchable: true,
+      aggregatable: type !== 'text',
+      ...(conflicting ? { indices: typeIndices } : {})
+    }]));
+  }
+  return fields;
+}
+
+/**
+ * Flatten a document into dotted field names
+ */
+function flattenDocument(doc, prefix = '', row = {}) {
+  for (const [key, value] of Object.entries(doc)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenDocument(value, path, row);
+    } else {
+      row[path] = value;
+    }
+  }
+  return row;
+}
+
+/**
+ * Read a field from a flattened document; multi-fields fall back to their parent
+ */
+function fieldValue(row, field) {
+  if (row[field] !== undefined) return row[field];
+  const parent = field.replace(/\.[^.]+$/, '');
+  return parent !== field ? row[parent] : undefined;
+}
+
+/**
+ * Compute the aggregations used by schema profiling over flattened documents;
+ * other aggregation types answer with empty buckets
+ */
+function runAggregations(aggs, rows) {
+  const result = {};
+  for (const [name, definition] of Object.entries(aggs || {})) {
+    const [type] = Object.keys(definition);
+    const params = definition[type] || {};
+    const values = params.field
+      ? rows.map(row => fieldValue(row, params.field)).filter(value => value !== undefined && value !== null)
+      : [];
+
+    switch (type) {
+      case 'sampler': {
+        const sample = rows.slice(0, params.shard_size || 100);
+        result[name] = { doc_count: sample.length, ...runAggregations(definition.aggs || definition.aggregations, sample) };
+        break;
+      }
+      case 'terms': {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        result[name] = {
+          buckets: Array.from(counts, ([key, count]) => ({ key, doc_count: count }))
+            .sort((a, b) => b.doc_count - a.doc_count)
+            .slice(0, params.size || 10)
+        };
+        break;
+      }
+      case 'cardinality':
+        result[name] = { value: new Set(values).size };
+        break;
+      case 'missing':
+        result[name] = { doc_count: rows.length - values.length };
+        break;
+      case 'min':
+      case 'max': {
+        if (values.length === 0) {
+          result[name] = { value: null };
+          break;
+        }
+        const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        const value = type === 'min' ? sorted[0] : sorted[sorted.length - 1];
+        result[name] = typeof value === 'string'
+          ? { value: Date.parse(value), value_as_string: value }
+          : { value };
+        break;
+      }
+      default:
+        result[name] = { buckets: [] };
+    }
+  }
+  return result;
+}
+
+/**
+ * Answer a SQL ("... FROM <index>") or PPL ("source=<index> | ...") query with every document of the index
+ */
+function runTabularQuery(query, isPpl) {
+  const match = isPpl ? query.match(/source\s*=\s*([\w.*-]+)/i) : query.match(/\bfrom\s+["`]?([\w.*-]+)/i);
+  const names = match ? resolveIndices(match[1]) : [];
+  const docs = names.flatMap(name => indices[name].documents.map(doc => flattenDocument(doc)));
+  const columnNames = Array.from(new Set(docs.flatMap(doc => Object.keys(doc))));
+  const rows = docs.map(doc => columnNames.map(column => doc[column] ?? null));
+
+  if (isOpenSearch) {
+    return {
+      schema: columnNames.map(name => ({ name, type: 'keyword' })),
+      datarows: rows,
+      total: rows.length,
+      size: rows.length,
+      status: 200
+    };
+  }
+
+  return {
+    columns: columnNames.map(name => ({ name, type: 'keyword' })),
+    rows
+  };
+}
+
+/**
+ * Check the Authorization header against the configured credentials
+ */
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+
+  if (auth.username || auth.password) {
+    const expected = Buffer.from(`${auth.username || ''}:${auth.password || ''}`).toString('base64');
+    return header === `Basic ${expected}`;
+  }
+  if (auth.apiKey) {
+    return header === `ApiKey ${auth.apiKey}`;
+  }
+  if (auth.token) {
+    return header === `Bearer ${auth.token}`;
+  }
+  return true;
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, HEAD, OPTIONS'
+  });
+  res.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+function sendError(res, status, type, reason) {
+  send(res, status, { error: { root_cause: [{ type, reason }], type, reason }, status });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  if (!isAuthorized(req)) {
+    return sendError(res, 401, 'security_exception', 'missing authentication credentials for REST request');
+  }
+
+  // Root endpoint
+  if (segments.length === 0) {
+    return req.method === 'HEAD' ? send(res, 200) : send(res, 200, clusterInfo);
+  }
+
+  // Cluster health
+  if (segments[0] === '_cluster' && segments[1] === 'health') {
+    return send(res, 200, {
+      cluster_name: clusterInfo.cluster_name,
+      status: 'green',
+      timed_out: false,
+      number_of_nodes: 1,
+      number_of_data_nodes: 1,
+      active_primary_shards: Object.keys(indices).length,
+      active_shards: Object.keys(indices).length,
+      unassigned_shards: 0
+    });
+  }
+
+  // Index listing
+  if (segments[0] === '_cat' && segments[1] === 'indices') {
+    const expandWildcards = url.searchParams.get('expand_wildcards') || '';
+    const names = resolveIndices(segments[2] || '*', /all|hidden/.test(expandWildcards));
+    return send(res, 200, names.map(name => ({
+      health: 'green',
+      status: 'open',
+      index: name,
+      uuid: indices[name].settings.index.uuid,
+      pri: '1',
+      rep: '0',
+      'docs.count': String(indices[name].documents.length),
+      'docs.deleted': '0',
+      'store.size': String(storeSize(name)),
+      'pri.store.size': String(storeSize(name))
+    })));
+  }
+
+  // Alias listing
+  if (segments[0] === '_cat' && segments[1] === 'aliases') {
+    const pattern = toPattern(decodeURIComponent(segments[2] || '*'));
+    const rows = [];
+    for (const [name, index] of Object.entries(indices)) {
+      for (const alias of Object.keys(index.aliases)) {
+        if (pattern.test(alias)) {
+          rows.push({ alias, index: name, filter: '-', 'routing.index': '-', 'routing.search': '-', is_write_index: '-' });
+        }
+      }
+    }
+    return send(res, 200, rows);
+  }
+
+  // Resolve index (names, aliases and data streams matching an expression)
+  if (segments[0] === '_resolve' && segments[1] === 'index') {
+    const parts = decodeURIComponent(segments[2] || '*').split(',').map(toPattern);
+    const matches = name => parts.some(pattern => pattern.test(name));
+    const aliasIndices = {};
+    for (const [name, index] of Object.entries(indices)) {
+      for (const alias of Object.keys(index.aliases)) {
+        (aliasIndices[alias] = aliasIndices[alias] || []).push(name);
+      }
+    }
+
+    return send(res, 200, {
+      indices: Object.keys(indices)
+        .filter(name => matches(name) && !name.startsWith('.'))
+        .map(name => ({ name, aliases: Object.keys(indices[name].aliases), attributes: ['open'] })),
+      aliases: Object.keys(aliasIndices)
+        .filter(matches)
+        .map(name => ({ name, indices: aliasIndices[name] })),
+      data_streams: Object.keys(dataStreams)
+        .filter(matches)
+        .map(name => ({
+          name,
+          backing_indices: dataStreams[name].backing_indices,
+          timestamp_field: dataStreams[name].timestamp_field
+        }))
+    });
+  }
+
+  // SQL (Elasticsearch /_sql, OpenSearch /_plugins/_sql) and PPL (OpenSearch /_plugins/_ppl)
+  const isSql = isOpenSearch ? segments[0] === '_plugins' && segments[1] === '_sql' : segments[0] === '_sql';
+  const isPpl = isOpenSearch && segments[0] === '_plugins' && segments[1] === '_ppl';
+  if (isSql || isPpl) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendError(res, 400, 'parsing_exception', 'request body is not valid JSON');
+    }
+    return send(res, 200, runTabularQuery(body.query || '', isPpl));
+  }
+
+  const matched = resolveIndices(segments[0]);
+  const action = segments[1];
+
+  if (matched.length === 0 && !segments[0].includes('*')) {
+    return sendError(res, 404, 'index_not_found_exception', `no such index [${segments[0]}]`);
+  }
+
+  // Index metadata
+  if (!action && req.method === 'GET') {
+    if (majorVersion >= 8 && url.searchParams.has('include_type_name')) {
+      return sendError(res, 400, 'illegal_argument_exception', 'request [/' + segments[0] + '] contains unrecognized parameter: [include_type_name]');
+    }
+
+    const response = {};
+    for (const name of matched) {
+      const { aliases, mappings, settings } = indices[name];
+      response[name] = { aliases, mappings, settings };
+    }
+    return send(res, 200, response);
+  }
+
+  // Mappings
+  if (action === '_mapping' && req.method === 'GET') {
+    const response = {};
+    for (const name of matched) {
+      response[name] = { mappings: indices[name].mappings };
+    }
+    return send(res, 200, response);
+  }
+
+  // Field capabilities
+  if (action === '_field_caps') {
+    return send(res, 200, { indices: matched, fields: collectFieldCaps(matched) });
+  }
+
+  // Search
+  if (action === '_search') {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      return sendError(res, 400, 'parsing_exception', 'request body is not valid JSON');
+    }
+
+    const hits = matched.flatMap(name =>
+      indices[name].documents.map((source, idx) => ({
+        _index: name,
+        _id: `${name}-${idx}`,
+        _score: 1.0,
+        _source: source
+      }))
+    );
+    const size = body.size !== undefined ? body.size : 10;
+
+    const aggregations = runAggregations(body.aggs || body.aggregations, hits.map(hit => flattenDocument(hit._source)));
+
+    return send(res, 200, {
+      took: 1,
+      timed_out: false,
+      _shards: { total: matched.length, successful: matched.length, skipped: 0, failed: 0 },
+      hits: {
+        total: { value: hits.length, relation: 'eq' },
+        max_score: hits.length > 0 ? 1.0 : null,
+        hits: hits.slice(0, size)
+      },
+      ...(Object.keys(aggregations).length > 0 && { aggregations })
+    });
+  }
+
+  return sendError(res, 400, 'illegal_argument_exception', `unsupported request [${req.method} ${url.pathname}]`);
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch(error => {
+      console.error('Mock Elasticsearch error:', error);
+      sendError(res, 500, 'exception', error.message);
+    });
+  })
+  .listen(port, () => {
+    console.log(`Mock Elasticsearch listening on http://localhost:${port}`);
+  });
@@ -1,16 +1,45 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import ElasticsearchSidePanel from './components/ElasticsearchSidePanel';
+import { esClusterManager } from './services/ESClusterManager';
+import { useClusterManager } from './hooks/useClusterManager';
 
 function App() {
-  const [activeCluster, setActiveCluster] = useState(null);
+  const { clusters, activeCluster, health } = useClusterManager();
   const [showSettings, setShowSettings] = useState(false);
-  const [isConnected, setIsConnected] = useState(false);
+
+  const activeClusterConfig = clusters.find(cluster => cluster.id === activeCluster) || null;
+  const activeHealth = activeCluster ? health[activeCluster] : null;
+  const activeStatus = esClusterManager.getHealthStatus(activeHealth);
+  
+  // Until the first health check completes, a selected cluster counts as connected
+  const isConnected = Boolean(activeClusterConfig) && !activeClusterConfig.secretsLocked &&
+    activeStatus !== 'unreachable';
+
+  // Keep cluster health current in the background
+  useEffect(() => {
+    esClusterManager.startHealthMonitoring().catch(error => {
+      console.error('Error starting health monitoring:', error);
+    });
+    
+    return () => esClusterManager.stopHealthMonitoring();
+  }, []);
+  
+  // Colour of the header dot for the active cluster's health
+  const statusDotClass = {
+    green: 'bg-green-400',
+    yellow: 'bg-yellow-300',
+    red: 'bg-red-400',
+    unreachable: 'bg-red-400'
+  }[activeStatus] || (isConnected ? 'bg-green-400' : 'bg-red-400');
 
   // Handle connection to Elasticsearch cluster
-  const handleClusterConnect = (clusterId) => {
-    setActiveCluster(clusterId);
-    setIsConnected(true);
-    setShowSettings(false);
+  const handleClusterConnect = async (clusterId) => {
+    try {
+      await esClusterManager.setActiveCluster(clusterId);
+      setShowSettings(false);
+    } catch (error) {
+      console.error('Error selecting cluster:', error);
+    }
   };
 
   // Show settings modal when no active cluster or when settings button is clicked
@@ -30,10 +59,19 @@ function App() {
             Settings
           </button>
         </div>
-        {activeCluster && (
+        {activeClusterConfig && (
           <div className="text-sm mt-1 flex items-center">
-            <span className={`inline-block w-2 h-2 rounded-full mr-2 ${isConnected ? 'bg-green-400' : 'bg-red-400'}`}></span>
-            <span>{isConnected ? 'Connected to: ' : 'Disconnected: '}{activeCluster}</span>
+            <span
+              className={`inline-block w-2 h-2 rounded-full mr-2 ${statusDotClass}`}
+              title={activeStatus ? `Cluster status: ${activeStatus}` : undefined}
+            ></span>
+            <span>{isConnected ? 'Connected to: ' : 'Disconnected: '}{activeClusterConfig.name}</span>
+            {activeClusterConfig.readOnly && (
+              <span className="ml-2 px-1.5 rounded bg-blue-800 text-xs text-blue-100">Read-only</span>
+            )}
+            {activeHealth?.latency !== undefined && activeHealth?.latency !== null && isConnected && (
+              <span className="ml-2 text-blue-200">{activeHealth.latency} ms</span>
+            )}
           </div>
         )}
       </header>
@@ -1,6 +1,7 @@
 // src/agent/BrowserBeeIntegration.js
 
 import { ElasticsearchAgentCore } from '../../browserbee-main/src/agent/elasticsearch/ElasticsearchAgentCore';
+import { esClusterManager } from '../services/ESClusterManager';
 
 /**
  * Integration layer between the main Elasticsearch Query Helper and BrowserBee
@@ -80,6 +81,9 @@ class BrowserBeeIntegration {
 
   /**
    * Execute query using BrowserBee's agent system
+   * 
+   * Requests that a read-only cluster does not allow are refused here, before
+   * they reach the agent; the result then carries code "read_only".
    */
   async executeQuery(query, clusterId) {
     if (!this.initialized || !this.elasticsearchAgent) {
@@ -87,6 +91,13 @@ class BrowserBeeIntegration {
     }
 
     try {
+      const cluster = clusterId
+        ? await esClusterManager.getClusterInfo(clusterId)
+        : await esClusterManager.getActiveCluster();
+      if (cluster) {
+        esClusterManager.assertRequestAllowed(cluster.id, query);
+      }
+
       if (clusterId) {
         await this.elasticsearchAgent.setActiveCluster(clusterId);
       }
@@ -100,7 +111,8 @@ class BrowserBeeIntegration {
       console.error('Error executing query with BrowserBee:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code || null
       };
     }
   }
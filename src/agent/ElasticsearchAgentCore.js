@@ -5,9 +5,11 @@ import PerspectiveGenerationTool from './tools/elasticsearch/PerspectiveGenerati
 import QueryBuildingTool from './tools/elasticsearch/QueryBuildingTool';
 import ValidationTool from './tools/elasticsearch/ValidationTool';
 import ConsensusTool from './tools/elasticsearch/ConsensusTool';
-import SchemaManager from '../services/SchemaManager';
-import ESClusterManager from '../services/ESClusterManager';
+import { SchemaManager } from '../services/SchemaManager';
+import { esClusterManager } from '../services/ESClusterManager';
 import { QueryLibraryManager } from '../services/QueryLibraryManager';
+import { isRequestDescriptor, normalizeRequest, classifyRequest, assertRequestAllowed } from '../services/ESRequestGuard';
+import { getDialect } from '../services/ESDialect';
 import browserBeeIntegration from './BrowserBeeIntegration';
 
 /**
@@ -24,11 +26,13 @@ class ElasticsearchAgentCore {
    * @param {Object} config - Configuration for the agent
    * @param {Object} config.llmConfig - Configuration for language model
    * @param {Array} config.clusters - Array of Elasticsearch cluster configurations
+   * @param {ESClusterManager} [config.clusterManager] - Cluster manager (defaults to the shared instance)
+   * @param {SchemaManager} [config.schemaManager] - Schema manager to share with the UI (defaults to a new one)
    */
   constructor(config) {
     this.config = config || {};
-    this.clusterManager = new ESClusterManager();
-    this.schemaManager = new SchemaManager();
+    this.clusterManager = this.config.clusterManager || esClusterManager;
+    this.schemaManager = this.config.schemaManager || new SchemaManager({ clusterManager: this.clusterManager });
     this.queryLibraryManager = new QueryLibraryManager();
     
     // Initialize tools
@@ -42,7 +46,7 @@ class ElasticsearchAgentCore {
     
     this.activeCluster = null;
     this.lastGeneratedQueries = [];
-    this.useBrowserBee = config.useBrowserBee !== false; // Default to true
+    this.useBrowserBee = this.config.useBrowserBee !== false; // Default to true
     
     // Initialize BrowserBee integration if available
     this.initializeBrowserBee();
@@ -80,24 +84,45 @@ class ElasticsearchAgentCore {
       throw new Error(`Cluster with ID ${clusterId} not found`);
     }
     
+    // Selection goes through the cluster manager so the UI follows along
+    await this.clusterManager.setActiveCluster(clusterId);
     this.activeCluster = clusterConfig;
     return clusterConfig;
   }
   
+  /**
+   * Pick up the cluster currently selected in the cluster manager
+   * 
+   * @returns {Promise<Object|null>} - The active cluster configuration
+   */
+  async syncActiveCluster() {
+    this.activeCluster = await this.clusterManager.getActiveCluster();
+    return this.activeCluster;
+  }
+  
   /**
    * Generate Elasticsearch query from natural language input
    * 
    * @param {string} userInput - Natural language query description
    * @param {string} clusterId - ID of the cluster to query against (optional)
+   * @param {Object} [options] - Generation options
+   * @param {AbortSignal} [options.signal] - Cancels schema discovery and generation
+   * @param {Object} [options.clarifications] - Answers to earlier clarification questions (word to field path)
+   * @param {Object} [options.knn] - Query vector for a k-NN search ({ vector, field, k }); the field
+   *   defaults to the first vector field of the schema
    * @returns {Promise<Array>} - Array of query options with explanations
+   * @throws {Error} - With code "ambiguous" and the open questions in `ambiguities` when a
+   *   word could mean several fields; answer them and generate again with `clarifications`
    */
-  async generateQuery(userInput, clusterId = null) {
+  async generateQuery(userInput, clusterId = null, options = {}) {
     console.log(`Generating query for input: "${userInput}"`);
     
     try {
-      // Set cluster if provided
+      // Set cluster if provided, otherwise follow the cluster manager's selection
       if (clusterId) {
         await this.setCluster(clusterId);
+      } else {
+        await this.syncActiveCluster();
       }
       
       // Ensure we have an active cluster
@@ -110,11 +135,14 @@ class ElasticsearchAgentCore {
         console.log('Using BrowserBee agent for query generation');
         
         try {
-          const schema = await this.getSchemaForActiveCluster();
+          const schema = await this.getSchemaForActiveCluster(options);
           const context = {
             schema,
+            indexPattern: this.getIndexPattern(),
             clusterInfo: this.activeCluster,
-            queryExamples: await this.queryLibraryManager.getQueryExamples()
+            queryExamples: await this.queryLibraryManager.getQueryExamples(),
+            clarifications: options.clarifications || {},
+            knn: options.knn || null
           };
           
           const browserBeeResult = await browserBeeIntegration.generateQuery(
@@ -132,16 +160,19 @@ class ElasticsearchAgentCore {
           
           console.warn('BrowserBee failed, falling back to local tools');
         } catch (error) {
+          if (options.signal?.aborted) throw error;
           console.warn('BrowserBee error, falling back to local tools:', error);
         }
       }
       
       // Fallback to local tool chain
       console.log('Using local tool chain for query generation');
-      return await this.generateQueryWithLocalTools(userInput, clusterId);
+      return await this.generateQueryWithLocalTools(userInput, clusterId, options);
       
     } catch (error) {
-      console.error('Error generating query:', error);
+      if (error.code !== 'ambiguous') {
+        console.error('Error generating query:', error);
+      }
       throw error;
     }
   }
@@ -149,9 +180,9 @@ class ElasticsearchAgentCore {
   /**
    * Generate query using local tools (fallback method)
    */
-  async generateQueryWithLocalTools(userInput, clusterId = null) {
+  async generateQueryWithLocalTools(userInput, clusterId = null, options = {}) {
     // 1. Get schema information
-    const schema = await this.getSchemaForActiveCluster();
+    const schema = await this.getSchemaForActiveCluster(options);
     
     // 2. Get query examples from library
     const queryExamples = await this.queryLibraryManager.getQueryExamples();
@@ -160,8 +191,11 @@ class ElasticsearchAgentCore {
     const context = {
       userInput,
       schema,
+      indexPattern: this.getIndexPattern(),
       queryExamples,
-      clusterInfo: this.activeCluster
+      clusterInfo: this.activeCluster,
+      clarifications: options.clarifications || {},
+      knn: options.knn || null
     };
     
     // 3. Parse intent using the intent parsing tool
@@ -170,6 +204,7 @@ class ElasticsearchAgentCore {
       context
     });
     console.log('Intent parsed:', intent);
+    this.throwIfAmbiguous(intent);
     
     // 4. Generate query perspectives
     const perspectives = await this.tools.perspectiveGeneration.execute({
@@ -181,6 +216,8 @@ class ElasticsearchAgentCore {
     // 5. Build queries based on each perspective
     const queries = [];
     for (const perspective of perspectives) {
+      this.throwIfAborted(options.signal);
+      
       const query = await this.tools.queryBuilding.execute({
         intent,
         perspective,
@@ -194,20 +231,36 @@ class ElasticsearchAgentCore {
       });
       
       queries.push({
-        id: `query_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        id: `query_${Date.now()}_${queries.length}`,
         query: query.query,
         explanation: query.explanation,
         perspective,
-        validation
+        // Only critical issues stop a query from running; the rest are advice
+        validation: {
+          ...validation,
+          errors: validation.issues
+            .filter(issue => issue.severity === 'critical')
+            .map(issue => issue.message),
+          warnings: [
+            ...validation.issues.filter(issue => issue.severity !== 'critical'),
+            ...validation.suggestions
+          ].map(item => item.message)
+        }
       });
     }
     console.log('Generated queries:', queries);
     
     // 7. Rank and provide consensus
-    const rankedQueries = await this.tools.consensus.execute({
-      queries,
-      context
+    const consensus = await this.tools.consensus.execute({
+      queryOptions: queries,
+      intent,
+      schema
     });
+    const rankedQueries = consensus.evaluatedOptions.map(option => ({
+      ...option.originalQuery,
+      rankingScore: option.overallScore,
+      recommendations: option.weaknesses
+    }));
     
     // Store the result
     this.lastGeneratedQueries = rankedQueries;
@@ -215,34 +268,77 @@ class ElasticsearchAgentCore {
     return rankedQueries;
   }
   
+  /**
+   * Get the index pattern, alias or data stream selected for the active cluster
+   * 
+   * @returns {string} - The selected target
+   * @throws {Error} - If no target has been selected; queries never default to "*"
+   */
+  getIndexPattern() {
+    const indexPattern = this.activeCluster?.indexPattern;
+    if (!indexPattern) {
+      throw new Error(`No index pattern selected for cluster "${this.activeCluster?.name}". Choose an index, alias or data stream first.`);
+    }
+    return indexPattern;
+  }
+  
+  /**
+   * Stop the pipeline to ask which field a word means before guessing one
+   */
+  throwIfAmbiguous(intent) {
+    if (intent.ambiguities?.length > 0) {
+      const error = new Error(`"${intent.ambiguities[0].term}" could mean several fields`);
+      error.code = 'ambiguous';
+      error.ambiguities = intent.ambiguities;
+      throw error;
+    }
+  }
+  
+  /**
+   * Stop the pipeline when the user has cancelled it
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Query generation was cancelled');
+      error.code = 'aborted';
+      throw error;
+    }
+  }
+  
   /**
    * Get schema information for the active cluster
    * 
+   * @param {Object} [options] - Request options ({ signal })
    * @returns {Promise<Object>} - The schema information
    */
-  async getSchemaForActiveCluster() {
+  async getSchemaForActiveCluster(options = {}) {
     if (!this.activeCluster) {
       throw new Error('No active cluster configured');
     }
     
-    try {
-      // For demo, we can use a mock index pattern
-      const indexPattern = 'logs-*';
-      return await this.schemaManager.getSchema(this.activeCluster.id, indexPattern);
-    } catch (error) {
-      console.warn('Failed to get schema, using default:', error);
-      return this.schemaManager.getMockDefaultSchema();
-    }
+    // Discovery errors surface here; sample schemas are only served in demo mode
+    return this.schemaManager.getSchema(this.activeCluster.id, this.getIndexPattern(), options);
   }
   
   /**
    * Execute a query against the active cluster
    * 
-   * @param {Object} query - The Elasticsearch query to execute
+   * Read-only clusters only run search-family requests; anything else is
+   * refused with a ReadOnlyViolationError before it reaches the cluster.
+   * 
+   * Requests to the engine's SQL or PPL endpoint go through the client's
+   * sql/ppl helpers, so both engines answer with { columns, rows, total }.
+   * 
+   * @param {Object} query - Search body, or a { method, path, body } request
    * @param {Object} options - Query execution options
+   * @param {string} [options.index] - Index to search (defaults to the cluster's selected target)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Overrides the cluster's request timeout (ms)
    * @returns {Promise<Object>} - Query results
    */
   async executeQuery(query, options = {}) {
+    await this.syncActiveCluster();
+    
     if (!this.activeCluster) {
       throw new Error('No active cluster configured');
     }
@@ -251,11 +347,36 @@ class ElasticsearchAgentCore {
       // Get client for the active cluster
       const client = await this.clusterManager.getClient(this.activeCluster.id);
       
+      // Raw requests name their own path; search bodies go to the selected target
+      const index = isRequestDescriptor(query) ? null : (options.index || this.getIndexPattern());
+      const request = normalizeRequest(query, index);
+      assertRequestAllowed(this.activeCluster, request);
+      
+      if (isRequestDescriptor(query)) {
+        const dialect = getDialect(this.activeCluster);
+        if (request.path === dialect.sqlEndpoint) {
+          return await client.sql.query(request.body || {}, { signal: options.signal, requestTimeout: options.timeout });
+        }
+        if (request.path === dialect.pplEndpoint) {
+          return await client.ppl.query(request.body || {}, { signal: options.signal, requestTimeout: options.timeout });
+        }
+        
+        return await client.request(request.method, request.path, {
+          querystring: request.querystring,
+          body: request.body,
+          signal: options.signal,
+          requestTimeout: options.timeout,
+          idempotent: classifyRequest(request).searchFamily
+        });
+      }
+      
       // Execute query
-      const index = options.index || '*';
       const result = await client.search({
         index,
         body: query
+      }, {
+        signal: options.signal,
+        requestTimeout: options.timeout
       });
       
       return result;
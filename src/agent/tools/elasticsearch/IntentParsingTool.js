@@ -1,5 +1,55 @@
 // src/agent/tools/elasticsearch/IntentParsingTool.js
 
+import { findFieldCandidates, findFieldsByValue, findGlossaryField, getSchemaField } from '../../../services/SchemaFields';
+import { matchECSPhrases } from '../../../services/ECSVocabulary';
+import {
+  bareValue,
+  factorSharedFilters,
+  flattenFilterTree,
+  isFilterGroup,
+  mapFilterTree,
+  mergeValueLists,
+  parseFilterExpression
+} from '../../../services/FilterGrammar';
+import { getLocalTimeZone, parseTimeExpression, resolveTimeZone } from '../../../services/TimeExpressions';
+import { findLiteralField, recognizeLiterals } from '../../../services/LiteralRecognizers';
+
+// IPv4 and IPv6 addresses, alone or as CIDR blocks
+const IP_ADDRESS = '(?:(?:\\d{1,3}\\.){3}\\d{1,3}|(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4})';
+const CIDR = `${IP_ADDRESS}\\/\\d{1,3}`;
+
+// One value of a list: a quoted phrase or a single word
+const LIST_ITEM = `(?:"[^"]*"|'[^']*'|[^\\s,()"']+)`;
+
+/**
+ * Build the pattern of a value list after a field
+ * 
+ * @param {string} introducer - Pattern of the words between field and list
+ * @param {string} separators - Pattern of the words that may join items besides commas
+ */
+const listPattern = (introducer, separators) => new RegExp(
+  `\\b([\\w.]+)\\s*${introducer}\\s*\\(?\\s*(${LIST_ITEM}(?:\\s*,\\s*(?:(?:${separators})\\s+)?${LIST_ITEM}|\\s+(?:${separators})\\s+${LIST_ITEM})+)`,
+  'i'
+);
+
+// "country in DE, FR and NL", "status is one of 500, 502"
+const MEMBERSHIP_LIST_PATTERN = listPattern('\\s(?:(?:is|are)\\s+)?(?:in|among|(?:one|any)\\s+of)\\s', 'or|and');
+
+// "status is 500, 502 or 503"; "and" here joins conditions, not values
+const EQUALITY_LIST_PATTERN = listPattern('(?:\\s(?:is|are|was|were|equals)\\s|==?)', 'or');
+
+// Words of the question itself, never field values ("show us the errors" is not country:US)
+const COMMON_WORDS = new Set([
+  'a', 'an', 'the', 'i', 'me', 'my', 'we', 'us', 'our', 'you', 'your', 'it', 'its', 'they', 'them',
+  'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'has', 'have', 'had', 'can', 'will',
+  'to', 'of', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'without', 'into', 'over', 'per', 'as',
+  'and', 'or', 'not', 'no', 'but', 'all', 'any', 'some', 'each', 'every', 'only', 'just', 'more', 'most',
+  'show', 'find', 'get', 'list', 'give', 'search', 'count', 'return', 'display', 'see', 'look',
+  'what', 'which', 'who', 'how', 'where', 'when', 'why', 'this', 'that', 'these', 'those', 'there',
+  'up', 'out', 'new', 'now', 'so', 'if', 'than', 'then', 'also', 'please', 'yes', 'ok',
+  'logs', 'log', 'events', 'documents', 'docs', 'records', 'results', 'entries', 'data'
+]);
+
 /**
  * IntentParsingTool
  * 
@@ -17,7 +67,8 @@ class IntentParsingTool {
    * 
    * @param {Object} params - The parameters for intent parsing
    * @param {string} params.text - The natural language user input to parse
-   * @param {Object} params.context - Context information including schema
+   * @param {Object} params.context - Context information including schema and the
+   *   clarifications the user has answered (word to field path)
    * @returns {Promise<Object>} - The parsed intent structure
    */
   async execute(params) {
@@ -31,12 +82,14 @@ class IntentParsingTool {
       // Extract the core intent components from text
       const queryType = this.determineQueryType(text);
       const entities = this.extractEntities(text, context);
-      const filters = this.extractFilters(text, context);
+      const filterTree = this.extractFilterTree(text, context);
+      const filters = flattenFilterTree(filterTree);
       const timeframe = this.extractTimeframe(text);
       const fields = this.extractFields(text, context);
       const aggregations = this.extractAggregations(text, context);
-      const sorting = this.extractSorting(text);
+      const sorting = this.extractSorting(text, context);
       const limit = this.extractLimit(text);
+      const knn = this.extractKnn(context);
       
       // Assemble the parsed intent
       const parsedIntent = {
@@ -44,13 +97,16 @@ class IntentParsingTool {
         originalText: text,
         entities,
         filters,
+        filterTree,
         timeframe,
         fields,
         aggregations,
         sorting,
         limit,
+        knn,
         confidence: 0.85, // Placeholder - in a real implementation this would be calculated
       };
+      parsedIntent.ambiguities = this.collectAmbiguities(parsedIntent);
 
       // Post-processing to refine intent based on rules
       return this.refineIntent(parsedIntent, context);
@@ -61,6 +117,22 @@ class IntentParsingTool {
     }
   }
   
+  /**
+   * Turn the query vector passed in the context into a k-NN search
+   * 
+   * The vector comes from the caller's embedding model ({ vector, field, k });
+   * without a field the first vector field of the schema is searched.
+   * 
+   * @returns {Object|null} - { vector, field, k, numCandidates } or null
+   */
+  extractKnn(context) {
+    const knn = context.knn;
+    if (!knn || !Array.isArray(knn.vector) || knn.vector.length === 0) return null;
+    
+    const field = knn.field || context.schema?.analysis?.vectorFields?.[0];
+    return field ? { ...knn, field } : null;
+  }
+  
   /**
    * Determine the high-level query type from user input
    */
@@ -163,10 +235,113 @@ class IntentParsingTool {
       }
     }
     
+    // ECS schemas give phrases like "failed logins" a precise meaning
+    for (const match of matchECSPhrases(text, context.schema)) {
+      entities.push({
+        type: match.entity,
+        confidence: 0.85,
+        source: 'ecs'
+      });
+    }
+    
+    // Literal values such as IP addresses, emails and status codes
+    for (const literal of recognizeLiterals(text, context.schema)) {
+      entities.push({
+        type: literal.kind,
+        value: literal.value,
+        confidence: 0.9,
+        source: 'literal'
+      });
+    }
+    
     // Remove duplicate entities
     return [...new Map(entities.map(item => [item.type, item])).values()];
   }
   
+  /**
+   * Extract the filter conditions as a tree of AND, OR and NOT groups
+   * 
+   * "errors from api or worker but not from staging" is split into phrases by
+   * FilterGrammar and each phrase is read with extractFilters. A bare value
+   * in an OR or NOT ("or worker", "but not staging") takes the field of the
+   * equality filter before it when nothing else matches.
+   * 
+   * @returns {Object|null} - Filter tree; leaves are filter objects
+   */
+  extractFilterTree(text, context) {
+    const expression = parseFilterExpression(text);
+    
+    // A single phrase reads exactly as before
+    if (!isFilterGroup(expression)) {
+      const filters = this.extractFilters(text, context);
+      return filters.length > 1 ? { bool: 'and', children: filters } : filters[0] || null;
+    }
+    
+    let lastEquality = null;
+    const tree = mapFilterTree(expression, ({ phrase }, parent) => {
+      let filters = this.extractFilters(phrase, context);
+      const value = bareValue(phrase);
+      
+      if (filters.length === 0 && lastEquality && parent !== 'and' && value && value.split(/\s+/).length <= 2) {
+        filters = [{
+          field: lastEquality.field,
+          operator: 'eq',
+          value,
+          confidence: Math.min(lastEquality.confidence, 0.7),
+          source: 'inherited'
+        }];
+      }
+      
+      // An alternative no field fits is still searched for, so the OR never narrows
+      if (filters.length === 0 && parent === 'or' && value) {
+        filters = [{
+          field: '_all',
+          operator: 'contains',
+          value,
+          confidence: 0.5,
+          source: 'full_text'
+        }];
+      }
+      
+      lastEquality = filters.find(filter => filter.operator === 'eq' && filter.field !== '_all') || lastEquality;
+      return filters;
+    });
+    
+    return mergeValueLists(factorSharedFilters(tree));
+  }
+  
+  /**
+   * Resolve a loose word from the question to a schema field
+   * 
+   * A word the user has answered a clarification for uses their choice.
+   * When several fields fit equally well, such as "date" for created_date,
+   * crawled_date and posted_date, the first is used and all of them are
+   * returned as an ambiguity to ask about.
+   * 
+   * @param {string} fieldHint - Word from the question
+   * @param {Object} context - Context with the schema and clarifications (word to field path)
+   * @returns {Object|null} - { name, type, ambiguity }, or null when no field fits
+   */
+  resolveFieldHint(fieldHint, context) {
+    const term = fieldHint.toLowerCase().trim();
+    const chosen = context.clarifications?.[term];
+    if (chosen) {
+      return { name: chosen, type: getSchemaField(context.schema, chosen)?.type, ambiguity: null };
+    }
+    
+    const candidates = findFieldCandidates(context.schema, term);
+    if (candidates.length === 0) return null;
+    
+    const likely = candidates.filter(candidate => candidate.score === candidates[0].score);
+    return {
+      name: likely[0].field,
+      type: likely[0].type,
+      ambiguity: likely.length > 1
+        ? { term, candidates: likely.map(({ field, type }) => ({ field, type })) }
+        : null
+    };
+  }
+  
   /**
    * Extract filter conditions from the query text
    */
@@ -174,8 +349,20 @@ class IntentParsingTool {
     const textLower = text.toLowerCase();
     const filters = [];
     
+    // Guessed fields among several that fit, as { field, ambiguity }
+    const ambiguities = [];
+    
     // Helper function to find a field in schema
     const findSchemaField = (fieldHint) => {
+      // The user's own vocabulary comes first
+      const glossaryField = findGlossaryField(context.schema, fieldHint);
+      if (glossaryField) {
+        return {
+          name: glossaryField,
+          type: getSchemaField(context.schema, glossaryField)?.type
+        };
+      }
+      
       if (!context.schema || !context.schema.mappings || !context.schema.mappings.properties) {
         return null;
       }
@@ -188,46 +375,109 @@ class IntentParsingTool {
         };
       }
       
-      // Try fuzzy match
-      for (const field in context.schema.mappings.properties) {
-        if (
-          field.toLowerCase().includes(fieldHint.toLowerCase()) ||
-          fieldHint.toLowerCase().includes(field.toLowerCase())
-        ) {
-          return {
-            name: field,
-            type: context.schema.mappings.properties[field].type
-          };
-        }
+      // Try fuzzy match, remembering when several fields fit equally well
+      const fieldInfo = this.resolveFieldHint(fieldHint, context);
+      if (fieldInfo?.ambiguity) {
+        ambiguities.push({ field: fieldInfo.name, ambiguity: fieldInfo.ambiguity });
       }
-      
-      return null;
+      return fieldInfo;
     };
     
-    // Extract equality filters
+    // Fields already filtered by a list or IP filter
+    const handledFields = [];
+    const isHandled = (fieldHint) => handledFields.some(hint =>
+      hint === fieldHint.toLowerCase() || hint.endsWith(`.${fieldHint.toLowerCase()}`));
+    
+    // Text spans whose values a list filter already took
+    const consumedSpans = [];
+    const isConsumed = (index) => consumedSpans.some(([start, end]) => index >= start && index < end);
+    
+    // Extract list filters
+    const membershipList = text.match(MEMBERSHIP_LIST_PATTERN);
+    const listMatch = membershipList || text.match(EQUALITY_LIST_PATTERN);
+    if (listMatch) {
+      const [whole, fieldHint, list] = listMatch;
+      const fieldInfo = findSchemaField(fieldHint);
+      const values = Array.from(list.matchAll(new RegExp(LIST_ITEM, 'g')), match => match[0])
+        .filter(item => !/^(or|and)$/i.test(item))
+        .map(item => item.replace(/^["']|["']$/g, ''));
+      
+      // "errors in prod, staging" is not a list of values of an "errors" field,
+      // but "country is one of DE, FR" always lists values of a field
+      const introducer = whole.slice(fieldHint.length, whole.length - list.length);
+      const explicit = /\b(?:is|are|one\s+of|any\s+of)\b/i.test(introducer);
+      const prepositional = membershipList && !explicit && !fieldInfo && context.schema?.mappings;
+      
+      if (values.length > 1 && !prepositional) {
+        filters.push({
+          field: fieldInfo ? fieldInfo.name : fieldHint,
+          operator: 'in',
+          value: Array.from(new Set(values)),
+          confidence: fieldInfo ? 0.85 : 0.6
+        });
+        handledFields.push(fieldHint.toLowerCase());
+        consumedSpans.push([listMatch.index, listMatch.index + whole.length]);
+      }
+    }
+    
+    // Extract IP ranges and CIDR blocks
+    const ipPatterns = [
+      new RegExp(`\\b([\\w.]+)\\s+(?:is\\s+)?(?:between|from)\\s+(${IP_ADDRESS})\\s+(?:and|to|through|-)\\s+(${IP_ADDRESS})(?![\\w:./])`, 'i'),
+      new RegExp(`\\b([\\w.]+)\\s+(?:is\\s+)?(?:in\\s+)?(${IP_ADDRESS})\\s*-\\s*(${IP_ADDRESS})(?![\\w:./])`, 'i'),
+      new RegExp(`\\b([\\w.]+)\\s+(?:is\\s+)?(?:in\\s+)?(?:(?:the\\s+)?(?:subnet|network|range|block)\\s+)?(${CIDR})(?![\\w:./])`, 'i')
+    ];
+    
+    for (const pattern of ipPatterns) {
+      const matches = text.match(pattern);
+      if (!matches || isHandled(matches[1])) continue;
+      
+      const [_, fieldHint, from, to] = matches;
+      let fieldInfo = findSchemaField(fieldHint);
+      
+      // "requests from 10.2.0.0/16" names no field; use the ip field the address fits
+      if (!fieldInfo && context.schema?.fields) {
+        const direction = /^(from|by)$/i.test(fieldHint) ? 'source' : /^to$/i.test(fieldHint) ? 'destination' : null;
+        const literalField = findLiteralField(context.schema, { kind: to ? 'ip' : 'cidr', value: from, direction });
+        if (!literalField) continue;
+        fieldInfo = { name: literalField.field };
+      }
+      
+      const field = fieldInfo ? fieldInfo.name : fieldHint;
+      const confidence = fieldInfo ? 0.85 : 0.6;
+      
+      if (to) {
+        filters.push({ field, operator: 'gte', value: from, confidence });
+        filters.push({ field, operator: 'lte', value: to, confidence });
+      } else {
+        // ip fields match a CIDR block with a term query
+        filters.push({ field, operator: 'eq', value: from, confidence });
+      }
+      handledFields.push(fieldHint.toLowerCase());
+    }
+    
+    // Extract equality filters; each pattern names the groups of its field and value
     const equalityPatterns = [
-      /\b(where|with)\s+(\w+)\s+(is|=|==)\s+['"]?([^'"]+)['"]?/i,
-      /\b(\w+)\s+(is|=|==)\s+['"]?([^'"]+)['"]?/i,
-      /\b(status|state)\s+(['"]?[^'"]+['"]?)/i
+      { pattern: /\b(where|with)\s+(\w+)\s+(is|=|==)\s+['"]?([^'"]+)['"]?/id, field: 2, value: 4 },
+      { pattern: /\b(\w+)\s+(is|=|==)\s+['"]?([^'"]+)['"]?/id, field: 1, value: 3 }
     ];
     
-    for (const pattern of equalityPatterns) {
+    for (const { pattern, field, value: valueGroup } of equalityPatterns) {
       const matches = text.match(pattern);
-      if (matches) {
-        const [_, maybeField1, maybeField2, maybeValue1, maybeValue2] = matches;
-        const fieldHint = maybeField1 || maybeField2;
-        const value = maybeValue2 || maybeValue1;
+      if (!matches) continue;
+      
+      const fieldHint = matches[field];
+      const value = matches[valueGroup];
+      
+      if (fieldHint && value && !isHandled(fieldHint) && !isConsumed(matches.indices[valueGroup][0])) {
+        const fieldInfo = findSchemaField(fieldHint);
         
-        if (fieldHint && value) {
-          const fieldInfo = findSchemaField(fieldHint);
-          
-          filters.push({
-            field: fieldInfo ? fieldInfo.name : fieldHint,
-            operator: 'eq',
-            value: value.replace(/['"]/g, '').trim(),
-            confidence: fieldInfo ? 0.85 : 0.6
-          });
-        }
+        filters.push({
+          field: fieldInfo ? fieldInfo.name : fieldHint,
+          operator: 'eq',
+          value: value.replace(/['"]/g, '').trim(),
+          confidence: fieldInfo ? 0.85 : 0.6
+        });
+        handledFields.push(fieldHint.toLowerCase());
       }
     }
     
@@ -240,7 +490,7 @@ class IntentParsingTool {
     
     for (const pattern of rangePatterns) {
       const matches = text.match(pattern);
-      if (matches) {
+      if (matches && !isHandled(matches[1])) {
         const [_, fieldHint, operator, value1, value2] = matches;
         const fieldInfo = findSchemaField(fieldHint);
         
@@ -309,12 +559,13 @@ class IntentParsingTool {
     const searchTermPatterns = [
       /\s(contains|having|with)\s+['"]([^'"]+)['"]/i,
       /\s(contains|having|with)\s+the\s+\w+\s+['"]([^'"]+)['"]/i,
-      /\bfind\s+['"]([^'"]+)['"]/i
+      /\bfind\s+['"]([^'"]+)['"]/i,
+      /\s(contains|containing)\s+([^\s'"]+)/i
     ];
     
     for (const pattern of searchTermPatterns) {
       const matches = text.match(pattern);
-      if (matches) {
+      if (matches && !filters.some(filter => filter.operator === 'contains')) {
         const searchTerm = matches[matches.length - 1];
         
         // Try to identify the field to search in if specified
@@ -344,15 +595,164 @@ class IntentParsingTool {
       }
     }
     
+    // Map literal values to the fields sampling has seen them in
+    this.extractECSFilters(text, context, filters);
+    this.extractLiteralFilters(text, context, filters);
+    this.extractValueFilters(text, context, filters);
+    
+    // Filters on a guessed field carry the choices to ask about
+    for (const filter of filters) {
+      const guess = ambiguities.find(item => item.field === filter.field);
+      if (guess) filter.ambiguity = guess.ambiguity;
+    }
+    
     return filters;
   }
   
+  /**
+   * Add filters for literal values such as IPs, emails, UUIDs and status codes
+   * 
+   * Each literal is matched to a field by type, name and sampled values, so
+   * "requests from 10.2.0.0/16" filters the ip field without naming it.
+   * Quoted phrases no field has sampled become phrase searches.
+   */
+  extractLiteralFilters(text, context, filters) {
+    const usedValues = new Set(filters.flatMap(filter => [].concat(filter.value)).map(value => String(value).toLowerCase()));
+    
+    for (const literal of recognizeLiterals(text, context.schema)) {
+      if (usedValues.has(String(literal.value).toLowerCase())) continue;
+      
+      const match = findLiteralField(context.schema, literal);
+      const confidence = match && match.score >= 5 ? 0.9 : 0.8;
+      const sameField = match && filters.find(filter => filter.field === match.field && filter.source === 'literal');
+      
+      if (match && literal.kind === 'status_class') {
+        if (filters.some(filter => filter.field === match.field)) continue;
+        filters.push(
+          { field: match.field, operator: 'gte', value: literal.value.gte, confidence, source: 'literal' },
+          { field: match.field, operator: 'lte', value: literal.value.lte, confidence, source: 'literal' }
+        );
+      } else if (sameField && ['eq', 'in'].includes(sameField.operator)) {
+        // Two addresses in one condition are alternatives
+        sameField.operator = 'in';
+        sameField.value = [...[].concat(sameField.value), literal.value];
+      } else if (match) {
+        filters.push({ field: match.field, operator: 'eq', value: literal.value, confidence, source: 'literal' });
+      } else if (literal.kind === 'quoted') {
+        filters.push({ field: '_all', operator: 'phrase', value: literal.value, confidence: 0.7, source: 'literal' });
+      } else {
+        continue;
+      }
+      
+      usedValues.add(String(literal.value).toLowerCase());
+    }
+  }
+  
+  /**
+   * Add the filters ECS phrases stand for
+   * 
+   * Only applies to schemas that follow ECS: "failed logins" becomes
+   * event.category:authentication and event.outcome:failure, and "5xx" a
+   * range on http.response.status_code.
+   */
+  extractECSFilters(text, context, filters) {
+    for (const match of matchECSPhrases(text, context.schema)) {
+      for (const filter of match.filters) {
+        if (filters.some(existing => existing.field === filter.field && existing.operator === filter.operator)) continue;
+        
+        filters.push({
+          ...filter,
+          confidence: 0.9,
+          source: 'ecs'
+        });
+      }
+    }
+  }
+  
+  /**
+   * Add equality filters for words that are known values of a field
+   * 
+   * Uses the value profiles of the schema and the example values of its
+   * glossary, so "errors from prod" becomes filters on the fields holding
+   * "error" and "prod" even though neither field is named. A word must follow
+   * a word naming the field ("env prod") or match the stored value's case
+   * exactly, and common words ("us", "get") only count after the field's name
+   * or in capitals; unnamed fields get a lower confidence. Fields and values
+   * that already have a filter are skipped.
+   */
+  extractValueFilters(text, context, filters) {
+    if (!context.schema?.analysis?.fieldProfiles && !context.schema?.glossary) return;
+    
+    // Counts and durations ("top 10", "last 5 minutes") are not field values
+    const cleaned = text
+      .replace(/\b(top|first|last|past|next|limit)\s+\d+\b/gi, ' ')
+      .replace(/\b\d+\s*(ms|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?|months?|y|years?)\b/gi, ' ');
+    
+    // Quoted phrases first, then single words and numbers
+    const literals = [
+      ...Array.from(cleaned.matchAll(/["']([^"']+)["']/g), match => ({ text: match[1], index: match.index, quoted: true })),
+      ...Array.from(cleaned.matchAll(/[\w.:@/-]+/g), match => ({ text: match[0], index: match.index, quoted: false }))
+    ];
+    
+    const usedFields = new Set(filters.map(filter => filter.field));
+    const usedValues = new Set(filters.flatMap(filter => [].concat(filter.value)).map(value => String(value).toLowerCase()));
+    
+    // A word names a field when it is a segment of its path or a glossary synonym of it
+    const namesField = (word, field) => {
+      const term = word.toLowerCase().replace(/s$/, '');
+      return field.toLowerCase().split(/[._]/).some(segment => segment.replace(/s$/, '') === term) ||
+        findGlossaryField(context.schema, word) === field;
+    };
+    
+    for (const literal of literals) {
+      const word = literal.text;
+      if (word.length < 2 || usedValues.has(word.toLowerCase())) continue;
+      
+      // A common word only counts after its field's name or in capitals ("GET")
+      const common = COMMON_WORDS.has(word.toLowerCase()) && word === word.toLowerCase();
+      
+      const hintWords = cleaned.slice(0, literal.index).split(/[^\w.]+/).filter(Boolean).slice(-3);
+      
+      let match = null;
+      let hinted = false;
+      for (const candidate of findFieldsByValue(context.schema, word)) {
+        if (usedFields.has(candidate.field)) continue;
+        
+        hinted = literal.quoted || hintWords.some(hint => namesField(hint, candidate.field));
+        if (hinted || (!common && String(candidate.value) === word)) {
+          match = candidate;
+          break;
+        }
+      }
+      if (!match) continue;
+      
+      filters.push({
+        field: match.field,
+        operator: 'eq',
+        value: match.value,
+        confidence: hinted ? 0.75 : 0.6,
+        source: match.count > 0 ? 'value_profile' : 'glossary'
+      });
+      usedFields.add(match.field);
+      usedValues.add(word.toLowerCase());
+    }
+  }
+  
   /**
    * Extract timeframe information from the query
+   * 
+   * Calendar expressions ("last Tuesday", "Q3 2024") become a date math range
+   * from TimeExpressions; "last N units", ISO dates and the named periods use
+   * the patterns below. Every timeframe carries the time zone its days are
+   * counted in: the one the question names, or the user's.
    */
   extractTimeframe(text) {
     const textLower = text.toLowerCase();
-    let timeframe = null;
+    const timeZone = resolveTimeZone(text) || getLocalTimeZone();
+    const expression = parseTimeExpression(text, { timeZone });
+    let timeframe = expression?.range
+      ? { type: 'range', range: expression.range, label: expression.label, span: expression.span, field: '@timestamp' }
+      : null;
     
     // Check for specific time ranges
     const timeRangePatterns = [
@@ -405,23 +805,29 @@ class IntentParsingTool {
     ];
     
     for (const pattern of timeRangePatterns) {
-      const matches = textLower.match(pattern.regex);
+      const matches = !timeframe && textLower.match(pattern.regex);
       if (matches) {
         timeframe = pattern.handler(matches);
-        
-        // Check for custom timestamp field
-        const fieldMatch = textLower.match(/using\s+(\w+)\s+as\s+timestamp/i) || 
-                         textLower.match(/timestamp\s+field\s+(\w+)/i) ||
-                         textLower.match(/time\s+field\s+(\w+)/i);
-        
-        if (fieldMatch) {
-          timeframe.field = fieldMatch[1];
-        }
-        
         break;
       }
     }
     
+    // "business hours only" keeps a time of day, within the range if there is one
+    if (expression?.hours) {
+      timeframe = timeframe
+        ? { ...timeframe, hours: expression.hours }
+        : { type: 'time_of_day', hours: expression.hours, field: '@timestamp' };
+    }
+    
+    // Check for custom timestamp field
+    const fieldMatch = textLower.match(/using\s+(\w+)\s+as\s+timestamp/i) || 
+                     textLower.match(/timestamp\s+field\s+(\w+)/i) ||
+                     textLower.match(/time\s+field\s+(\w+)/i);
+    
+    if (timeframe && fieldMatch) {
+      timeframe.field = fieldMatch[1];
+    }
+    
     // If we've detected a time-based query but no specific timeframe,
     // default to last 24 hours
     if (!timeframe && (
@@ -437,6 +843,10 @@ class IntentParsingTool {
       };
     }
     
+    if (timeframe) {
+      timeframe.timeZone = timeZone;
+    }
+    
     return timeframe;
   }
   
@@ -462,31 +872,34 @@ class IntentParsingTool {
           fieldName = fieldName.trim();
           if (!fieldName || fieldName === 'all' || fieldName === '*') continue;
           
-          // Try to match with schema fields if schema is available
-          if (context.schema && context.schema.mappings && context.schema.mappings.properties) {
+          const glossaryField = findGlossaryField(context.schema, fieldName);
+          
+          if (glossaryField) {
+            fields.push({
+              name: glossaryField,
+              confidence: 0.9
+            });
+          } else if (context.schema && context.schema.mappings && context.schema.mappings.properties) {
+            // Try to match with schema fields if schema is available
             let matchedField = null;
             
             // Direct match
             if (context.schema.mappings.properties[fieldName]) {
-              matchedField = fieldName;
+              matchedField = { name: fieldName };
             } else {
               // Fuzzy match
-              for (const schemaField in context.schema.mappings.properties) {
-                if (
-                  schemaField.toLowerCase().includes(fieldName) ||
-                  schemaField.toLowerCase().replace('_', '') === fieldName.replace(' ', '')
-                ) {
-                  matchedField = schemaField;
-                  break;
-                }
-              }
+              matchedField = this.resolveFieldHint(fieldName, context);
             }
             
             if (matchedField) {
-              fields.push({
-                name: matchedField,
+              const field = {
+                name: matchedField.name,
                 confidence: 0.9
-              });
+              };
+              if (matchedField.ambiguity) {
+                field.ambiguity = matchedField.ambiguity;
+              }
+              fields.push(field);
             } else {
               fields.push({
                 name: fieldName,
@@ -584,24 +997,26 @@ class IntentParsingTool {
         const fieldHint = matches[pattern.fieldIndex];
         let field = fieldHint;
         let confidence = 0.7;
+        let ambiguity = null;
+        
+        const glossaryField = findGlossaryField(context.schema, fieldHint);
         
-        // Try to match with schema fields if schema is available
-        if (context.schema && context.schema.mappings && context.schema.mappings.properties) {
+        if (glossaryField) {
+          field = glossaryField;
+          confidence = 0.9;
+        } else if (context.schema && context.schema.mappings && context.schema.mappings.properties) {
+          // Try to match with schema fields if schema is available
           // Direct match
           if (context.schema.mappings.properties[fieldHint]) {
             field = fieldHint;
             confidence = 0.9;
           } else {
             // Fuzzy match
-            for (const schemaField in context.schema.mappings.properties) {
-              if (
-                schemaField.toLowerCase().includes(fieldHint) ||
-                schemaField.toLowerCase().replace('_', '') === fieldHint.replace(' ', '')
-              ) {
-                field = schemaField;
-                confidence = 0.8;
-                break;
-              }
+            const fieldInfo = this.resolveFieldHint(fieldHint, context);
+            if (fieldInfo) {
+              field = fieldInfo.name;
+              confidence = 0.8;
+              ambiguity = fieldInfo.ambiguity;
             }
           }
         }
@@ -612,6 +1027,10 @@ class IntentParsingTool {
           confidence
         };
         
+        if (ambiguity) {
+          agg.ambiguity = ambiguity;
+        }
+        
         // Add size if specified (for terms agg)
         if (pattern.sizeIndex && matches[pattern.sizeIndex]) {
           agg.size = parseInt(matches[pattern.sizeIndex]);
@@ -679,7 +1098,7 @@ class IntentParsingTool {
   /**
    * Extract sorting requirements from the query
    */
-  extractSorting(text) {
+  extractSorting(text, context = {}) {
     const textLower = text.toLowerCase();
     const sorting = [];
     
@@ -707,6 +1126,17 @@ class IntentParsingTool {
         
         if (pattern.fieldIndex) {
           sortSpec.field = matches[pattern.fieldIndex];
+          
+          // A word that is not a field name is matched against the schema
+          if (context.schema && !getSchemaField(context.schema, sortSpec.field)) {
+            const fieldInfo = this.resolveFieldHint(sortSpec.field, context);
+            if (fieldInfo) {
+              sortSpec.field = fieldInfo.name;
+              if (fieldInfo.ambiguity) {
+                sortSpec.ambiguity = fieldInfo.ambiguity;
+              }
+            }
+          }
         }
         
         if (pattern.orderIndex) {
@@ -779,6 +1209,43 @@ class IntentParsingTool {
     return limit;
   }
   
+  /**
+   * Gather the words whose field was guessed among several that fit
+   * 
+   * @returns {Array<Object>} - [{ kind: 'field', term, field, candidates, usedIn }], one per
+   *   word; field is the guess and usedIn lists the parts of the intent using it
+   */
+  collectAmbiguities(parsedIntent) {
+    const ambiguities = [];
+    const parts = {
+      filter: parsedIntent.filters,
+      field: parsedIntent.fields,
+      aggregation: parsedIntent.aggregations,
+      sort: parsedIntent.sorting
+    };
+    
+    for (const [usage, items] of Object.entries(parts)) {
+      for (const item of items) {
+        if (!item.ambiguity) continue;
+        
+        const known = ambiguities.find(ambiguity => ambiguity.term === item.ambiguity.term);
+        if (known) {
+          if (!known.usedIn.includes(usage)) known.usedIn.push(usage);
+        } else {
+          ambiguities.push({
+            kind: 'field',
+            term: item.ambiguity.term,
+            field: item.field || item.name,
+            candidates: item.ambiguity.candidates,
+            usedIn: [usage]
+          });
+        }
+      }
+    }
+    
+    return ambiguities;
+  }
+  
   /**
    * Apply additional refinements to the parsed intent based on rules and context
    */
@@ -828,6 +1295,14 @@ class IntentParsingTool {
       });
     }
     
+    // Date histograms count days in the time zone of the question
+    const timeZone = parsedIntent.timeframe?.timeZone || resolveTimeZone(parsedIntent.originalText) || getLocalTimeZone();
+    for (const aggregation of parsedIntent.aggregations) {
+      if (aggregation.type === 'date_histogram' && !aggregation.timeZone) {
+        aggregation.timeZone = timeZone;
+      }
+    }
+    
     return parsedIntent;
   }
 }
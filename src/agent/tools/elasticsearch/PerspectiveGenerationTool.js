@@ -237,7 +237,7 @@ class PerspectiveGenerationTool {
     const { filters, fields } = intent;
     
     // Identify if this is primarily a text search
-    const isTextSearch = filters.some(f => f.operator === 'contains');
+    const isTextSearch = filters.some(f => f.operator === 'contains' || f.operator === 'phrase');
     if (isTextSearch) {
       perspective.confidence = Math.min(0.95, perspective.confidence + 0.05);
     }
@@ -341,6 +341,12 @@ class PerspectiveGenerationTool {
         perspective.description += ` Analyzing data from the last ${timeframe.value} ${timeframe.unit}(s).`;
       } else if (timeframe.type === 'absolute') {
         perspective.description += ` Analyzing data from ${timeframe.start}${timeframe.end ? ' to ' + timeframe.end : ''}.`;
+      } else if (timeframe.type === 'range') {
+        perspective.description += ` Analyzing data from ${timeframe.label}.`;
+      }
+      
+      if (timeframe.hours) {
+        perspective.description += ` Only ${timeframe.hours.outside ? 'outside' : 'during'} business hours.`;
       }
     } else {
       // Without a timeframe, time series is less confident
@@ -430,6 +436,8 @@ class PerspectiveGenerationTool {
         summary += ` over the last ${timeframe.value} ${timeframe.unit}(s)`;
       } else if (timeframe.type === 'absolute') {
         summary += ` from ${timeframe.start}${timeframe.end ? ' to ' + timeframe.end : ''}`;
+      } else if (timeframe.type === 'range') {
+        summary += ` for ${timeframe.label}`;
       }
     }
     
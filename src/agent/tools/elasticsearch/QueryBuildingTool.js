@@ -1,5 +1,25 @@
 // src/agent/tools/elasticsearch/QueryBuildingTool.js
 
+import { getDialect, buildDateHistogramInterval, getDateHistogramInterval } from '../../../services/ESDialect';
+import {
+  getTypeFamily,
+  getSchemaField,
+  hasTextConflict,
+  findExactField,
+  hasProfiledValue
+} from '../../../services/SchemaFields';
+import { hasBooleanLogic, isFilterGroup, parseFilterExpression, flattenFilterTree } from '../../../services/FilterGrammar';
+import { getLocalTimeZone } from '../../../services/TimeExpressions';
+
+// Keeps documents whose time of day falls inside (or outside) a window of hours
+const TIME_OF_DAY_SCRIPT = [
+  "if (doc[params.field].size() == 0) { return false; }",
+  "ZonedDateTime time = doc[params.field].value.withZoneSameInstant(ZoneId.of(params.time_zone));",
+  "boolean inside = time.getHour() >= params.from && time.getHour() < params.to",
+  "  && (!params.weekdays || time.getDayOfWeek().getValue() <= 5);",
+  "return params.outside ? !inside : inside;"
+].join('\n');
+
 /**
  * QueryBuildingTool
  * 
@@ -59,6 +79,11 @@ class QueryBuildingTool {
           query = this.buildPreciseMatchQuery(intent, context);
       }
       
+      // Add vector similarity search if the intent carries a query vector
+      if (intent.knn) {
+        this.addKnnClause(query, intent.knn, context);
+      }
+      
       // Add common query elements
       query = this.addCommonElements(query, intent, context);
       
@@ -95,11 +120,7 @@ class QueryBuildingTool {
     };
     
     // Add filters
-    if (filters && filters.length > 0) {
-      for (const filter of filters) {
-        this.addFilterToQuery(query, filter, 'precise');
-      }
-    }
+    this.addIntentFilters(query, intent, 'precise', context);
     
     // Add entity-based filters if no specific filters
     if (entities && entities.length > 0 && (!filters || filters.length === 0)) {
@@ -145,9 +166,11 @@ class QueryBuildingTool {
       }
     };
     
-    // Look for text search filters and convert them to full-text search
-    const textSearchFilters = filters ? filters.filter(f => f.operator === 'contains') : [];
-    const otherFilters = filters ? filters.filter(f => f.operator !== 'contains') : [];
+    // Look for text search filters and convert them to full-text search;
+    // filters combined with OR and NOT keep their structure instead
+    const booleanFilters = hasBooleanLogic(intent.filterTree);
+    const textSearchFilters = filters && !booleanFilters ? filters.filter(f => f.operator === 'contains') : [];
+    const otherFilters = filters && !booleanFilters ? filters.filter(f => f.operator !== 'contains') : [];
     
     // Add full-text search queries
     if (textSearchFilters.length > 0) {
@@ -202,8 +225,11 @@ class QueryBuildingTool {
     }
     
     // Add other filters
+    if (booleanFilters) {
+      this.addFilterTree(query.query.bool, intent.filterTree, 'enhanced', context);
+    }
     for (const filter of otherFilters) {
-      this.addFilterToQuery(query, filter, 'enhanced');
+      this.addFilterToQuery(query, filter, 'enhanced', context);
     }
     
     // Add timeframe filter if present
@@ -223,7 +249,7 @@ class QueryBuildingTool {
    * Build a query using the Statistical Analysis perspective
    */
   buildStatisticalAnalysisQuery(intent, context) {
-    const { filters, aggregations, limit, timeframe } = intent;
+    const { aggregations, limit, timeframe } = intent;
     
     // Start with a query focused on aggregations
     let query = {
@@ -240,11 +266,7 @@ class QueryBuildingTool {
     };
     
     // Add filters
-    if (filters && filters.length > 0) {
-      for (const filter of filters) {
-        this.addFilterToQuery(query, filter, 'precise');
-      }
-    }
+    this.addIntentFilters(query, intent, 'precise', context);
     
     // Add timeframe filter if present
     if (timeframe) {
@@ -273,7 +295,7 @@ class QueryBuildingTool {
    * Build a query using the Time Series perspective
    */
   buildTimeSeriesQuery(intent, context) {
-    const { filters, aggregations, timeframe, limit } = intent;
+    const { aggregations, timeframe, limit } = intent;
     
     // Start with a query focused on time-based aggregations
     let query = {
@@ -290,11 +312,7 @@ class QueryBuildingTool {
     };
     
     // Add filters
-    if (filters && filters.length > 0) {
-      for (const filter of filters) {
-        this.addFilterToQuery(query, filter, 'precise');
-      }
-    }
+    this.addIntentFilters(query, intent, 'precise', context);
     
     // Add timeframe filter if present
     if (timeframe) {
@@ -315,11 +333,13 @@ class QueryBuildingTool {
     // Extract interval from timeframe or set a default
     const interval = this.determineTimeInterval(timeframe);
     
-    // Add date histogram aggregation
+    // Add date histogram aggregation using the interval syntax the cluster understands
+    const dialect = getDialect(context.clusterInfo);
     query.aggs.time_buckets = {
       date_histogram: {
         field: timeField,
-        calendar_interval: interval,
+        ...buildDateHistogramInterval(interval, dialect),
+        time_zone: timeframe?.timeZone || getLocalTimeZone(),
         min_doc_count: 0,
         extended_bounds: this.getExtendedBounds(timeframe)
       }
@@ -374,9 +394,18 @@ class QueryBuildingTool {
     
     // Add sorting if specified
     if (sorting && sorting.length > 0) {
-      query.sort = sorting.map(sort => ({
-        [sort.field]: { order: sort.order || 'desc' }
-      }));
+      query.sort = sorting.map(sort => {
+        const field = this.resolveExactField(sort.field, context);
+        const entry = getSchemaField(context.schema, field);
+        
+        // Indices that do not map the field would otherwise fail the sort
+        return {
+          [field]: {
+            order: sort.order || 'desc',
+            ...(entry && entry.missingFrom.length > 0 ? { unmapped_type: entry.type } : {})
+          }
+        };
+      });
     }
     
     // Set size if not already set and limit is specified
@@ -390,28 +419,121 @@ class QueryBuildingTool {
     return query;
   }
   
+  /**
+   * Add the filters of an intent to the query
+   * 
+   * Filters combined with OR and NOT are added as nested bool clauses; a
+   * plain list of conditions is added filter by filter.
+   */
+  addIntentFilters(query, intent, mode, context) {
+    if (hasBooleanLogic(intent.filterTree)) {
+      this.addFilterTree(query.query.bool, intent.filterTree, mode, context);
+      return;
+    }
+    
+    for (const filter of intent.filters || []) {
+      this.addFilterToQuery(query, filter, mode, context);
+    }
+  }
+  
+  /**
+   * Add a filter tree to a bool query
+   * 
+   * The conditions of an AND group go straight into the bool, an OR group
+   * becomes a should clause in filter and a NOT group adds to must_not.
+   */
+  addFilterTree(bool, node, mode, context) {
+    if (!isFilterGroup(node)) {
+      this.addFilterToQuery({ query: { bool } }, node, mode, context);
+      return;
+    }
+    
+    switch (node.bool) {
+      case 'and':
+        for (const child of node.children) {
+          if (isFilterGroup(child) && child.bool === 'or') {
+            bool.filter.push(this.buildFilterTreeClause(child, mode, context));
+          } else {
+            this.addFilterTree(bool, child, mode, context);
+          }
+        }
+        break;
+        
+      case 'or':
+        bool.filter.push(this.buildFilterTreeClause(node, mode, context));
+        break;
+        
+      case 'not':
+        for (const child of node.children) {
+          bool.must_not.push(this.buildFilterTreeClause(child, mode, context));
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Build a single query clause for a filter tree
+   */
+  buildFilterTreeClause(node, mode, context) {
+    const bool = { must: [], filter: [], should: [], must_not: [] };
+    
+    if (isFilterGroup(node) && node.bool === 'or') {
+      bool.should = node.children.map(child => this.buildFilterTreeClause(child, mode, context));
+      bool.minimum_should_match = 1;
+    } else {
+      this.addFilterTree(bool, node, mode, context);
+    }
+    
+    // A bool around a single required clause is just that clause
+    const clauses = ['must', 'filter', 'should', 'must_not'].filter(key => bool[key].length > 0);
+    if (clauses.length === 1 && ['must', 'filter'].includes(clauses[0]) && bool[clauses[0]].length === 1) {
+      return bool[clauses[0]][0];
+    }
+    
+    return {
+      bool: Object.fromEntries(Object.entries(bool).filter(([, value]) => !Array.isArray(value) || value.length > 0))
+    };
+  }
+  
   /**
    * Add a filter to the query based on the filter specification
    */
-  addFilterToQuery(query, filter, mode = 'precise') {
+  addFilterToQuery(query, filter, mode = 'precise', context = {}) {
     const { field, operator, value } = filter;
     
     if (!field) return;
     
     switch (operator) {
-      case 'eq':
-        if (mode === 'precise') {
-          // For precise match, use term query
-          query.query.bool.filter.push({
-            term: { [field]: value }
-          });
+      case 'eq': {
+        const clause = this.buildEqualityClause(field, value, mode, context);
+        
+        // Exact clauses do not need scoring
+        if (clause.match) {
+          query.query.bool.must.push(clause);
         } else {
-          // For enhanced recall, use match query
-          query.query.bool.must.push({
-            match: { [field]: value }
+          query.query.bool.filter.push(clause);
+        }
+        break;
+      }
+        
+      case 'in': {
+        const values = [].concat(value);
+        const clauses = values.map(item => this.buildEqualityClause(field, item, mode, context));
+        const [first] = clauses;
+        const termField = first.term && Object.keys(first.term)[0];
+        
+        if (mode === 'precise' && clauses.every(clause => clause.term && clause.term[termField] !== undefined)) {
+          query.query.bool.filter.push({ terms: { [termField]: values } });
+        } else if (clauses.length === 1) {
+          query.query.bool[first.match ? 'must' : 'filter'].push(first);
+        } else {
+          // Any of the values may match; analyzed matches keep their scores
+          query.query.bool[clauses.some(clause => clause.match) ? 'must' : 'filter'].push({
+            bool: { should: clauses, minimum_should_match: 1 }
           });
         }
         break;
+      }
         
       case 'gt':
         query.query.bool.filter.push({
@@ -438,7 +560,17 @@ class QueryBuildingTool {
         break;
         
       case 'contains':
-        if (mode === 'precise') {
+        if (field === '_all') {
+          // No field was named, so the text is searched in every searchable
+          // field; _all itself no longer exists on Elasticsearch 6+ or OpenSearch
+          query.query.bool.must.push({
+            multi_match: {
+              query: value,
+              fields: this.getSearchableFields(context),
+              ...(mode === 'precise' ? { operator: 'AND' } : { fuzziness: 'AUTO', operator: 'OR' })
+            }
+          });
+        } else if (mode === 'precise') {
           // In precise mode, use wildcard
           query.query.bool.filter.push({
             wildcard: { [field]: `*${value}*` }
@@ -446,24 +578,28 @@ class QueryBuildingTool {
         } else {
           // Already handled in the main method for enhanced recall
           // But add as a fallback for fields not handled there
-          if (field !== '_all') {
-            query.query.bool.should.push({
-              match: { 
-                [field]: {
-                  query: value,
-                  fuzziness: 'AUTO'
-                }
+          query.query.bool.should.push({
+            match: { 
+              [field]: {
+                query: value,
+                fuzziness: 'AUTO'
               }
-            });
-            
-            // If no must clauses, set minimum_should_match
-            if (query.query.bool.must.length === 0) {
-              query.query.bool.minimum_should_match = 1;
             }
+          });
+          
+          // If no must clauses, set minimum_should_match
+          if (query.query.bool.must.length === 0) {
+            query.query.bool.minimum_should_match = 1;
           }
         }
         break;
         
+      case 'phrase':
+        query.query.bool.must.push(field === '_all'
+          ? { multi_match: { query: value, type: 'phrase', fields: this.getSearchableFields(context) } }
+          : { match_phrase: { [field]: value } });
+        break;
+        
       case 'exists':
         query.query.bool.filter.push({
           exists: { field }
@@ -478,13 +614,109 @@ class QueryBuildingTool {
     }
   }
   
+  /**
+   * Build the clause for an equality filter
+   * 
+   * Keyword, numeric and other exact fields get a term query. Text fields
+   * match exactly through a keyword sub-field every index has, or fall back
+   * to a phrase (precise) or analyzed (recall) match. In recall mode a term
+   * query is only used when sampling has seen the value in the field.
+   * IP fields always use a term query, which also matches CIDR blocks.
+   */
+  buildEqualityClause(field, value, mode, context = {}) {
+    const entry = getSchemaField(context.schema, field);
+    const precise = mode === 'precise';
+    
+    // Without schema information precise mode matches exactly and recall mode analyzes
+    if (!entry) {
+      return precise ? { term: { [field]: value } } : { match: { [field]: value } };
+    }
+    
+    // IP addresses and CIDR blocks only match exactly
+    if (getTypeFamily(entry.type) === 'ip') {
+      return { term: { [field]: value } };
+    }
+    
+    // A field mapped as text in some indices is treated as text
+    const textual = entry.conflict ? hasTextConflict(entry) : getTypeFamily(entry.type) === 'text';
+    
+    if (!textual) {
+      return precise || hasProfiledValue(context.schema, field, value)
+        ? { term: { [field]: value } }
+        : { match: { [field]: value } };
+    }
+    
+    const exactField = findExactField(context.schema, field);
+    if (exactField && (precise || hasProfiledValue(context.schema, exactField, value))) {
+      return { term: { [exactField]: value } };
+    }
+    
+    return precise ? { match_phrase: { [field]: value } } : { match: { [field]: value } };
+  }
+  
+  /**
+   * Add a k-NN vector search to the query using the syntax of the target engine
+   */
+  addKnnClause(query, knn, context) {
+    const { vector, k = 10, numCandidates } = knn;
+    const field = knn.field || context.schema?.analysis?.vectorFields?.[0];
+    
+    if (!field || !Array.isArray(vector) || vector.length === 0) return;
+    
+    const dialect = getDialect(context.clusterInfo);
+    
+    switch (dialect.knnStyle) {
+      case 'query':
+        // OpenSearch k-NN plugin: knn is a regular query clause keyed by field
+        query.query.bool.must.push({
+          knn: {
+            [field]: { vector, k }
+          }
+        });
+        break;
+        
+      case 'top-level':
+        // Elasticsearch 8.4+: approximate kNN as a top-level search section
+        query.knn = {
+          field,
+          query_vector: vector,
+          k,
+          num_candidates: numCandidates || Math.max(k * 10, 100)
+        };
+        
+        // Apply filters during the vector search rather than after it
+        if (query.query.bool.filter.length > 0) {
+          query.knn.filter = [...query.query.bool.filter];
+        }
+        break;
+        
+      case 'script_score':
+      default:
+        // Older Elasticsearch: exact kNN through a script score
+        query.query = {
+          script_score: {
+            query: query.query,
+            script: {
+              source: `cosineSimilarity(params.query_vector, '${field}') + 1.0`,
+              params: { query_vector: vector }
+            }
+          }
+        };
+        break;
+    }
+  }
+  
   /**
    * Add a timeframe filter to the query
+   * 
+   * Ranges carry the time zone of the timeframe, so rounding such as "now/d"
+   * and dates without an offset follow the user's calendar.
    */
   addTimeframeFilter(query, timeframe) {
     if (!timeframe || !timeframe.field) return;
     
     const field = timeframe.field;
+    const filterCount = query.query.bool.filter.length;
     
     switch (timeframe.type) {
       case 'relative':
@@ -524,6 +756,14 @@ class QueryBuildingTool {
         query.query.bool.filter.push(rangeFilter);
         break;
         
+      case 'range':
+        query.query.bool.filter.push({
+          range: {
+            [field]: { ...timeframe.range }
+          }
+        });
+        break;
+        
       case 'named':
         // Convert named ranges to explicit ranges
         switch (timeframe.period) {
@@ -573,15 +813,42 @@ class QueryBuildingTool {
         }
         break;
     }
+    
+    if (timeframe.timeZone) {
+      for (const clause of query.query.bool.filter.slice(filterCount)) {
+        clause.range[field].time_zone = timeframe.timeZone;
+      }
+    }
+    
+    // Keep only the hours asked for, such as business hours
+    if (timeframe.hours) {
+      query.query.bool.filter.push({
+        script: {
+          script: {
+            source: TIME_OF_DAY_SCRIPT,
+            params: {
+              field,
+              time_zone: timeframe.timeZone || getLocalTimeZone(),
+              ...timeframe.hours
+            }
+          }
+        }
+      });
+    }
   }
   
   /**
    * Add aggregation to query based on aggregation specification
    */
   addAggregationToQuery(query, aggregation, context) {
-    const { type, field, size, interval } = aggregation;
+    const { type, size, interval } = aggregation;
     
-    if (!field) return;
+    if (!aggregation.field) return;
+    
+    // Bucket on a field every index can aggregate
+    const field = ['terms', 'cardinality'].includes(type)
+      ? this.resolveExactField(aggregation.field, context)
+      : aggregation.field;
     
     // Create a safe aggregation name
     const aggName = `${type}_${field.replace('.', '_')}`;
@@ -599,13 +866,15 @@ class QueryBuildingTool {
       case 'date_histogram':
       case 'histogram':
         const isDate = type === 'date_histogram';
-        const intervalKey = isDate ? 'calendar_interval' : 'interval';
-        const intervalValue = interval || (isDate ? 'day' : 10);
+        const intervalParams = isDate
+          ? buildDateHistogramInterval(interval || 'day', getDialect(context.clusterInfo))
+          : { interval: interval || 10 };
         
         query.aggs[aggName] = {
           [type]: {
             field: field,
-            [intervalKey]: intervalValue,
+            ...intervalParams,
+            ...(isDate ? { time_zone: aggregation.timeZone || getLocalTimeZone() } : {}),
             min_doc_count: 0
           }
         };
@@ -692,6 +961,7 @@ class QueryBuildingTool {
     
     // Add a terms aggregation if we found a suitable field
     if (fieldForAggregation) {
+      fieldForAggregation = this.resolveExactField(fieldForAggregation, context);
       query.aggs[`terms_${fieldForAggregation.replace('.', '_')}`] = {
         terms: {
           field: fieldForAggregation,
@@ -714,6 +984,16 @@ class QueryBuildingTool {
   determineTimeInterval(timeframe) {
     if (!timeframe) return 'day';
     
+    // Calendar ranges know their length in minutes
+    if (timeframe.type === 'range' && timeframe.span) {
+      const { span } = timeframe;
+      if (span <= 6 * 60) return 'minute';
+      if (span <= 3 * 24 * 60) return 'hour';
+      if (span <= 14 * 24 * 60) return 'day';
+      if (span <= 92 * 24 * 60) return 'week';
+      return 'month';
+    }
+    
     if (timeframe.type === 'relative') {
       const { unit, value } = timeframe;
       
@@ -743,6 +1023,9 @@ class QueryBuildingTool {
     
     if (timeframe.type === 'relative') {
       return null; // Let ES determine bounds automatically
+    } else if (timeframe.type === 'range') {
+      const { gte, lt, lte } = timeframe.range;
+      return { min: gte, max: lt || lte };
     } else if (timeframe.type === 'absolute') {
       // If we have explicit start and end dates
       if (timeframe.start && timeframe.end) {
@@ -756,6 +1039,16 @@ class QueryBuildingTool {
     return null;
   }
   
+  /**
+   * Resolve the field to use for exact matches, sorting and bucketing
+   * 
+   * Fields mapped as text in some indices of the target are swapped for a
+   * keyword sub-field that every index has, when there is one.
+   */
+  resolveExactField(field, context) {
+    return findExactField(context.schema, field) || field;
+  }
+  
   /**
    * Get a list of searchable fields from schema context
    */
@@ -778,10 +1071,17 @@ class QueryBuildingTool {
   
   /**
    * Extract key terms from the original query text for enhanced recall
+   * 
+   * Phrases the question excludes ("but not from staging", "excluding
+   * timeouts") are left out, so the recall clause never searches for them.
    */
   extractKeyTermsFromText(text) {
     if (!text) return [];
     
+    const kept = flattenFilterTree(parseFilterExpression(text))
+      .filter(leaf => !leaf.negated)
+      .map(leaf => leaf.phrase);
+    
     const stopwords = [
       'a', 'an', 'the', 'and', 'or', 'but', 'if', 'as', 'of', 'to', 'in', 'for',
       'on', 'by', 'at', 'with', 'about', 'from', 'me', 'show', 'tell', 'give',
@@ -789,7 +1089,7 @@ class QueryBuildingTool {
     ];
     
     // Tokenize, convert to lowercase, remove stopwords, and filter out short terms
-    return text
+    return kept.join(' ')
       .toLowerCase()
       .replace(/[^\w\s]/g, ' ')
       .split(/\s+/)
@@ -813,7 +1113,7 @@ class QueryBuildingTool {
         if (aggType === 'terms') {
           aggTypes.push(`grouping by ${aggValue.terms.field}`);
         } else if (aggType === 'date_histogram') {
-          const interval = aggValue.date_histogram.calendar_interval;
+          const interval = getDateHistogramInterval(aggValue.date_histogram);
           aggTypes.push(`breaking time into ${interval} intervals`);
         } else if (['avg', 'sum', 'min', 'max', 'stats'].includes(aggType)) {
           const field = aggValue[aggType].field;
@@ -1,5 +1,29 @@
 // src/agent/tools/elasticsearch/ValidationTool.js
 
+import {
+  getDialect,
+  getDialectLabel,
+  buildDateHistogramInterval,
+  isCalendarInterval,
+  getDateHistogramInterval
+} from '../../../services/ESDialect';
+import { getSchemaField, describeConflict, findExactField } from '../../../services/SchemaFields';
+
+// Term-level queries that compare exact values rather than analyzed text
+const EXACT_QUERY_TYPES = ['term', 'terms', 'prefix', 'wildcard', 'range'];
+
+// Query clauses whose keys are the names of the fields they search
+const FIELD_KEYED_QUERIES = [
+  ...EXACT_QUERY_TYPES,
+  'match', 'match_phrase', 'match_phrase_prefix', 'match_bool_prefix', 'regexp', 'fuzzy'
+];
+
+// Clause options that sit beside the field names (e.g. { terms: { host: [...], boost: 2 } })
+const CLAUSE_OPTIONS = ['boost', '_name'];
+
+// Queries that list their fields in a "fields" option
+const MULTI_FIELD_QUERIES = ['multi_match', 'query_string', 'simple_query_string'];
+
 /**
  * ValidationTool
  * 
@@ -37,17 +61,21 @@ class ValidationTool {
         query: query // Include the original query
       };
       
+      // Resolve the DSL dialect of the target cluster
+      const dialect = getDialect(context.clusterInfo);
+      
       // Perform the validation checks
-      this.validateQuerySyntax(query, validationResult);
+      this.validateQuerySyntax(query, validationResult, dialect);
       this.validateQuerySemantics(query, context, validationResult);
       this.validateBestPractices(query, validationResult);
+      this.validateEngineCompatibility(query, dialect, validationResult);
       
-      // Calculate overall validity
-      validationResult.valid = validationResult.issues.length === 0;
+      // Only critical issues make a query invalid
+      validationResult.valid = !validationResult.issues.some(issue => issue.severity === 'critical');
       
-      // If there are critical issues, provide a fixed query
-      if (!validationResult.valid) {
-        validationResult.fixedQuery = this.attemptQueryFix(query, validationResult.issues);
+      // Warnings have fixes too (e.g. conflicting fields), so any issue gets a fixed query
+      if (validationResult.issues.length > 0) {
+        validationResult.fixedQuery = this.attemptQueryFix(query, validationResult.issues, dialect);
       }
       
       return validationResult;
@@ -60,7 +88,7 @@ class ValidationTool {
   /**
    * Validate the syntax of the query
    */
-  validateQuerySyntax(query, result) {
+  validateQuerySyntax(query, result, dialect = getDialect(null)) {
     // Check if the query is a valid object
     if (typeof query !== 'object' || query === null) {
       result.issues.push({
@@ -83,7 +111,7 @@ class ValidationTool {
     
     // Check for common syntax issues
     this.validateBoolQuery(query, result);
-    this.validateAggregations(query, result);
+    this.validateAggregations(query, result, dialect);
     this.validateSortOrder(query, result);
     
     // Check for missing size with large result request
@@ -139,7 +167,7 @@ class ValidationTool {
   /**
    * Validate aggregation structure
    */
-  validateAggregations(query, result) {
+  validateAggregations(query, result, dialect = getDialect(null)) {
     if (!query.aggs && !query.aggregations) return;
     
     const aggs = query.aggs || query.aggregations;
@@ -211,15 +239,7 @@ class ValidationTool {
             });
           }
           
-          // Check for either interval or calendar_interval
-          if (!aggDef.date_histogram.calendar_interval && !aggDef.date_histogram.fixed_interval) {
-            result.issues.push({
-              type: 'syntax',
-              severity: 'warning', 
-              message: `Date histogram "${aggName}" should specify either calendar_interval or fixed_interval`,
-              path: `aggs.${aggName}.date_histogram`
-            });
-          }
+          this.validateDateHistogramInterval(aggName, aggDef.date_histogram, dialect, result);
           break;
           
         case 'avg':
@@ -253,6 +273,64 @@ class ValidationTool {
     }
   }
   
+  /**
+   * Validate the interval parameters of a date histogram against the cluster version
+   */
+  validateDateHistogramInterval(aggName, histogram, dialect, result) {
+    const path = `aggs.${aggName}.date_histogram`;
+    const clusterLabel = dialect.version ? getDialectLabel(dialect) : 'the target cluster';
+    const hasNewInterval = histogram.calendar_interval !== undefined || histogram.fixed_interval !== undefined;
+    const hasLegacyInterval = histogram.interval !== undefined;
+    
+    if (!hasNewInterval && !hasLegacyInterval) {
+      result.issues.push({
+        type: 'syntax',
+        severity: 'warning',
+        message: dialect.supportsCalendarInterval
+          ? `Date histogram "${aggName}" should specify either calendar_interval or fixed_interval`
+          : `Date histogram "${aggName}" should specify an interval`,
+        path
+      });
+      return;
+    }
+    
+    if (hasLegacyInterval) {
+      if (dialect.known && !dialect.supportsLegacyInterval) {
+        result.issues.push({
+          type: 'syntax',
+          severity: 'critical',
+          message: `Date histogram "${aggName}" uses "interval", which ${clusterLabel} no longer supports. Use calendar_interval or fixed_interval instead`,
+          path
+        });
+      } else if (dialect.supportsCalendarInterval) {
+        result.suggestions.push({
+          type: 'syntax',
+          severity: 'warning',
+          message: `Date histogram "${aggName}" uses the deprecated "interval" parameter. Use calendar_interval or fixed_interval instead`,
+          path
+        });
+      }
+    }
+    
+    if (hasNewInterval && !dialect.supportsCalendarInterval) {
+      result.issues.push({
+        type: 'syntax',
+        severity: 'critical',
+        message: `Date histogram "${aggName}" uses calendar_interval/fixed_interval, which ${clusterLabel} does not support. Use "interval" instead`,
+        path
+      });
+    }
+    
+    if (histogram.calendar_interval !== undefined && !isCalendarInterval(histogram.calendar_interval)) {
+      result.issues.push({
+        type: 'syntax',
+        severity: 'critical',
+        message: `Date histogram "${aggName}" uses calendar_interval "${histogram.calendar_interval}", but calendar intervals must be a single unit (e.g. 1h, 1d, 1M). Use fixed_interval for multiples`,
+        path
+      });
+    }
+  }
+  
   /**
    * Validate sort order syntax
    */
@@ -331,6 +409,9 @@ class ValidationTool {
     
     // Check for correct field type usage in query
     this.validateFieldTypeUsage(query, schema, result);
+    
+    // Check for fields mapped differently across the target's indices
+    this.validateFieldConflicts(query, schema, result);
   }
   
   /**
@@ -360,51 +441,72 @@ class ValidationTool {
   }
   
   /**
-   * Extract all field references from a query object
+   * Extract the names of the fields a query searches, aggregates or sorts on
+   * 
+   * Only field names are collected: range bounds, match parameters and
+   * multi_match settings are not fields. Wildcard patterns in "fields"
+   * lists are skipped.
    */
-  extractFieldReferences(obj, fields = new Set(), path = '') {
-    if (!obj || typeof obj !== 'object') return fields;
-    
-    // Check for field references in common query structures
-    if (path.includes('match') || path.includes('term') || path.includes('range')) {
-      const keys = Object.keys(obj);
-      for (const key of keys) {
-        if (key !== 'boost' && key !== 'operator' && key !== 'fuzziness') {
-          fields.add(key);
-        }
+  extractFieldReferences(query) {
+    const fields = new Set();
+    const add = field => {
+      if (typeof field === 'string' && field && !field.includes('*')) {
+        fields.add(field.replace(/\^[\d.]+$/, ''));
       }
-    }
+    };
     
-    // Check for field in aggregations
-    if (
-      path.includes('terms') || 
-      path.includes('histogram') || 
-      path.includes('avg') ||
-      path.includes('min') ||
-      path.includes('max') ||
-      path.includes('sum') ||
-      path.includes('stats')
-    ) {
-      if (obj.field) {
-        fields.add(obj.field);
+    const visitQuery = (node) => {
+      if (!node || typeof node !== 'object') return;
+      
+      if (Array.isArray(node)) {
+        node.forEach(visitQuery);
+        return;
       }
-    }
+      
+      for (const [key, value] of Object.entries(node)) {
+        if (!value || typeof value !== 'object') continue;
+        
+        if (FIELD_KEYED_QUERIES.includes(key)) {
+          Object.keys(value).filter(name => !CLAUSE_OPTIONS.includes(name)).forEach(add);
+        } else if (key === 'exists') {
+          add(value.field);
+        } else if (MULTI_FIELD_QUERIES.includes(key)) {
+          (Array.isArray(value.fields) ? value.fields : []).forEach(add);
+        } else {
+          visitQuery(value);
+        }
+      }
+    };
     
-    // Check for field in sort
-    if (path === 'sort' && Array.isArray(obj)) {
-      for (const sortItem of obj) {
-        if (typeof sortItem === 'object') {
-          fields.add(Object.keys(sortItem)[0]);
+    const visitAggs = (aggs) => {
+      for (const aggDef of Object.values(aggs || {})) {
+        if (!aggDef || typeof aggDef !== 'object') continue;
+        
+        for (const [aggType, body] of Object.entries(aggDef)) {
+          if (aggType === 'aggs' || aggType === 'aggregations') {
+            visitAggs(body);
+          } else if (aggType === 'filter' || aggType === 'filters') {
+            visitQuery(body);
+          } else {
+            add(body?.field);
+          }
         }
       }
+    };
+    
+    visitQuery(query?.query);
+    visitAggs(query?.aggs || query?.aggregations);
+    
+    // Top-level kNN section of Elasticsearch 8
+    if (query?.knn) {
+      add(query.knn.field);
+      visitQuery(query.knn.filter);
     }
     
-    // Recursively check all properties
-    for (const key in obj) {
-      const newPath = path ? `${path}.${key}` : key;
-      if (typeof obj[key] === 'object' && obj[key] !== null) {
-        this.extractFieldReferences(obj[key], fields, newPath);
-      }
+    const sort = Array.isArray(query?.sort) ? query.sort : (query?.sort ? [query.sort] : []);
+    for (const sortItem of sort) {
+      const field = typeof sortItem === 'string' ? sortItem : Object.keys(sortItem || {})[0];
+      if (field !== '_score' && field !== '_doc') add(field);
     }
     
     return Array.from(fields);
@@ -414,6 +516,11 @@ class ValidationTool {
    * Check if a field exists in the schema
    */
   fieldExistsInSchema(field, schema) {
+    // The field catalog lists every path mapped by any index of the target
+    if (schema?.fields) {
+      return Boolean(getSchemaField(schema, field));
+    }
+    
     if (!schema || !schema.mappings || !schema.mappings.properties) {
       return false;
     }
@@ -568,6 +675,87 @@ class ValidationTool {
     }
   }
   
+  /**
+   * Validate fields whose mappings differ between the indices of the target
+   * 
+   * Term-level queries, aggregations and sorts on such a field behave
+   * differently per index (e.g. a terms aggregation fails on the indices that
+   * map it as text), so they are reported with an index-wide alternative.
+   */
+  validateFieldConflicts(query, schema, result) {
+    if (!schema.fields) return;
+    
+    const exactUses = [];
+    
+    if (query.query) {
+      this.traverseQuery(query.query, (queryType, fieldName, value, path) => {
+        if (EXACT_QUERY_TYPES.includes(queryType)) {
+          exactUses.push({ field: fieldName, usage: `${queryType} query`, path });
+        }
+      });
+    }
+    
+    for (const [aggName, aggDef] of Object.entries(query.aggs || query.aggregations || {})) {
+      const aggType = aggDef && Object.keys(aggDef)[0];
+      const field = aggType && aggDef[aggType]?.field;
+      if (field) {
+        exactUses.push({ field, usage: `${aggType} aggregation`, path: `aggs.${aggName}.${aggType}.field` });
+      }
+    }
+    
+    if (Array.isArray(query.sort)) {
+      query.sort.forEach((sortItem, idx) => {
+        const field = typeof sortItem === 'string' ? sortItem : Object.keys(sortItem || {})[0];
+        if (field) {
+          exactUses.push({ field, usage: 'sort', path: `sort[${idx}]` });
+        }
+      });
+    }
+    
+    const reported = new Set();
+    
+    for (const { field, usage, path } of exactUses) {
+      const entry = getSchemaField(schema, field);
+      if (!entry?.conflict) continue;
+      
+      const replacement = findExactField(schema, field);
+      result.issues.push({
+        type: 'semantics',
+        severity: 'warning',
+        message: `Field "${field}" has conflicting mappings (${describeConflict(entry)}), so the ${usage} behaves differently per index` +
+          (replacement && replacement !== field ? `. Use "${replacement}" instead` : ''),
+        path,
+        field,
+        replacement: replacement !== field ? replacement : null
+      });
+      reported.add(field);
+    }
+    
+    for (const field of this.extractFieldReferences(query)) {
+      const entry = getSchemaField(schema, field);
+      if (!entry) continue;
+      
+      // Full-text queries still run everywhere, but match and score differently
+      if (entry.conflict && !reported.has(field)) {
+        result.suggestions.push({
+          type: 'semantics',
+          severity: 'info',
+          message: `Field "${field}" is mapped differently across indices (${describeConflict(entry)})`,
+          path: field
+        });
+      }
+      
+      if (entry.missingFrom.length > 0) {
+        result.suggestions.push({
+          type: 'semantics',
+          severity: 'info',
+          message: `Field "${field}" is not mapped in ${entry.missingFrom.join(', ')}; documents from those indices will not match on it`,
+          path: field
+        });
+      }
+    }
+  }
+  
   /**
    * Traverse a query to find specific query types and their fields
    */
@@ -774,10 +962,142 @@ class ValidationTool {
     });
   }
   
+  /**
+   * Flag query constructs the target engine (Elasticsearch or OpenSearch) cannot execute
+   */
+  validateEngineCompatibility(query, dialect, result) {
+    const label = getDialectLabel(dialect);
+    
+    // Top-level kNN search is Elasticsearch 8.4+ syntax
+    if (query.knn && dialect.knnStyle !== 'top-level') {
+      result.issues.push({
+        type: 'compatibility',
+        severity: 'critical',
+        message: dialect.knnStyle === 'query'
+          ? `${label} does not support the top-level "knn" section. Use a knn query clause: { "query": { "knn": { "<field>": { "vector": [...], "k": 10 } } } }`
+          : `${label} does not support kNN search. Use a script_score query with cosineSimilarity instead`,
+        path: 'knn'
+      });
+    }
+    
+    // Check query clauses
+    if (query.query) {
+      this.walkQueryClauses(query.query, (clauseType, clauseBody, path) => {
+        if (dialect.unsupportedQueries.includes(clauseType)) {
+          result.issues.push({
+            type: 'compatibility',
+            severity: 'critical',
+            message: `The "${clauseType}" query is not available on ${label}`,
+            path
+          });
+        }
+        
+        if (clauseType === 'knn' && clauseBody && typeof clauseBody === 'object') {
+          const openSearchStyle = Object.values(clauseBody).some(value => value && typeof value === 'object' && 'vector' in value);
+          
+          if (dialect.knnStyle === 'query' && !openSearchStyle) {
+            result.issues.push({
+              type: 'compatibility',
+              severity: 'critical',
+              message: `${label} expects knn queries in the form { "knn": { "<field>": { "vector": [...], "k": 10 } } }`,
+              path
+            });
+          } else if (dialect.knnStyle !== 'query' && openSearchStyle) {
+            result.issues.push({
+              type: 'compatibility',
+              severity: 'critical',
+              message: `This knn query uses OpenSearch syntax, which ${label} does not understand. Use the top-level "knn" section with query_vector instead`,
+              path
+            });
+          }
+        }
+      });
+    }
+    
+    // Check aggregations, including sub-aggregations
+    const checkAggs = (aggs, basePath) => {
+      if (!aggs || typeof aggs !== 'object') return;
+      
+      for (const [aggName, aggDef] of Object.entries(aggs)) {
+        if (!aggDef || typeof aggDef !== 'object') continue;
+        
+        for (const aggType of Object.keys(aggDef)) {
+          if (aggType === 'aggs' || aggType === 'aggregations' || aggType === 'meta') continue;
+          
+          if (dialect.unsupportedAggregations.includes(aggType)) {
+            result.issues.push({
+              type: 'compatibility',
+              severity: 'critical',
+              message: `The "${aggType}" aggregation used by "${aggName}" is not available on ${label}`,
+              path: `${basePath}.${aggName}.${aggType}`
+            });
+          }
+        }
+        
+        checkAggs(aggDef.aggs || aggDef.aggregations, `${basePath}.${aggName}.aggs`);
+      }
+    };
+    
+    checkAggs(query.aggs || query.aggregations, 'aggs');
+  }
+  
+  /**
+   * Visit every query clause, descending into compound queries
+   */
+  walkQueryClauses(clause, callback, path = 'query') {
+    if (!clause || typeof clause !== 'object' || Array.isArray(clause)) return;
+    
+    for (const [clauseType, body] of Object.entries(clause)) {
+      callback(clauseType, body, `${path}.${clauseType}`);
+      
+      if (!body || typeof body !== 'object') continue;
+      
+      switch (clauseType) {
+        case 'bool':
+          for (const section of ['must', 'must_not', 'should', 'filter']) {
+            const clauses = Array.isArray(body[section]) ? body[section] : (body[section] ? [body[section]] : []);
+            clauses.forEach((child, idx) => {
+              this.walkQueryClauses(child, callback, `${path}.bool.${section}[${idx}]`);
+            });
+          }
+          break;
+          
+        case 'dis_max':
+          (body.queries || []).forEach((child, idx) => {
+            this.walkQueryClauses(child, callback, `${path}.dis_max.queries[${idx}]`);
+          });
+          break;
+          
+        case 'hybrid':
+          (body.queries || []).forEach((child, idx) => {
+            this.walkQueryClauses(child, callback, `${path}.hybrid.queries[${idx}]`);
+          });
+          break;
+          
+        case 'boosting':
+          this.walkQueryClauses(body.positive, callback, `${path}.boosting.positive`);
+          this.walkQueryClauses(body.negative, callback, `${path}.boosting.negative`);
+          break;
+          
+        case 'constant_score':
+          this.walkQueryClauses(body.filter, callback, `${path}.constant_score.filter`);
+          break;
+          
+        case 'nested':
+        case 'has_child':
+        case 'has_parent':
+        case 'function_score':
+        case 'script_score':
+          this.walkQueryClauses(body.query, callback, `${path}.${clauseType}.query`);
+          break;
+      }
+    }
+  }
+  
   /**
    * Attempt to fix common issues in a query
    */
-  attemptQueryFix(query, issues) {
+  attemptQueryFix(query, issues, dialect = getDialect(null)) {
     // Create a deep copy of the query to avoid modifying the original
     const fixedQuery = JSON.parse(JSON.stringify(query));
     
@@ -841,6 +1161,30 @@ class ValidationTool {
       }
     }
     
+    // Rewrite date histogram intervals into the syntax the cluster supports
+    const aggs = fixedQuery.aggs || fixedQuery.aggregations;
+    if (aggs && typeof aggs === 'object') {
+      for (const aggDef of Object.values(aggs)) {
+        const histogram = aggDef && aggDef.date_histogram;
+        if (!histogram) continue;
+        
+        const interval = getDateHistogramInterval(histogram);
+        if (!interval) continue;
+        
+        delete histogram.interval;
+        delete histogram.calendar_interval;
+        delete histogram.fixed_interval;
+        Object.assign(histogram, buildDateHistogramInterval(interval, dialect));
+      }
+    }
+    
+    // Point exact matches on conflicting fields at their index-wide keyword field
+    for (const issue of issues) {
+      if (issue.field && issue.replacement) {
+        this.renameExactUses(fixedQuery, issue.field, issue.replacement);
+      }
+    }
+    
     // Fix bool query with should clauses but no minimum_should_match
     if (
       fixedQuery.query &&
@@ -856,6 +1200,63 @@ class ValidationTool {
     
     return fixedQuery;
   }
+  
+  /**
+   * Point the exact-value uses of a field (term-level queries, aggregations
+   * and sorts) at another field; full-text clauses keep the analyzed field
+   */
+  renameExactUses(query, from, to) {
+    const renameKey = (obj) => {
+      if (obj && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, from)) {
+        obj[to] = obj[from];
+        delete obj[from];
+      }
+    };
+    
+    const visitQuery = (node) => {
+      if (!node || typeof node !== 'object') return;
+      
+      if (Array.isArray(node)) {
+        node.forEach(visitQuery);
+        return;
+      }
+      
+      for (const [key, value] of Object.entries(node)) {
+        if (EXACT_QUERY_TYPES.includes(key)) {
+          renameKey(value);
+        } else {
+          visitQuery(value);
+        }
+      }
+    };
+    
+    const visitAggs = (aggs) => {
+      for (const aggDef of Object.values(aggs || {})) {
+        if (!aggDef || typeof aggDef !== 'object') continue;
+        
+        for (const [aggType, body] of Object.entries(aggDef)) {
+          if (aggType === 'aggs' || aggType === 'aggregations') {
+            visitAggs(body);
+          } else if (body && typeof body === 'object') {
+            if (body.field === from) body.field = to;
+            // filter and filters aggregations carry queries of their own
+            visitQuery(body);
+          }
+        }
+      }
+    };
+    
+    visitQuery(query.query);
+    visitAggs(query.aggs || query.aggregations);
+    
+    if (Array.isArray(query.sort)) {
+      query.sort = query.sort.map(sortItem => {
+        if (sortItem === from) return to;
+        renameKey(sortItem);
+        return sortItem;
+      });
+    }
+  }
 }
 
 export default ValidationTool;
\ No newline at end of file
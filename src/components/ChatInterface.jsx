@@ -1,5 +1,7 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import QueryResultCard from './QueryResultCard';
+import SchemaExplorer from './SchemaExplorer';
+import ElasticsearchAgentCore from '../agent/ElasticsearchAgentCore';
 
 /**
  * ChatInterface component
@@ -10,6 +12,9 @@ import QueryResultCard from './QueryResultCard';
 const ChatInterface = ({ 
   isConnected, 
   activeCluster, 
+  indexPattern = null,
+  onIndexPatternChange,
+  onLoadTargets,
   onExecuteQuery, 
   onSaveQuery,
   schemaManager,
@@ -18,6 +23,12 @@ const ChatInterface = ({
   // State for the user's input
   const [userInput, setUserInput] = useState('');
   
+  // Reference to the input, for inserting field names at the cursor
+  const inputRef = useRef(null);
+  
+  // State to show/hide the schema explorer
+  const [showSchema, setShowSchema] = useState(false);
+  
   // State for the chat history
   const [chatHistory, setChatHistory] = useState([
     {
@@ -42,6 +53,91 @@ const ChatInterface = ({
   // Reference to chat container for auto-scrolling
   const chatContainerRef = useRef(null);
   
+  // Target (index pattern, alias or data stream) being edited in the header
+  const [targetInput, setTargetInput] = useState(indexPattern || '');
+  
+  // Indices, aliases and data streams offered as targets
+  const [targetOptions, setTargetOptions] = useState([]);
+  
+  // Error from loading or saving the target
+  const [targetError, setTargetError] = useState(null);
+  
+  // Keep the header in sync when the target changes elsewhere
+  useEffect(() => {
+    setTargetInput(indexPattern || '');
+  }, [indexPattern]);
+  
+  // Load the available targets of the active cluster
+  useEffect(() => {
+    if (!onLoadTargets || !activeCluster || !isConnected) return;
+    
+    const controller = new AbortController();
+    
+    onLoadTargets({ signal: controller.signal })
+      .then(({ indices, aliases, dataStreams }) => {
+        setTargetOptions([
+          ...dataStreams.map(stream => ({ name: stream.name, kind: 'data stream' })),
+          ...aliases.map(alias => ({ name: alias.name, kind: 'alias' })),
+          ...indices.map(index => ({ name: index.name, kind: 'index' }))
+        ]);
+        setTargetError(null);
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) {
+          setTargetError(`Could not list indices: ${error.message}`);
+        }
+      });
+    
+    return () => controller.abort();
+  }, [activeCluster, isConnected, onLoadTargets]);
+  
+  // Save the target typed or picked in the header
+  const commitTarget = async () => {
+    const target = targetInput.trim();
+    if (!onIndexPatternChange || target === (indexPattern || '')) return;
+    
+    try {
+      await onIndexPatternChange(target || null);
+      setTargetError(null);
+    } catch (error) {
+      setTargetError(error.message);
+      setTargetInput(indexPattern || '');
+    }
+  };
+  
+  // Insert a field name (or field:value) from the schema explorer at the cursor
+  const handleInsertField = (text) => {
+    const start = inputRef.current?.selectionStart ?? userInput.length;
+    const end = inputRef.current?.selectionEnd ?? start;
+    const before = userInput.slice(0, start);
+    const after = userInput.slice(end);
+    const insertion = `${before && !/\s$/.test(before) ? ' ' : ''}${text}${after && !/^\s/.test(after) ? ' ' : ''}`;
+    
+    setUserInput(before + insertion + after);
+    
+    // Put the cursor after the inserted text once the input has re-rendered
+    requestAnimationFrame(() => {
+      if (!inputRef.current) return;
+      const position = before.length + insertion.length;
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(position, position);
+    });
+  };
+  
+  // Controller for cancelling the generation in progress
+  const abortControllerRef = useRef(null);
+  
+  // Agent generating the queries with the local tool chain, which asks clarification questions
+  const agent = useMemo(
+    () => new ElasticsearchAgentCore({ schemaManager, useBrowserBee: false }),
+    [schemaManager]
+  );
+  
+  // Cancel any running generation when the component goes away
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+  
   // Auto-scroll when chat history changes
   useEffect(() => {
     if (chatContainerRef.current) {
@@ -63,7 +159,7 @@ const ChatInterface = ({
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!userInput.trim() || !isConnected) return;
+    if (!userInput.trim() || !isConnected || !indexPattern) return;
     
     const newUserMessage = {
       type: 'user',
@@ -74,8 +170,27 @@ const ChatInterface = ({
     // Add the user message to chat history
     setChatHistory(prevHistory => [...prevHistory, newUserMessage]);
     
-    // Clear input and start loading
+    // Clear input and generate
     setUserInput('');
+    await generateQueries(userInput);
+  };
+  
+  // Answer a clarification question and generate the same request again
+  const handleClarify = async (message, field) => {
+    const { input, clarifications, ambiguity } = message.clarification;
+    
+    setChatHistory(prevHistory => [
+      ...prevHistory.map(item => item === message
+        ? { ...item, clarification: { ...item.clarification, answer: field } }
+        : item),
+      { type: 'user', content: field, timestamp: new Date() }
+    ]);
+    
+    await generateQueries(input, { ...clarifications, [ambiguity.term]: field });
+  };
+  
+  // Generate query options for a request, with the fields chosen in clarifications so far
+  const generateQueries = async (input, clarifications = {}) => {
     setLoading(true);
     setThinkingStep('intent');
     setShowThinking(true);
@@ -83,27 +198,25 @@ const ChatInterface = ({
     // Clear any previous results
     setQueryResults([]);
     
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const { signal } = controller;
+    
     try {
       // Simulate the thinking process
       for (let i = 0; i < thinkingSteps.length; i++) {
         setThinkingStep(thinkingSteps[i].step);
         // Wait a bit between steps for a realistic effect
         await new Promise(resolve => setTimeout(resolve, 600));
+        
+        if (signal.aborted) return;
       }
       
-      // Get mock schema for the active cluster
-      let schema = null;
-      if (schemaManager && activeCluster) {
-        try {
-          // Try to get schema for "logs-*" index pattern
-          schema = await schemaManager.getSchema(activeCluster, 'logs-*');
-        } catch (error) {
-          console.error('Error getting schema:', error);
-        }
-      }
+      // Generate against the schema of the query target on the active cluster
+      const results = await agent.generateQuery(input, activeCluster, { signal, clarifications });
+      
+      if (signal.aborted) return;
       
-      // Generate query results using mock data
-      const results = generateMockResults(userInput, schema);
       setQueryResults(results);
       
       // Add the assistant's response
@@ -115,6 +228,20 @@ const ChatInterface = ({
       
       setChatHistory(prevHistory => [...prevHistory, newAssistantMessage]);
     } catch (error) {
+      if (signal.aborted) return;
+      
+      // Ask which field a word means rather than generate from a guess
+      if (error.code === 'ambiguous') {
+        const [ambiguity] = error.ambiguities;
+        setChatHistory(prevHistory => [...prevHistory, {
+          type: 'assistant',
+          content: `Which field do you mean by "${ambiguity.term}"?`,
+          clarification: { input, clarifications, ambiguity, answer: null },
+          timestamp: new Date()
+        }]);
+        return;
+      }
+      
       console.error('Error generating query:', error);
       
       // Add error message
@@ -127,16 +254,51 @@ const ChatInterface = ({
       
       setChatHistory(prevHistory => [...prevHistory, errorMessage]);
     } finally {
-      setLoading(false);
-      setShowThinking(false);
+      // A stopped run already reset the UI, and a newer run may own it now
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setLoading(false);
+        setShowThinking(false);
+      }
     }
   };
   
+  // Stop the generation in progress
+  const handleStop = () => {
+    if (!abortControllerRef.current) return;
+    
+    abortControllerRef.current.abort();
+    abortControllerRef.current = null;
+    
+    setChatHistory(prevHistory => [...prevHistory, {
+      type: 'assistant',
+      content: 'Stopped. The request was cancelled before it finished.',
+      timestamp: new Date()
+    }]);
+    setLoading(false);
+    setShowThinking(false);
+  };
+  
   // Handle executing a query
-  const handleExecuteQuery = (queryId) => {
+  const handleExecuteQuery = async (queryId) => {
     const selectedQuery = queryResults.find(result => result.id === queryId);
-    if (selectedQuery && onExecuteQuery) {
-      onExecuteQuery(selectedQuery.query);
+    if (!selectedQuery || !onExecuteQuery) return;
+    
+    try {
+      await onExecuteQuery(selectedQuery.query);
+    } catch (error) {
+      // Refusals from read-only mode get an explanatory card instead of a bare error
+      setChatHistory(prevHistory => [...prevHistory, {
+        type: 'assistant',
+        content: error.message,
+        error: true,
+        card: error.code === 'read_only' ? {
+          title: 'Blocked by read-only mode',
+          detail: error.method && error.path ? `${error.method} ${error.path}` : null,
+          hint: 'Only search requests run against this cluster. Turn off read-only mode in Settings to allow other requests.'
+        } : null,
+        timestamp: new Date()
+      }]);
     }
   };
   
@@ -155,213 +317,69 @@ const ChatInterface = ({
     setChatHistory(prevHistory => [...prevHistory, feedbackMessage]);
   };
   
-  // Generate mock query results
-  const generateMockResults = (input, schema) => {
-    const perspectives = [
-      { 
-        name: 'Simple Match Query', 
-        approach: 'Direct match on relevant fields with minimal complexity'
-      },
-      { 
-        name: 'Boolean Query with Filters', 
-        approach: 'More precise approach using bool query with filters for better performance'
-      },
-      { 
-        name: 'Multi-field Search', 
-        approach: 'Search across multiple relevant fields with boosting important ones'
-      }
-    ];
-    
-    const baseQuery = input.toLowerCase();
-    const results = [];
-    
-    // Helper to generate a unique ID
-    const generateId = () => Math.random().toString(36).substring(2, 15);
-    
-    // Simple match query
-    if (baseQuery.includes('error') || baseQuery.includes('logs')) {
-      results.push({
-        id: generateId(),
-        perspective: perspectives[0],
-        query: {
-          query: {
-            match: {
-              message: baseQuery.includes('error') ? 'error' : 'log'
-            }
-          }
-        },
-        rankingScore: 0.85,
-        explanation: `This straightforward match query looks for the term "${baseQuery.includes('error') ? 'error' : 'log'}" in the message field of your documents.`,
-        validation: { warnings: [], errors: [] },
-        recommendations: [
-          'Consider using a more specific field than "message" if available',
-          'Add a time range filter if you need recent results'
-        ]
-      });
-    }
-    
-    // Boolean query with filters
-    if (schema && schema.analysis) {
-      // Use fields from schema if available
-      const dateFields = schema.analysis.dateFields || ['@timestamp'];
-      const searchableFields = schema.analysis.searchableFields || ['message', 'log.level'];
-      
-      const timeFilter = baseQuery.includes('last 24 hours') || baseQuery.includes('today');
-      const errorFilter = baseQuery.includes('error');
-      const infoFilter = baseQuery.includes('info');
-      const warningFilter = baseQuery.includes('warn') || baseQuery.includes('warning');
-      
-      const boolQuery = {
-        query: {
-          bool: {
-            must: [],
-            filter: []
-          }
-        }
-      };
-      
-      if (timeFilter) {
-        boolQuery.query.bool.filter.push({
-          range: {
-            [dateFields[0]]: {
-              gte: 'now-24h/h',
-              lte: 'now'
-            }
-          }
-        });
-      }
-      
-      if (errorFilter || infoFilter || warningFilter) {
-        const levels = [];
-        if (errorFilter) levels.push('error');
-        if (infoFilter) levels.push('info'); 
-        if (warningFilter) levels.push('warn');
-        
-        if (levels.length === 1) {
-          boolQuery.query.bool.filter.push({
-            term: {
-              'log.level': levels[0]
-            }
-          });
-        } else if (levels.length > 1) {
-          boolQuery.query.bool.filter.push({
-            terms: {
-              'log.level': levels
-            }
-          });
-        }
-      }
-      
-      if (baseQuery.includes('search') || baseQuery.includes('find')) {
-        const textToSearch = baseQuery
-          .replace('search for', '')
-          .replace('search', '')
-          .replace('find', '')
-          .replace('in logs', '')
-          .replace('in log', '')
-          .replace('in the last 24 hours', '')
-          .replace('in the last day', '')
-          .replace('today', '')
-          .trim();
-          
-        if (textToSearch && textToSearch !== 'error' && textToSearch !== 'info' && textToSearch !== 'warn' && textToSearch !== 'warning') {
-          boolQuery.query.bool.must.push({
-            multi_match: {
-              query: textToSearch,
-              fields: searchableFields
-            }
-          });
-        }
-      }
-      
-      // Only add if we have actual filters or must clauses
-      if (boolQuery.query.bool.filter.length > 0 || boolQuery.query.bool.must.length > 0) {
-        results.push({
-          id: generateId(),
-          perspective: perspectives[1],
-          query: boolQuery,
-          rankingScore: 0.92,
-          explanation: `This boolean query combines precise filters with text matching. Filters are used for exact matches which are more efficient than regular queries.`,
-          validation: { warnings: [], errors: [] },
-          recommendations: []
-        });
-      }
-    }
-    
-    // Multi-field search
-    if (baseQuery.includes('search') || baseQuery.includes('find') || baseQuery.includes('show me')) {
-      const textToSearch = baseQuery
-        .replace('search for', '')
-        .replace('search', '')
-        .replace('find', '')
-        .replace('show me', '')
-        .replace('in logs', '')
-        .replace('in log', '')
-        .replace('in the last 24 hours', '')
-        .replace('in the last day', '')
-        .replace('today', '')
-        .trim();
-        
-      if (textToSearch && textToSearch.length > 3) {
-        const multiFieldQuery = {
-          query: {
-            multi_match: {
-              query: textToSearch,
-              fields: ['message^3', 'log.logger', 'service.name'],
-              type: 'best_fields',
-              fuzziness: 'AUTO'
-            }
-          }
-        };
-        
-        results.push({
-          id: generateId(),
-          perspective: perspectives[2],
-          query: multiFieldQuery,
-          rankingScore: 0.78,
-          explanation: `This query searches across multiple fields for the terms "${textToSearch}", with boosting on the message field (^3). The fuzziness parameter allows for slight misspellings.`,
-          validation: { warnings: ['Fuzzy queries may impact performance on large indices'], errors: [] },
-          recommendations: [
-            'Consider removing fuzziness if exact matches are required',
-            'Add specific field filters if you know which fields should contain the terms'
-          ]
-        });
-      }
-    }
-    
-    // If no specific queries were generated, create a generic one
-    if (results.length === 0) {
-      results.push({
-        id: generateId(),
-        perspective: perspectives[0],
-        query: {
-          query: {
-            multi_match: {
-              query: input,
-              fields: ['message', 'log.level', 'service.name']
-            }
-          }
-        },
-        rankingScore: 0.7,
-        explanation: `This is a generic query based on your input. It searches across multiple fields for terms in your request.`,
-        validation: { 
-          warnings: ['This is a generic query and might not be optimized for your specific use case'], 
-          errors: [] 
-        },
-        recommendations: [
-          'Try being more specific about what fields or values you are looking for',
-          'Specify time ranges if applicable (e.g., "in the last hour")',
-          'Mention specific log levels or other attributes you want to filter by'
-        ]
-      });
-    }
-    
-    // Sort by ranking score, descending
-    return results.sort((a, b) => b.rankingScore - a.rankingScore);
-  };
-  
   return (
     <div className="h-full flex flex-col overflow-hidden">
+      {/* Query target */}
+      <div className="border-b border-gray-200 dark:border-gray-700 px-4 py-2">
+        <div className="flex items-center">
+          <label htmlFor="query-target" className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">
+            Target
+          </label>
+          <input
+            id="query-target"
+            type="text"
+            list="query-target-options"
+            value={targetInput}
+            onChange={(e) => setTargetInput(e.target.value)}
+            onBlur={commitTarget}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                commitTarget();
+              }
+            }}
+            disabled={!isConnected || !onIndexPatternChange}
+            placeholder="Index pattern, alias or data stream"
+            className="flex-1 rounded-md border border-gray-300 dark:border-gray-600 py-1 px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+          />
+          <datalist id="query-target-options">
+            {targetOptions.map(option => (
+              <option key={`${option.kind}:${option.name}`} value={option.name}>
+                {option.kind}
+              </option>
+            ))}
+          </datalist>
+          <button
+            type="button"
+            onClick={() => setShowSchema(value => !value)}
+            disabled={!indexPattern}
+            className={`ml-2 px-2 py-1 text-sm rounded-md border ${
+              showSchema
+                ? 'border-blue-600 text-blue-600 dark:text-blue-400'
+                : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+            } disabled:opacity-50`}
+            title={showSchema ? 'Hide fields' : 'Show the fields of the target'}
+          >
+            Fields
+          </button>
+        </div>
+        {targetError && (
+          <p className="text-xs text-red-600 mt-1">{targetError}</p>
+        )}
+      </div>
+      
+      {/* Schema explorer */}
+      {showSchema && indexPattern && (
+        <div className="h-72 flex-shrink-0 border-b border-gray-200 dark:border-gray-700">
+          <SchemaExplorer
+            activeCluster={activeCluster}
+            indexPattern={indexPattern}
+            schemaManager={schemaManager}
+            onInsertField={handleInsertField}
+          />
+        </div>
+      )}
+      
       {/* Chat history */}
       <div 
         ref={chatContainerRef}
@@ -382,7 +400,43 @@ const ChatInterface = ({
                     : 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200 rounded-bl-none'
               }`}
             >
-              {message.content}
+              {message.card ? (
+                <div>
+                  <div className="flex items-center font-semibold">
+                    <svg className="w-4 h-4 mr-2 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                    {message.card.title}
+                  </div>
+                  <p className="mt-1">{message.content}</p>
+                  {message.card.detail && (
+                    <code className="block mt-1 text-xs">{message.card.detail}</code>
+                  )}
+                  <p className="mt-2 text-xs">{message.card.hint}</p>
+                </div>
+              ) : message.clarification ? (
+                <div>
+                  <p>{message.content}</p>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {message.clarification.ambiguity.candidates.map(candidate => (
+                      <button
+                        key={candidate.field}
+                        type="button"
+                        onClick={() => handleClarify(message, candidate.field)}
+                        disabled={loading || message.clarification.answer !== null}
+                        className={`px-3 py-1 rounded-full border text-sm font-mono disabled:cursor-default ${
+                          message.clarification.answer === candidate.field
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : 'bg-white border-blue-300 text-blue-700 hover:bg-blue-50 disabled:opacity-50 disabled:hover:bg-white dark:bg-gray-800 dark:border-blue-700 dark:text-blue-300 dark:hover:bg-gray-900'
+                        }`}
+                        title={candidate.type}
+                      >
+                        {candidate.field}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : message.content}
               <div className="text-xs opacity-70 mt-1">
                 {new Date(message.timestamp).toLocaleTimeString()}
               </div>
@@ -427,29 +481,42 @@ const ChatInterface = ({
       <div className="border-t border-gray-200 dark:border-gray-700 p-4">
         <form onSubmit={handleSubmit} className="flex items-center">
           <input
+            ref={inputRef}
             type="text"
             value={userInput}
             onChange={(e) => setUserInput(e.target.value)}
-            disabled={loading || !isConnected}
-            placeholder={isConnected ? "Describe the query you want to create..." : "Connect to Elasticsearch to start..."}
+            disabled={loading || !isConnected || !indexPattern}
+            placeholder={
+              !isConnected
+                ? "Connect to Elasticsearch to start..."
+                : !indexPattern
+                  ? "Choose a target index, alias or data stream first..."
+                  : "Describe the query you want to create..."
+            }
             className="flex-1 rounded-l-lg border border-gray-300 dark:border-gray-600 py-2 px-4 focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white disabled:bg-gray-100 disabled:dark:bg-gray-800 disabled:text-gray-500 disabled:dark:text-gray-400"
           />
-          <button
-            type="submit"
-            disabled={loading || !isConnected || !userInput.trim()}
-            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-r-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          >
-            {loading ? (
-              <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          {loading ? (
+            <button
+              type="button"
+              onClick={handleStop}
+              className="bg-red-600 hover:bg-red-700 text-white rounded-r-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+              title="Stop"
+            >
+              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                <rect x="6" y="6" width="12" height="12" rx="1" />
               </svg>
-            ) : (
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!isConnected || !indexPattern || !userInput.trim()}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-r-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 5l7 7-7 7M5 5l7 7-7 7" />
               </svg>
-            )}
-          </button>
+            </button>
+          )}
         </form>
         {!isConnected && (
           <p className="text-center text-sm text-yellow-600 dark:text-yellow-400 mt-2">
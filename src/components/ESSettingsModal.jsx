@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { parseCloudId, parseNodeUrl, normalizePathPrefix, describeEndpoint } from '../services/ESEndpoints';
 
 /**
  * ESSettingsModal component
@@ -12,11 +13,31 @@ const ESSettingsModal = ({
   activeCluster = null,
   onClusterAdd,
   onClusterSelect,
-  onClusterRemove
+  onClusterRemove,
+  onTestConnection,
+  health = {},
+  healthHistory = {},
+  healthCheckInterval = null,
+  circuitStates = {},
+  onHealthCheckIntervalChange,
+  demoMode = false,
+  onDemoModeChange,
+  credentialStatus = null,
+  onUnlockCredentials,
+  onLockCredentials,
+  onExportClusters,
+  onPreviewImport,
+  onImportClusters,
+  onReadOnlyChange
 }) => {
   // State for new cluster form
   const [formValues, setFormValues] = useState({
     name: '',
+    engine: 'elasticsearch',
+    connectionType: 'host',
+    cloudId: '',
+    nodes: '',
+    pathPrefix: '',
     host: 'localhost',
     port: 9200,
     protocol: 'http',
@@ -24,8 +45,14 @@ const ESSettingsModal = ({
       type: 'none',
       username: '',
       password: '',
-      apiKey: ''
-    }
+      apiKey: '',
+      token: ''
+    },
+    headers: '',
+    requestTimeout: 30,
+    maxRetries: 2,
+    tags: '',
+    readOnly: false
   });
   
   // State for form validation
@@ -40,6 +67,29 @@ const ESSettingsModal = ({
   // Test connection status
   const [testStatus, setTestStatus] = useState(null);
   
+  // Error message from the last failed connection test
+  const [testError, setTestError] = useState(null);
+  
+  // Passphrase entry for the credential vault
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+  const [vaultError, setVaultError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  
+  // How exports carry secrets: 'redact', 'encrypt' or 'placeholders'
+  const [exportSecrets, setExportSecrets] = useState('redact');
+  
+  // Profile bundle being imported and the preview of its changes
+  const [importText, setImportText] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importEnvironment, setImportEnvironment] = useState({});
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  
+  // Whether the read-only box was set by hand rather than following the tags
+  const [readOnlyTouched, setReadOnlyTouched] = useState(false);
+  
   // Effect for setting selected cluster when active cluster changes
   useEffect(() => {
     if (activeCluster) {
@@ -61,6 +111,13 @@ const ESSettingsModal = ({
           [child]: value
         }
       }));
+    } else if (name === 'tags' && !readOnlyTouched) {
+      // Production clusters default to read-only
+      setFormValues(prev => ({
+        ...prev,
+        tags: value,
+        readOnly: parseTags(value).some(tag => tag.toLowerCase() === 'production')
+      }));
     } else {
       setFormValues(prev => ({
         ...prev,
@@ -84,14 +141,36 @@ const ESSettingsModal = ({
       errors.name = 'Cluster name is required';
     }
     
-    if (!formValues.host.trim()) {
-      errors.host = 'Host is required';
+    if (formValues.connectionType === 'cloud') {
+      try {
+        parseCloudId(formValues.cloudId);
+      } catch (error) {
+        errors.cloudId = error.message;
+      }
+    } else if (formValues.connectionType === 'nodes') {
+      const nodes = parseNodes(formValues.nodes);
+      if (nodes.length === 0) {
+        errors.nodes = 'At least one node URL is required';
+      }
+      try {
+        nodes.forEach(parseNodeUrl);
+      } catch (error) {
+        errors.nodes = error.message;
+      }
+    } else {
+      if (!formValues.host.trim()) {
+        errors.host = 'Host is required';
+      }
+      
+      if (!formValues.port) {
+        errors.port = 'Port is required';
+      } else if (isNaN(formValues.port) || formValues.port <= 0) {
+        errors.port = 'Port must be a positive number';
+      }
     }
     
-    if (!formValues.port) {
-      errors.port = 'Port is required';
-    } else if (isNaN(formValues.port) || formValues.port <= 0) {
-      errors.port = 'Port must be a positive number';
+    if (/[?#\s]/.test(formValues.pathPrefix.trim())) {
+      errors.pathPrefix = 'Path prefix must be a URL path such as /elasticsearch';
     }
     
     // Validate auth fields if auth type is not 'none'
@@ -106,31 +185,117 @@ const ESSettingsModal = ({
       if (!formValues.auth.apiKey.trim()) {
         errors['auth.apiKey'] = 'API Key is required';
       }
+    } else if (formValues.auth.type === 'bearer') {
+      if (!formValues.auth.token.trim()) {
+        errors['auth.token'] = 'Token is required';
+      }
+    }
+    
+    if (!formValues.requestTimeout || isNaN(formValues.requestTimeout) || Number(formValues.requestTimeout) <= 0) {
+      errors.requestTimeout = 'Timeout must be a positive number of seconds';
+    }
+    
+    if (formValues.maxRetries === '' || !Number.isInteger(Number(formValues.maxRetries)) || Number(formValues.maxRetries) < 0) {
+      errors.maxRetries = 'Retries must be 0 or more';
+    }
+    
+    // Validate custom headers format
+    try {
+      parseHeaders(formValues.headers);
+    } catch (error) {
+      errors.headers = error.message;
     }
     
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
   
-  const handleAddCluster = (e) => {
+  // Parse "Name: value" lines into a header map
+  const parseHeaders = (text) => {
+    const headers = {};
+    
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        throw new Error(`Invalid header line "${line.trim()}", expected "Name: value"`);
+      }
+      
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    
+    return headers;
+  };
+  
+  // Split node URLs given one per line or comma separated
+  const parseNodes = (text) => {
+    return text.split(/[\n,]/).map(node => node.trim()).filter(Boolean);
+  };
+  
+  // Split a comma separated tag list
+  const parseTags = (text) => {
+    return text.split(',').map(tag => tag.trim()).filter(Boolean);
+  };
+  
+  // Build a cluster configuration from the form values
+  const buildClusterConfig = () => {
+    const headers = parseHeaders(formValues.headers);
+    const { connectionType, cloudId, nodes, pathPrefix, host, port, protocol, ...rest } = formValues;
+    
+    // Only the settings of the chosen connection type are stored
+    let endpoint;
+    if (connectionType === 'cloud') {
+      endpoint = { cloudId: cloudId.trim(), protocol: 'https' };
+    } else if (connectionType === 'nodes') {
+      const nodeUrls = parseNodes(nodes);
+      endpoint = { nodes: nodeUrls, protocol: parseNodeUrl(nodeUrls[0]).protocol.replace(':', '') };
+    } else {
+      endpoint = { host, port: Number(port), protocol };
+    }
+    
+    return {
+      ...rest,
+      ...endpoint,
+      pathPrefix: pathPrefix.trim() ? normalizePathPrefix(pathPrefix) : undefined,
+      headers: Object.keys(headers).length > 0 ? headers : undefined,
+      requestTimeout: Number(formValues.requestTimeout) * 1000,
+      maxRetries: Number(formValues.maxRetries),
+      tags: parseTags(formValues.tags),
+      readOnly: formValues.readOnly
+    };
+  };
+  
+  const handleAddCluster = async (e) => {
     e.preventDefault();
     
     if (!validateForm()) {
       return;
     }
     
-    // Convert port to number
-    const clusterConfig = {
-      ...formValues,
-      port: Number(formValues.port)
-    };
+    // Secrets can only be stored encrypted, which needs an unlocked vault
+    const hasSecrets = formValues.auth.type !== 'none' || formValues.headers.trim() !== '';
+    if (hasSecrets && credentialStatus && !credentialStatus.unlocked) {
+      setVaultError('Unlock the credential vault before saving a cluster with credentials');
+      return;
+    }
     
     // Call parent handler
-    onClusterAdd(clusterConfig);
+    try {
+      await onClusterAdd(buildClusterConfig());
+    } catch (error) {
+      setFormErrors({ submit: error.message });
+      return;
+    }
     
     // Reset form
     setFormValues({
       name: '',
+      engine: 'elasticsearch',
+      connectionType: 'host',
+      cloudId: '',
+      nodes: '',
+      pathPrefix: '',
       host: 'localhost',
       port: 9200,
       protocol: 'http',
@@ -138,31 +303,297 @@ const ESSettingsModal = ({
         type: 'none',
         username: '',
         password: '',
-        apiKey: ''
-      }
+        apiKey: '',
+        token: ''
+      },
+      headers: '',
+      requestTimeout: 30,
+      maxRetries: 2,
+      tags: '',
+      readOnly: false
     });
+    setReadOnlyTouched(false);
     
     // Switch to manage tab
     setActiveTab('manage');
   };
   
-  const handleTestConnection = () => {
+  const handleTestConnection = async () => {
     if (!validateForm()) {
       return;
     }
     
     setTestStatus('testing');
+    setTestError(null);
     
-    // In a real implementation, this would call a service to test the connection
-    // For demo purposes, simulate a successful connection after delay
+    try {
+      const result = await onTestConnection(buildClusterConfig());
+      
+      if (result.connected) {
+        setTestStatus('success');
+        setTestError(result.warning || null);
+      } else {
+        setTestStatus('error');
+        setTestError(result.error);
+      }
+    } catch (error) {
+      setTestStatus('error');
+      setTestError(error.message);
+    }
+    
+    // Reset after 3 seconds
     setTimeout(() => {
-      setTestStatus('success');
+      setTestStatus(null);
+    }, 3000);
+  };
+  
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    
+    if (!passphrase) {
+      setVaultError('Passphrase is required');
+      return;
+    }
+    
+    // Setting a passphrase for the first time requires confirmation
+    if (!credentialStatus.initialized && passphrase !== passphraseConfirm) {
+      setVaultError('Passphrases do not match');
+      return;
+    }
+    
+    setIsUnlocking(true);
+    setVaultError(null);
+    
+    try {
+      await onUnlockCredentials(passphrase);
+      setPassphrase('');
+      setPassphraseConfirm('');
+    } catch (error) {
+      setVaultError(error.message);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+  
+  const handleExport = async () => {
+    try {
+      const json = await onExportClusters({
+        includeSecrets: exportSecrets === 'encrypt',
+        secretPlaceholders: exportSecrets === 'placeholders'
+      });
       
-      // Reset after 3 seconds
-      setTimeout(() => {
-        setTestStatus(null);
-      }, 3000);
-    }, 1000);
+      // Offer the export as a file download
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'elasticsearch-clusters.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setVaultError(error.message);
+    }
+  };
+  
+  // Preview a bundle with the placeholder values entered so far
+  const refreshImportPreview = async (text, environment) => {
+    try {
+      setImportPreview(await onPreviewImport(text, { environment }));
+      setImportError(null);
+    } catch (error) {
+      setImportPreview(null);
+      setImportError(error.message);
+    }
+  };
+  
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const text = await file.text();
+    setImportText(text);
+    setImportEnvironment({});
+    setImportPassphrase('');
+    await refreshImportPreview(text, {});
+  };
+  
+  const handleImportEnvironmentChange = (name, value) => {
+    setImportEnvironment(prev => ({ ...prev, [name]: value }));
+  };
+  
+  const cancelImport = () => {
+    setImportText(null);
+    setImportPreview(null);
+    setImportEnvironment({});
+    setImportPassphrase('');
+    setImportError(null);
+  };
+  
+  const handleConfirmImport = async () => {
+    setIsImporting(true);
+    try {
+      await onImportClusters(importText, {
+        environment: importEnvironment,
+        passphrase: importPassphrase || undefined
+      });
+      cancelImport();
+    } catch (error) {
+      setImportError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+  
+  const renderImportPreview = () => {
+    if (!importText) return null;
+    
+    const actionLabels = {
+      add: { label: 'New', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+      update: { label: 'Overwrites', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+      unchanged: { label: 'No changes', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200' }
+    };
+    
+    return (
+      <div className="rounded-md border border-gray-200 dark:border-gray-700 px-3 py-3 space-y-3">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-gray-200">Import preview</h4>
+        
+        {importPreview && (
+          <ul className="space-y-2">
+            {importPreview.changes.map(change => (
+              <li key={change.id} className="text-sm">
+                <div className="flex items-center">
+                  <span className="font-medium text-gray-900 dark:text-gray-200">{change.name}</span>
+                  <span className={`ml-2 px-2 py-0.5 rounded-md text-xs font-medium ${actionLabels[change.action].className}`}>
+                    {actionLabels[change.action].label}
+                  </span>
+                </div>
+                {change.fields.length > 0 && (
+                  <ul className="mt-1 ml-3 text-xs text-gray-600 dark:text-gray-400">
+                    {change.fields.map(field => (
+                      <li key={field.path}>
+                        <code>{field.path}</code>: {field.before === null ? <em>unset</em> : String(field.before)}
+                        {' → '}
+                        {field.after === null ? <em>unset</em> : String(field.after)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        {importPreview?.placeholders.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs text-gray-600 dark:text-gray-400">
+              The bundle references these variables. Their values are stored encrypted and never written back to the file.
+            </p>
+            {importPreview.placeholders.map(name => (
+              <div key={name} className="flex items-center">
+                <label className="w-1/2 text-xs font-mono text-gray-700 dark:text-gray-300">{`\${${name}}`}</label>
+                <input
+                  type="password"
+                  value={importEnvironment[name] || ''}
+                  onChange={(e) => handleImportEnvironmentChange(name, e.target.value)}
+                  onBlur={() => refreshImportPreview(importText, importEnvironment)}
+                  className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        
+        {importPreview?.encryptedSecrets && (
+          <input
+            type="password"
+            value={importPassphrase}
+            onChange={(e) => setImportPassphrase(e.target.value)}
+            placeholder="Passphrase the bundle was exported with"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+        )}
+        
+        {importError && (
+          <p className="text-sm text-red-600">{importError}</p>
+        )}
+        
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={cancelImport}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirmImport}
+            disabled={!importPreview || importPreview.missing.some(name => !importEnvironment[name]) || isImporting}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {isImporting ? 'Importing...' : `Import ${importPreview?.changes.length || 0} clusters`}
+          </button>
+        </div>
+      </div>
+    );
+  };
+  
+  const renderCredentialVault = () => {
+    if (!credentialStatus || !onUnlockCredentials) {
+      return null;
+    }
+    
+    if (credentialStatus.unlocked) {
+      return (
+        <div className="mb-4 flex items-center justify-between rounded-md bg-green-50 dark:bg-green-900 px-3 py-2">
+          <span className="text-sm text-green-800 dark:text-green-200">
+            Credentials unlocked
+          </span>
+          <button
+            type="button"
+            onClick={onLockCredentials}
+            className="text-sm font-medium text-green-700 hover:text-green-900 dark:text-green-300 dark:hover:text-green-100"
+          >
+            Lock
+          </button>
+        </div>
+      );
+    }
+    
+    return (
+      <form onSubmit={handleUnlock} className="mb-4 rounded-md bg-yellow-50 dark:bg-yellow-900 px-3 py-3 space-y-2">
+        <p className="text-sm text-yellow-800 dark:text-yellow-200">
+          {credentialStatus.initialized
+            ? 'Stored credentials are encrypted. Enter your passphrase to unlock them.'
+            : 'Set a passphrase to encrypt the credentials you store.'}
+        </p>
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        />
+        {!credentialStatus.initialized && (
+          <input
+            type="password"
+            value={passphraseConfirm}
+            onChange={(e) => setPassphraseConfirm(e.target.value)}
+            placeholder="Confirm passphrase"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+        )}
+        {vaultError && (
+          <p className="text-sm text-red-600">{vaultError}</p>
+        )}
+        <button
+          type="submit"
+          disabled={isUnlocking}
+          className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          {isUnlocking ? 'Unlocking...' : credentialStatus.initialized ? 'Unlock' : 'Set Passphrase'}
+        </button>
+      </form>
+    );
   };
   
   const renderConfigureTab = () => {
@@ -187,58 +618,163 @@ const ESSettingsModal = ({
           )}
         </div>
         
-        <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Engine
+          </label>
+          <select
+            name="engine"
+            value={formValues.engine}
+            onChange={handleInputChange}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            <option value="elasticsearch">Elasticsearch</option>
+            <option value="opensearch">OpenSearch</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Connection
+          </label>
+          <select
+            name="connectionType"
+            value={formValues.connectionType}
+            onChange={handleInputChange}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            <option value="host">Single host</option>
+            <option value="nodes">Multiple nodes</option>
+            <option value="cloud">Elastic Cloud ID</option>
+          </select>
+        </div>
+        
+        {formValues.connectionType === 'host' && (
+          <>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Protocol
+                </label>
+                <select
+                  name="protocol"
+                  value={formValues.protocol}
+                  onChange={handleInputChange}
+                  className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  <option value="http">HTTP</option>
+                  <option value="https">HTTPS</option>
+                </select>
+              </div>
+          
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Host
+                </label>
+                <input
+                  type="text"
+                  name="host"
+                  value={formValues.host}
+                  onChange={handleInputChange}
+                  className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                    formErrors.host ? 'border-red-500' : ''
+                  }`}
+                  placeholder="localhost"
+                />
+                {formErrors.host && (
+                  <p className="mt-1 text-sm text-red-600">{formErrors.host}</p>
+                )}
+              </div>
+            </div>
+        
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Port
+              </label>
+              <input
+                type="number"
+                name="port"
+                value={formValues.port}
+                onChange={handleInputChange}
+                className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                  formErrors.port ? 'border-red-500' : ''
+                }`}
+                placeholder="9200"
+              />
+              {formErrors.port && (
+                <p className="mt-1 text-sm text-red-600">{formErrors.port}</p>
+              )}
+            </div>
+          </>
+        )}
+        
+        {formValues.connectionType === 'nodes' && (
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Protocol
+              Node URLs
             </label>
-            <select
-              name="protocol"
-              value={formValues.protocol}
+            <textarea
+              name="nodes"
+              value={formValues.nodes}
               onChange={handleInputChange}
-              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-            >
-              <option value="http">HTTP</option>
-              <option value="https">HTTPS</option>
-            </select>
+              rows={3}
+              className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                formErrors.nodes ? 'border-red-500' : ''
+              }`}
+              placeholder={'https://es-1.internal:9200\nhttps://es-2.internal:9200'}
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              One URL per line. Requests are spread round-robin and fail over to the next node.
+            </p>
+            {formErrors.nodes && (
+              <p className="mt-1 text-sm text-red-600">{formErrors.nodes}</p>
+            )}
           </div>
-          
+        )}
+        
+        {formValues.connectionType === 'cloud' && (
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Host
+              Cloud ID
             </label>
             <input
               type="text"
-              name="host"
-              value={formValues.host}
+              name="cloudId"
+              value={formValues.cloudId}
               onChange={handleInputChange}
               className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
-                formErrors.host ? 'border-red-500' : ''
+                formErrors.cloudId ? 'border-red-500' : ''
               }`}
-              placeholder="localhost"
+              placeholder="my-deployment:ZXUtd2VzdC0xLmF3cy5mb3VuZC5pbyRhYmMxMjMkZGVmNDU2"
             />
-            {formErrors.host && (
-              <p className="mt-1 text-sm text-red-600">{formErrors.host}</p>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Copy it from the deployment page of the Elastic Cloud console.
+            </p>
+            {formErrors.cloudId && (
+              <p className="mt-1 text-sm text-red-600">{formErrors.cloudId}</p>
             )}
           </div>
-        </div>
+        )}
         
         <div>
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-            Port
+            Path Prefix
           </label>
           <input
-            type="number"
-            name="port"
-            value={formValues.port}
+            type="text"
+            name="pathPrefix"
+            value={formValues.pathPrefix}
             onChange={handleInputChange}
             className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
-              formErrors.port ? 'border-red-500' : ''
+              formErrors.pathPrefix ? 'border-red-500' : ''
             }`}
-            placeholder="9200"
+            placeholder="/elasticsearch"
           />
-          {formErrors.port && (
-            <p className="mt-1 text-sm text-red-600">{formErrors.port}</p>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Optional, for clusters served under a path behind a reverse proxy
+          </p>
+          {formErrors.pathPrefix && (
+            <p className="mt-1 text-sm text-red-600">{formErrors.pathPrefix}</p>
           )}
         </div>
         
@@ -255,6 +791,7 @@ const ESSettingsModal = ({
             <option value="none">No Authentication</option>
             <option value="basic">Basic Authentication</option>
             <option value="apiKey">API Key</option>
+            <option value="bearer">Bearer Token</option>
           </select>
         </div>
         
@@ -318,6 +855,133 @@ const ESSettingsModal = ({
           </div>
         )}
         
+        {formValues.auth.type === 'bearer' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Bearer Token
+            </label>
+            <input
+              type="password"
+              name="auth.token"
+              value={formValues.auth.token}
+              onChange={handleInputChange}
+              className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                formErrors['auth.token'] ? 'border-red-500' : ''
+              }`}
+            />
+            {formErrors['auth.token'] && (
+              <p className="mt-1 text-sm text-red-600">{formErrors['auth.token']}</p>
+            )}
+          </div>
+        )}
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Custom Headers
+          </label>
+          <textarea
+            name="headers"
+            value={formValues.headers}
+            onChange={handleInputChange}
+            rows={2}
+            className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+              formErrors.headers ? 'border-red-500' : ''
+            }`}
+            placeholder="X-Found-Cluster: my-cluster"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            One header per line, in the form Name: value
+          </p>
+          {formErrors.headers && (
+            <p className="mt-1 text-sm text-red-600">{formErrors.headers}</p>
+          )}
+        </div>
+        
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Request Timeout (s)
+            </label>
+            <input
+              type="number"
+              name="requestTimeout"
+              min="1"
+              value={formValues.requestTimeout}
+              onChange={handleInputChange}
+              className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                formErrors.requestTimeout ? 'border-red-500' : ''
+              }`}
+            />
+            {formErrors.requestTimeout && (
+              <p className="mt-1 text-sm text-red-600">{formErrors.requestTimeout}</p>
+            )}
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Max Retries
+            </label>
+            <input
+              type="number"
+              name="maxRetries"
+              min="0"
+              value={formValues.maxRetries}
+              onChange={handleInputChange}
+              className={`block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white ${
+                formErrors.maxRetries ? 'border-red-500' : ''
+              }`}
+            />
+            {formErrors.maxRetries && (
+              <p className="mt-1 text-sm text-red-600">{formErrors.maxRetries}</p>
+            )}
+          </div>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Tags
+          </label>
+          <input
+            type="text"
+            name="tags"
+            value={formValues.tags}
+            onChange={handleInputChange}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            placeholder="production, eu-west"
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Comma separated. Clusters tagged production start in read-only mode.
+          </p>
+        </div>
+        
+        <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={formValues.readOnly}
+            onChange={(e) => {
+              setReadOnlyTouched(true);
+              setFormValues(prev => ({ ...prev, readOnly: e.target.checked }));
+            }}
+            className="mt-0.5 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>
+            Read-only
+            <span className="block text-xs text-gray-500 dark:text-gray-400">
+              Only search requests are sent; deletes, updates, index writes, stored scripts and cluster settings are refused.
+            </span>
+          </span>
+        </label>
+        
+        {formErrors.submit && (
+          <p className="text-sm text-red-600">{formErrors.submit}</p>
+        )}
+        {testStatus === 'error' && testError && (
+          <p className="text-sm text-red-600">Connection failed: {testError}</p>
+        )}
+        {testStatus === 'success' && testError && (
+          <p className="text-sm text-yellow-600 dark:text-yellow-400">{testError}</p>
+        )}
+        
         <div className="flex justify-between pt-4">
           <button
             type="button"
@@ -340,6 +1004,13 @@ const ESSettingsModal = ({
                 </svg>
                 Connection Successful
               </>
+            ) : testStatus === 'error' ? (
+              <>
+                <svg className="w-4 h-4 mr-2 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+                </svg>
+                Connection Failed
+              </>
             ) : (
               'Test Connection'
             )}
@@ -365,6 +1036,48 @@ const ESSettingsModal = ({
     );
   };
   
+  // Colours used for health statuses in the timeline
+  const healthColors = {
+    green: 'bg-green-500',
+    yellow: 'bg-yellow-400',
+    red: 'bg-red-500',
+    unreachable: 'bg-gray-500'
+  };
+  
+  const renderHealthTimeline = (clusterId) => {
+    const samples = (healthHistory[clusterId] || []).slice(-30);
+    const current = health[clusterId];
+    
+    if (samples.length === 0) {
+      return null;
+    }
+    
+    const latest = samples[samples.length - 1];
+    
+    return (
+      <div className="mt-1">
+        <div className="flex items-end h-3 space-x-px" aria-label="Health timeline">
+          {samples.map((sample, index) => (
+            <span
+              key={index}
+              className={`inline-block w-1 h-3 rounded-sm ${healthColors[sample.status] || 'bg-gray-300'}`}
+              title={`${new Date(sample.timestamp).toLocaleTimeString()}: ${sample.status}${
+                sample.latency !== null ? `, ${sample.latency} ms` : ''
+              }${sample.nodeCount !== null ? `, ${sample.nodeCount} nodes` : ''}${
+                sample.error ? ` (${sample.error})` : ''
+              }`}
+            />
+          ))}
+        </div>
+        <div className="text-xs text-gray-400 dark:text-gray-500">
+          {latest.status}
+          {current?.nodeCount !== null && current?.nodeCount !== undefined && ` · ${current.nodeCount} nodes`}
+          {latest.latency !== null && ` · ${latest.latency} ms`}
+        </div>
+      </div>
+    );
+  };
+  
   const renderManageTab = () => {
     if (clusters.length === 0) {
       return (
@@ -384,6 +1097,43 @@ const ESSettingsModal = ({
     
     return (
       <div className="space-y-4">
+        {onHealthCheckIntervalChange && (
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Health checks
+            </label>
+            <select
+              value={healthCheckInterval ?? 30000}
+              onChange={(e) => onHealthCheckIntervalChange(Number(e.target.value))}
+              className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value={15000}>Every 15 seconds</option>
+              <option value={30000}>Every 30 seconds</option>
+              <option value={60000}>Every minute</option>
+              <option value={300000}>Every 5 minutes</option>
+              <option value={0}>Off</option>
+            </select>
+          </div>
+        )}
+        
+        {onDemoModeChange && (
+          <div className="flex items-center justify-between">
+            <label htmlFor="demo-mode" className="text-sm text-gray-700 dark:text-gray-300">
+              Demo mode
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                Use built-in sample schemas instead of the cluster's mappings
+              </span>
+            </label>
+            <input
+              id="demo-mode"
+              type="checkbox"
+              checked={demoMode}
+              onChange={(e) => onDemoModeChange(e.target.checked)}
+              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+          </div>
+        )}
+        
         <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 rounded-md">
           <table className="min-w-full divide-y divide-gray-300 dark:divide-gray-700">
             <thead className="bg-gray-50 dark:bg-gray-800">
@@ -410,9 +1160,23 @@ const ESSettingsModal = ({
                 >
                   <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-gray-900 dark:text-gray-200">
                     {cluster.name}
+                    {cluster.secretsUnreadable ? (
+                      <div className="text-xs font-normal text-red-600 dark:text-red-400">Credentials could not be decrypted; enter them again</div>
+                    ) : cluster.secretsLocked && (
+                      <div className="text-xs font-normal text-yellow-600 dark:text-yellow-400">Credentials locked</div>
+                    )}
                   </td>
                   <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500 dark:text-gray-400">
-                    {cluster.protocol}://{cluster.host}:{cluster.port}
+                    {describeEndpoint(cluster)}
+                    {!cluster.versionInfo?.number && cluster.engine === 'opensearch' && (
+                      <div className="text-xs text-gray-400 dark:text-gray-500">OpenSearch</div>
+                    )}
+                    {cluster.versionInfo?.number && (
+                      <div className="text-xs text-gray-400 dark:text-gray-500">
+                        {cluster.versionInfo.distribution === 'opensearch' ? 'OpenSearch' : 'Elasticsearch'} {cluster.versionInfo.number}
+                        {cluster.versionInfo.buildFlavor && cluster.versionInfo.buildFlavor !== 'default' && ` (${cluster.versionInfo.buildFlavor})`}
+                      </div>
+                    )}
                   </td>
                   <td className="whitespace-nowrap px-3 py-4 text-sm">
                     {cluster.id === activeCluster ? (
@@ -427,6 +1191,17 @@ const ESSettingsModal = ({
                         Inactive
                       </span>
                     )}
+                    {cluster.readOnly && (
+                      <span className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-md text-sm font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                        Read-only
+                      </span>
+                    )}
+                    {circuitStates[cluster.id] === 'open' && (
+                      <span className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-md text-sm font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+                        Degraded
+                      </span>
+                    )}
+                    {renderHealthTimeline(cluster.id)}
                   </td>
                   <td className="whitespace-nowrap py-4 pl-3 pr-4 text-sm text-right space-x-1">
                     {cluster.id !== activeCluster && (
@@ -440,6 +1215,15 @@ const ESSettingsModal = ({
                         Select
                       </button>
                     )}
+                    {onReadOnlyChange && (
+                      <button
+                        onClick={() => onReadOnlyChange(cluster.id, !cluster.readOnly)}
+                        className="inline-flex items-center text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-200"
+                        title={cluster.readOnly ? 'Allow requests other than searches' : 'Only allow search requests'}
+                      >
+                        {cluster.readOnly ? 'Allow writes' : 'Make read-only'}
+                      </button>
+                    )}
                     <button
                       onClick={() => onClusterRemove(cluster.id)}
                       className="inline-flex items-center text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
@@ -456,6 +1240,50 @@ const ESSettingsModal = ({
           </table>
         </div>
         
+        {onExportClusters && (
+          <div className="flex items-center justify-between">
+            <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+              Secrets
+              <select
+                value={exportSecrets}
+                onChange={(e) => setExportSecrets(e.target.value)}
+                className="ml-2 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                <option value="redact">Leave out</option>
+                <option value="encrypt">Include encrypted</option>
+                <option value="placeholders">{'Replace with ${ENV} placeholders'}</option>
+              </select>
+            </label>
+            <button
+              onClick={handleExport}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:hover:bg-gray-600"
+            >
+              Export Clusters
+            </button>
+          </div>
+        )}
+        
+        {onImportClusters && onPreviewImport && !importText && (
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700 dark:text-gray-300">
+              Import a connection profile bundle
+            </span>
+            <label className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:hover:bg-gray-600 cursor-pointer">
+              Import Clusters
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+            </label>
+          </div>
+        )}
+        {!importText && importError && (
+          <p className="text-sm text-red-600">{importError}</p>
+        )}
+        {renderImportPreview()}
+        
         <div className="flex justify-end space-x-2 pt-4">
           <button
             onClick={() => setActiveTab('configure')}
@@ -529,6 +1357,7 @@ const ESSettingsModal = ({
           
           {/* Modal content */}
           <div className="px-4 py-5">
+            {renderCredentialVault()}
             {activeTab === 'configure' ? renderConfigureTab() : renderManageTab()}
           </div>
         </div>
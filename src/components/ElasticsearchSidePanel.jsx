@@ -1,9 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import ChatInterface from './ChatInterface';
 import ESSettingsModal from './ESSettingsModal';
+import FieldGlossaryEditor from './FieldGlossaryEditor';
+import IndexBrowser from './IndexBrowser';
+import SchemaChangeNotice from './SchemaChangeNotice';
 import Welcome from './Welcome';
 import { SchemaManager } from '../services/SchemaManager';
 import { QueryLibraryManager } from '../services/QueryLibraryManager';
+import { esClusterManager } from '../services/ESClusterManager';
+import { useClusterManager } from '../hooks/useClusterManager';
 
 /**
  * ElasticsearchSidePanel component
@@ -18,8 +23,16 @@ const ElasticsearchSidePanel = ({
   setShowSettings,
   onClusterConnect
 }) => {
-  // State for clusters
-  const [clusters, setClusters] = useState([]);
+  // Clusters and credential state come from the shared cluster manager
+  const {
+    clusters,
+    credentialStatus,
+    health,
+    healthHistory,
+    healthCheckInterval,
+    demoMode,
+    circuitStates
+  } = useClusterManager();
   // State to track if this is the first launch
   const [isFirstLaunch, setIsFirstLaunch] = useState(false);
   // State for showing the welcome screen
@@ -30,6 +43,10 @@ const ElasticsearchSidePanel = ({
   const [queryLibraryManager] = useState(new QueryLibraryManager());
   // State for query execution history
   const [queryHistory, setQueryHistory] = useState([]);
+  // State for the view shown in the main content area ('chat', 'indices' or 'glossary')
+  const [activeView, setActiveView] = useState('chat');
+  // State for the latest schema change found by a background refresh
+  const [schemaChange, setSchemaChange] = useState(null);
   
   // Check if this is the first launch
   useEffect(() => {
@@ -40,65 +57,125 @@ const ElasticsearchSidePanel = ({
       setShowWelcome(true);
       localStorage.setItem('es_helper_has_launched', 'true');
     }
-    
-    // Load saved clusters from localStorage
-    loadClusters();
   }, []);
   
-  // Load clusters from localStorage
-  const loadClusters = () => {
+  // Handle adding a new cluster (rejects if the cluster cannot be reached or stored)
+  const handleClusterAdd = async (clusterConfig) => {
+    const id = await esClusterManager.addCluster({ ...clusterConfig });
+    
+    // Automatically connect to the new cluster
+    onClusterConnect(id);
+  };
+  
+  // Handle selecting a cluster
+  const handleClusterSelect = (clusterId) => {
+    onClusterConnect(clusterId);
+  };
+  
+  // Handle removing a cluster (the manager picks a new active cluster if needed)
+  const handleClusterRemove = async (clusterId) => {
     try {
-      const savedClusters = localStorage.getItem('es_helper_clusters');
-      if (savedClusters) {
-        setClusters(JSON.parse(savedClusters));
+      await esClusterManager.removeCluster(clusterId);
+      await schemaManager.clearCache(clusterId);
+      schemaManager.clearGlossary(clusterId);
+    } catch (error) {
+      console.error('Error removing cluster:', error);
+    }
+  };
+  
+  // The index pattern, alias or data stream queries run against
+  const activeClusterConfig = clusters.find(cluster => cluster.id === activeCluster) || null;
+  const indexPattern = activeClusterConfig?.indexPattern || null;
+  
+  // Surface schema changes of the current query target
+  useEffect(() => {
+    setSchemaChange(null);
+    
+    return schemaManager.on('schemaChange', (change) => {
+      if (change.clusterId === activeCluster && change.indexPattern === indexPattern) {
+        setSchemaChange(change);
       }
+    });
+  }, [schemaManager, activeCluster, indexPattern]);
+  
+  // Handle choosing the query target of the active cluster
+  const handleIndexPatternChange = async (pattern) => {
+    if (!activeCluster) return;
+    
+    try {
+      await esClusterManager.setIndexPattern(activeCluster, pattern);
     } catch (error) {
-      console.error('Error loading clusters from localStorage:', error);
+      console.error('Error setting index pattern:', error);
+      throw error;
     }
   };
   
-  // Save clusters to localStorage
-  const saveClusters = (updatedClusters) => {
+  // Handle loading the indices, aliases and data streams of the active cluster
+  const handleLoadTargets = useCallback((options) => {
+    return esClusterManager.listTargets(activeCluster, options);
+  }, [activeCluster]);
+  
+  // Handle testing a cluster configuration before it is saved
+  const handleTestConnection = (clusterConfig) => {
+    return esClusterManager.testConnection(clusterConfig);
+  };
+  
+  // Handle changing how often cluster health is checked in the background
+  const handleHealthCheckIntervalChange = async (interval) => {
     try {
-      localStorage.setItem('es_helper_clusters', JSON.stringify(updatedClusters));
+      await esClusterManager.setHealthCheckInterval(interval);
     } catch (error) {
-      console.error('Error saving clusters to localStorage:', error);
+      console.error('Error changing health check interval:', error);
     }
   };
   
-  // Handle adding a new cluster
-  const handleClusterAdd = (clusterConfig) => {
-    // Generate a unique ID
-    const id = `cluster_${Date.now()}`;
-    const newCluster = { id, ...clusterConfig };
-    
-    const updatedClusters = [...clusters, newCluster];
-    setClusters(updatedClusters);
-    saveClusters(updatedClusters);
-    
-    // Automatically connect to the new cluster
-    onClusterConnect(id);
+  // Handle switching between live schemas and the built-in samples
+  const handleDemoModeChange = async (enabled) => {
+    try {
+      await esClusterManager.setDemoMode(enabled);
+    } catch (error) {
+      console.error('Error changing demo mode:', error);
+    }
   };
   
-  // Handle selecting a cluster
-  const handleClusterSelect = (clusterId) => {
-    onClusterConnect(clusterId);
+  // Handle unlocking stored credentials with the user's passphrase
+  const handleUnlockCredentials = (passphrase) => {
+    return esClusterManager.unlockCredentials(passphrase);
   };
   
-  // Handle removing a cluster
-  const handleClusterRemove = (clusterId) => {
-    const updatedClusters = clusters.filter(cluster => cluster.id !== clusterId);
-    setClusters(updatedClusters);
-    saveClusters(updatedClusters);
-    
-    // If the active cluster was removed, disconnect
-    if (activeCluster === clusterId) {
-      onClusterConnect(null);
+  // Handle locking stored credentials
+  const handleLockCredentials = () => {
+    return esClusterManager.lockCredentials();
+  };
+  
+  // Handle previewing a profile bundle before it is imported
+  const handlePreviewImport = (json, options) => {
+    return esClusterManager.previewProfileImport(json, options);
+  };
+  
+  // Handle importing a profile bundle
+  const handleImportClusters = (json, options) => {
+    return esClusterManager.importProfiles(json, options);
+  };
+  
+  // Handle turning read-only mode on or off for a cluster
+  const handleReadOnlyChange = async (clusterId, readOnly) => {
+    try {
+      await esClusterManager.setReadOnly(clusterId, readOnly);
+    } catch (error) {
+      console.error('Error changing read-only mode:', error);
     }
   };
   
-  // Handle executing a query
+  // Handle exporting cluster configurations
+  const handleExportClusters = (options) => {
+    return esClusterManager.configManager.exportToJson(options);
+  };
+  
+  // Handle executing a query (read-only clusters refuse anything but searches)
   const handleExecuteQuery = (query) => {
+    esClusterManager.assertRequestAllowed(activeCluster, query);
+    
     // Add to history
     const newHistoryItem = {
       id: Date.now(),
@@ -125,14 +202,64 @@ const ElasticsearchSidePanel = ({
       {/* Main content area */}
       <div className="flex-1 overflow-hidden">
         {isConnected ? (
-          <ChatInterface
-            isConnected={isConnected}
-            activeCluster={activeCluster}
-            onExecuteQuery={handleExecuteQuery}
-            onSaveQuery={handleSaveQuery}
-            schemaManager={schemaManager}
-            queryLibraryManager={queryLibraryManager}
-          />
+          <div className="h-full flex flex-col">
+            {/* View tabs */}
+            <div className="flex border-b border-gray-200 dark:border-gray-700">
+              {[
+                { id: 'chat', label: 'Chat' },
+                { id: 'indices', label: 'Indices' },
+                { id: 'glossary', label: 'Glossary' }
+              ].map(view => (
+                <button
+                  key={view.id}
+                  type="button"
+                  onClick={() => setActiveView(view.id)}
+                  className={`px-4 py-2 text-sm font-medium border-b-2 ${
+                    activeView === view.id
+                      ? 'border-blue-600 text-blue-600 dark:text-blue-400'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                  }`}
+                >
+                  {view.label}
+                </button>
+              ))}
+            </div>
+            
+            <SchemaChangeNotice
+              change={schemaChange}
+              onDismiss={() => setSchemaChange(null)}
+            />
+            
+            <div className="flex-1 overflow-hidden">
+              {activeView === 'indices' ? (
+                <IndexBrowser
+                  activeCluster={activeCluster}
+                  indexPattern={indexPattern}
+                  onLoadTargets={handleLoadTargets}
+                  onSelectTarget={handleIndexPatternChange}
+                  schemaManager={schemaManager}
+                />
+              ) : activeView === 'glossary' ? (
+                <FieldGlossaryEditor
+                  activeCluster={activeCluster}
+                  indexPattern={indexPattern}
+                  schemaManager={schemaManager}
+                />
+              ) : (
+                <ChatInterface
+                  isConnected={isConnected}
+                  activeCluster={activeCluster}
+                  indexPattern={indexPattern}
+                  onIndexPatternChange={handleIndexPatternChange}
+                  onLoadTargets={handleLoadTargets}
+                  onExecuteQuery={handleExecuteQuery}
+                  onSaveQuery={handleSaveQuery}
+                  schemaManager={schemaManager}
+                  queryLibraryManager={queryLibraryManager}
+                />
+              )}
+            </div>
+          </div>
         ) : (
           <div className="h-full flex flex-col items-center justify-center p-6 bg-gray-50 dark:bg-gray-800">
             <div className="text-center max-w-md">
@@ -176,7 +303,7 @@ const ElasticsearchSidePanel = ({
               )}
               
               <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
-                For demo purposes, you can use mock data without a real connection
+                Turn on Demo mode in the settings to try queries against sample schemas
               </p>
             </div>
           </div>
@@ -192,6 +319,21 @@ const ElasticsearchSidePanel = ({
           onClusterAdd={handleClusterAdd}
           onClusterSelect={handleClusterSelect}
           onClusterRemove={handleClusterRemove}
+          onTestConnection={handleTestConnection}
+          health={health}
+          healthHistory={healthHistory}
+          healthCheckInterval={healthCheckInterval}
+          circuitStates={circuitStates}
+          onHealthCheckIntervalChange={handleHealthCheckIntervalChange}
+          demoMode={demoMode}
+          onDemoModeChange={handleDemoModeChange}
+          credentialStatus={credentialStatus}
+          onUnlockCredentials={handleUnlockCredentials}
+          onLockCredentials={handleLockCredentials}
+          onExportClusters={handleExportClusters}
+          onPreviewImport={handlePreviewImport}
+          onImportClusters={handleImportClusters}
+          onReadOnlyChange={handleReadOnlyChange}
         />
       )}
       
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+
+const EMPTY_FORM = { path: '', description: '', synonyms: '', examples: '' };
+
+/**
+ * FieldGlossaryEditor component
+ *
+ * Lets users describe the fields of the query target in their own words:
+ * what a field means, the terms their team uses for it and example values.
+ * Intent parsing and the query prompts use these to map questions to fields.
+ */
+const FieldGlossaryEditor = ({ activeCluster, indexPattern = null, schemaManager }) => {
+  // Annotations of the current query target
+  const [glossary, setGlossary] = useState({});
+
+  // Field paths of the current schema, offered while typing
+  const [fieldPaths, setFieldPaths] = useState([]);
+
+  // Annotation being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  // Load the glossary and the field list of the current target
+  useEffect(() => {
+    if (!schemaManager || !activeCluster || !indexPattern) {
+      setGlossary({});
+      setFieldPaths([]);
+      return;
+    }
+
+    setGlossary(schemaManager.getGlossary(activeCluster, indexPattern));
+    setForm(EMPTY_FORM);
+
+    const controller = new AbortController();
+    schemaManager.getSchema(activeCluster, indexPattern, { signal: controller.signal })
+      .then(schema => setFieldPaths(Object.keys(schema.fields || {}).sort()))
+      .catch(() => {
+        // Fields can still be typed by hand without a schema
+        if (!controller.signal.aborted) setFieldPaths([]);
+      });
+
+    return () => controller.abort();
+  }, [activeCluster, indexPattern, schemaManager]);
+
+  // Handle editing an existing annotation
+  const handleEdit = (path) => {
+    const annotation = glossary[path];
+    setForm({
+      path,
+      description: annotation.description,
+      synonyms: annotation.synonyms.join(', '),
+      examples: annotation.examples.join(', ')
+    });
+    setError(null);
+  };
+
+  // Handle saving the form
+  const handleSave = (e) => {
+    e.preventDefault();
+    const path = form.path.trim();
+
+    if (!path) {
+      setError('Choose the field to describe');
+      return;
+    }
+
+    try {
+      setGlossary(schemaManager.saveFieldAnnotation(activeCluster, indexPattern, path, form));
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Handle removing an annotation
+  const handleRemove = (path) => {
+    setGlossary(schemaManager.saveFieldAnnotation(activeCluster, indexPattern, path, null));
+    if (form.path === path) setForm(EMPTY_FORM);
+  };
+
+  if (!indexPattern) {
+    return (
+      <p className="p-4 text-sm text-gray-500 dark:text-gray-400">
+        Choose a query target to describe its fields.
+      </p>
+    );
+  }
+
+  const inputClass = 'w-full rounded-md border border-gray-300 dark:border-gray-600 py-1 px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+  const entries = Object.entries(glossary).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="h-full flex flex-col overflow-hidden">
+      <form onSubmit={handleSave} className="border-b border-gray-200 dark:border-gray-700 px-4 py-3 space-y-2">
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          Glossary: <span className="font-mono">{indexPattern}</span>
+        </h3>
+        <input
+          type="text"
+          list="glossary-field-paths"
+          value={form.path}
+          onChange={(e) => setForm({ ...form, path: e.target.value })}
+          placeholder="Field, e.g. company_name"
+          className={`${inputClass} font-mono`}
+        />
+        <datalist id="glossary-field-paths">
+          {fieldPaths.map(path => <option key={path} value={path} />)}
+        </datalist>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="What it means, e.g. when we scraped the job"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={form.synonyms}
+          onChange={(e) => setForm({ ...form, synonyms: e.target.value })}
+          placeholder="Synonyms, comma-separated, e.g. employer, company"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={form.examples}
+          onChange={(e) => setForm({ ...form, examples: e.target.value })}
+          placeholder="Example values, comma-separated"
+          className={inputClass}
+        />
+        {error && (
+          <p className="text-xs text-red-600">{error}</p>
+        )}
+        <div className="flex justify-end space-x-2">
+          {form !== EMPTY_FORM && (
+            <button
+              type="button"
+              onClick={() => { setForm(EMPTY_FORM); setError(null); }}
+              className="px-3 py-1 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              Clear
+            </button>
+          )}
+          <button
+            type="submit"
+            className="px-3 py-1 text-sm rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+
+      <div className="flex-1 overflow-y-auto px-4 py-2">
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No fields described yet. Descriptions and synonyms help questions in your own words find the right fields.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {entries.map(([path, annotation]) => (
+              <li key={path} className="rounded-md border border-gray-200 dark:border-gray-700 p-2">
+                <div className="flex items-center justify-between">
+                  <span className="truncate font-mono text-sm text-gray-800 dark:text-gray-100">{path}</span>
+                  <div className="ml-2 flex-shrink-0 space-x-2 text-xs">
+                    <button type="button" onClick={() => handleEdit(path)} className="text-blue-600 hover:underline dark:text-blue-400">
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => handleRemove(path)} className="text-red-600 hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                {annotation.description && (
+                  <p className="mt-1 text-xs text-gray-600 dark:text-gray-300">{annotation.description}</p>
+                )}
+                {annotation.synonyms.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Also called: {annotation.synonyms.join(', ')}
+                  </p>
+                )}
+                {annotation.examples.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Examples: {annotation.examples.join(', ')}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FieldGlossaryEditor;
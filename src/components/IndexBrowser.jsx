@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+/**
+ * IndexBrowser component
+ *
+ * Lists the data streams, aliases and indices of the active cluster with their
+ * health, document counts and store sizes. Selecting an entry makes it the
+ * query target and shows the fields of its schema.
+ */
+const IndexBrowser = ({
+  activeCluster,
+  indexPattern = null,
+  onLoadTargets,
+  onSelectTarget,
+  schemaManager
+}) => {
+  // Listing returned by the cluster manager
+  const [targets, setTargets] = useState({ indices: [], aliases: [], dataStreams: [] });
+
+  // State for loading status and errors of the listing
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Text the entries are filtered by
+  const [filter, setFilter] = useState('');
+
+  // Whether dot-prefixed system indices are listed
+  const [includeHidden, setIncludeHidden] = useState(false);
+
+  // Data streams whose backing indices are expanded
+  const [expandedStreams, setExpandedStreams] = useState([]);
+
+  // Schema of the selected target
+  const [schema, setSchema] = useState(null);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [schemaError, setSchemaError] = useState(null);
+
+  // Bumped to reload the listing on demand
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Load the listing for the active cluster
+  useEffect(() => {
+    if (!onLoadTargets || !activeCluster) return;
+
+    const controller = new AbortController();
+    setLoading(true);
+
+    onLoadTargets({ includeHidden, signal: controller.signal })
+      .then(result => {
+        setTargets(result);
+        setError(null);
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) {
+          setError(`Could not list indices: ${err.message}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [activeCluster, includeHidden, onLoadTargets, reloadKey]);
+
+  // Load the schema of the current target
+  useEffect(() => {
+    if (!schemaManager || !activeCluster || !indexPattern) {
+      setSchema(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setSchemaLoading(true);
+    setSchemaError(null);
+
+    schemaManager.getSchema(activeCluster, indexPattern, { signal: controller.signal })
+      .then(result => setSchema(result))
+      .catch(err => {
+        if (!controller.signal.aborted) {
+          setSchema(null);
+          setSchemaError(`Could not load schema: ${err.message}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setSchemaLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [activeCluster, indexPattern, schemaManager]);
+
+  // Handle selecting an entry as the query target
+  const handleSelect = async (name) => {
+    if (!onSelectTarget || name === indexPattern) return;
+
+    try {
+      await onSelectTarget(name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Handle expanding or collapsing the backing indices of a data stream
+  const toggleStream = (name) => {
+    setExpandedStreams(prev => prev.includes(name)
+      ? prev.filter(stream => stream !== name)
+      : [...prev, name]);
+  };
+
+  // Check whether an entry matches the filter text
+  const matchesFilter = useCallback((name) => {
+    const text = filter.trim().toLowerCase();
+    return !text || name.toLowerCase().includes(text);
+  }, [filter]);
+
+  const dataStreams = targets.dataStreams.filter(stream =>
+    matchesFilter(stream.name) || stream.indices.some(matchesFilter));
+  const aliases = targets.aliases.filter(alias => matchesFilter(alias.name));
+  const indices = targets.indices.filter(index => matchesFilter(index.name));
+
+  // Format a byte count for display
+  const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  };
+
+  // Flatten mapping properties into dotted field paths
+  const flattenFields = (properties, prefix = '') => {
+    return Object.entries(properties || {}).flatMap(([name, mapping]) => {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const own = mapping.type ? [{ path, type: mapping.type }] : [];
+      return [...own, ...flattenFields(mapping.properties, path)];
+    });
+  };
+
+  const renderHealth = (health) => {
+    const colors = {
+      green: 'bg-green-500',
+      yellow: 'bg-yellow-400',
+      red: 'bg-red-500'
+    };
+
+    return (
+      <span
+        className={`inline-block w-2 h-2 rounded-full mr-2 flex-shrink-0 ${colors[health] || 'bg-gray-300'}`}
+        title={health ? `Health: ${health}` : 'Health unknown'}
+      ></span>
+    );
+  };
+
+  const renderStats = (entry) => (
+    <span className="ml-2 flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">
+      {entry.docsCount.toLocaleString()} docs · {formatBytes(entry.storeSize)}
+    </span>
+  );
+
+  const renderEntry = (entry, kind, detail = null) => {
+    const selected = entry.name === indexPattern;
+
+    return (
+      <button
+        type="button"
+        onClick={() => handleSelect(entry.name)}
+        className={`w-full flex items-center px-3 py-2 text-left text-sm rounded-md ${
+          selected
+            ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+            : 'text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+        }`}
+        title={`Use ${kind} ${entry.name} as the query target`}
+      >
+        {renderHealth(entry.health)}
+        <span className="flex-1 truncate">{entry.name}</span>
+        {detail && (
+          <span className="ml-2 flex-shrink-0 text-xs text-gray-400">{detail}</span>
+        )}
+        {renderStats(entry)}
+      </button>
+    );
+  };
+
+  const renderSection = (title, count, children) => (
+    <div className="mb-4">
+      <h4 className="px-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+        {title} ({count})
+      </h4>
+      {count > 0 ? children : (
+        <p className="px-3 text-xs text-gray-400">None</p>
+      )}
+    </div>
+  );
+
+  const renderSchema = () => {
+    if (!indexPattern) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Select an entry to use it as the query target and view its fields.
+        </p>
+      );
+    }
+
+    if (schemaLoading) {
+      return <p className="text-sm text-gray-500 dark:text-gray-400">Loading schema...</p>;
+    }
+
+    if (schemaError) {
+      return <p className="text-sm text-red-600">{schemaError}</p>;
+    }
+
+    const fields = flattenFields(schema?.mappings?.properties);
+
+    return (
+      <ul className="space-y-1 max-h-48 overflow-y-auto">
+        {fields.map(field => (
+          <li key={field.path} className="flex justify-between text-sm">
+            <span className="truncate text-gray-700 dark:text-gray-200">{field.path}</span>
+            <span className="ml-2 flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">{field.type}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="h-full flex flex-col overflow-hidden">
+      {/* Filter */}
+      <div className="border-b border-gray-200 dark:border-gray-700 px-4 py-2 space-y-2">
+        <div className="flex items-center">
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter indices, aliases and data streams"
+            className="flex-1 rounded-md border border-gray-300 dark:border-gray-600 py-1 px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+          />
+          <button
+            type="button"
+            onClick={() => setReloadKey(key => key + 1)}
+            disabled={loading}
+            className="ml-2 px-2 py-1 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+        <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+          <input
+            type="checkbox"
+            checked={includeHidden}
+            onChange={(e) => setIncludeHidden(e.target.checked)}
+            className="mr-1"
+          />
+          Show hidden indices
+        </label>
+        {error && (
+          <p className="text-xs text-red-600">{error}</p>
+        )}
+      </div>
+
+      {/* Listing */}
+      <div className="flex-1 overflow-y-auto py-2">
+        {renderSection('Data streams', dataStreams.length, dataStreams.map(stream => {
+          const expanded = expandedStreams.includes(stream.name);
+
+          return (
+            <div key={stream.name}>
+              <div className="flex items-center">
+                <button
+                  type="button"
+                  onClick={() => toggleStream(stream.name)}
+                  className="px-1 text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700"
+                  title={expanded ? 'Hide backing indices' : 'Show backing indices'}
+                >
+                  {expanded ? '▾' : '▸'}
+                </button>
+                <div className="flex-1 min-w-0">
+                  {renderEntry(stream, 'data stream', `${stream.indices.length} backing`)}
+                </div>
+              </div>
+              {expanded && (
+                <div className="ml-6 border-l border-gray-200 dark:border-gray-700">
+                  {stream.backingIndices.map(index => (
+                    <div key={index.name}>
+                      {renderEntry(index, 'backing index')}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        }))}
+
+        {renderSection('Aliases', aliases.length, aliases.map(alias => (
+          <div key={alias.name}>
+            {renderEntry(alias, 'alias', `${alias.indices.length} ${alias.indices.length === 1 ? 'index' : 'indices'}`)}
+          </div>
+        )))}
+
+        {renderSection('Indices', indices.length, indices.map(index => (
+          <div key={index.name}>
+            {renderEntry(index, 'index', index.dataStream ? index.dataStream : null)}
+          </div>
+        )))}
+      </div>
+
+      {/* Schema of the selected target */}
+      <div className="border-t border-gray-200 dark:border-gray-700 px-4 py-3">
+        <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          {indexPattern ? `Schema: ${indexPattern}` : 'Schema'}
+        </h3>
+        {renderSchema()}
+      </div>
+    </div>
+  );
+};
+
+export default IndexBrowser;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+
+/**
+ * SchemaChangeNotice component
+ *
+ * Banner shown when a background refresh finds that the mappings behind the
+ * query target changed. Summarizes the added, removed and retyped fields and
+ * lists them on demand.
+ */
+const SchemaChangeNotice = ({ change, onDismiss }) => {
+  // State for showing the full field list
+  const [expanded, setExpanded] = useState(false);
+
+  if (!change) return null;
+
+  const { indexPattern, diff } = change;
+  const summary = [
+    diff.added.length > 0 && `${diff.added.length} added`,
+    diff.removed.length > 0 && `${diff.removed.length} removed`,
+    diff.retyped.length > 0 && `${diff.retyped.length} retyped`
+  ].filter(Boolean).join(', ');
+
+  const renderList = (title, items, describe, className) => items.length > 0 && (
+    <div className="mt-2">
+      <h4 className="text-xs font-semibold uppercase tracking-wide text-amber-800 dark:text-amber-200">
+        {title}
+      </h4>
+      <ul className="mt-1 space-y-0.5">
+        {items.map(item => (
+          <li key={item.path} className="flex justify-between text-xs">
+            <span className={`truncate font-mono ${className}`}>{item.path}</span>
+            <span className="ml-2 flex-shrink-0 text-amber-700 dark:text-amber-300">{describe(item)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="border-b border-amber-200 bg-amber-50 px-4 py-2 dark:border-amber-800 dark:bg-amber-900/30">
+      <div className="flex items-start justify-between">
+        <p className="text-sm text-amber-900 dark:text-amber-100">
+          Schema of <span className="font-mono">{indexPattern}</span> changed: {summary}.
+          <button
+            type="button"
+            onClick={() => setExpanded(value => !value)}
+            className="ml-2 text-sm font-medium text-amber-800 underline hover:text-amber-900 dark:text-amber-200"
+          >
+            {expanded ? 'Hide fields' : 'Show fields'}
+          </button>
+        </p>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="ml-2 text-amber-700 hover:text-amber-900 dark:text-amber-300"
+          title="Dismiss"
+        >
+          ×
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="max-h-40 overflow-y-auto">
+          {renderList('Added', diff.added, item => item.type, 'text-green-700 dark:text-green-300')}
+          {renderList('Removed', diff.removed, item => item.type, 'text-red-700 line-through dark:text-red-300')}
+          {renderList('Retyped', diff.retyped, item => `${item.before} → ${item.after}`, 'text-amber-900 dark:text-amber-100')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaChangeNotice;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getTypeFamily, describeConflict } from '../services/SchemaFields';
+
+// Badge colors by type family
+const TYPE_BADGE_CLASSES = {
+  text: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  keyword: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  numeric: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  date: 'bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200',
+  ip: 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200',
+  geo_point: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-200',
+  geo_shape: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-200',
+  dense_vector: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+  semantic_text: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200'
+};
+
+// Capabilities shown as small markers after the type badge
+const CAPABILITY_MARKERS = [
+  { key: 'searchable', label: 'S', title: 'Searchable' },
+  { key: 'aggregatable', label: 'A', title: 'Aggregatable' },
+  { key: 'sortable', label: '↕', title: 'Sortable' },
+  { key: 'vector', label: 'V', title: 'Vector search' },
+  { key: 'geo', label: 'G', title: 'Geo queries' }
+];
+
+// Trees with at most this many fields start fully expanded
+const EXPAND_ALL_LIMIT = 50;
+
+/**
+ * Build a tree of field nodes from dotted paths
+ *
+ * Multi-fields such as "message.keyword" become children of their parent field.
+ */
+function buildFieldTree(paths) {
+  const root = { name: '', path: '', children: new Map() };
+
+  for (const path of paths) {
+    let node = root;
+    const parts = path.split('.');
+    parts.forEach((part, i) => {
+      const nodePath = parts.slice(0, i + 1).join('.');
+      if (!node.children.has(part)) {
+        node.children.set(part, { name: part, path: nodePath, children: new Map() });
+      }
+      node = node.children.get(part);
+    });
+  }
+
+  return root;
+}
+
+/**
+ * SchemaExplorer component
+ *
+ * Shows the schema of the query target as a tree of fields with type badges,
+ * what each field can be used for, sampled top values, the user's glossary
+ * notes and warnings for fields mapped differently across indices. Clicking a
+ * field or value hands it to onInsertField, e.g. to add it to the chat input.
+ */
+const SchemaExplorer = ({ activeCluster, indexPattern = null, schemaManager, onInsertField }) => {
+  // Schema of the current target
+  const [schema, setSchema] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Text the fields are filtered by
+  const [search, setSearch] = useState('');
+
+  // Object paths whose children are shown (null until the schema decides the default)
+  const [expanded, setExpanded] = useState(null);
+
+  // Field whose details (top values, notes) are shown
+  const [selectedField, setSelectedField] = useState(null);
+
+  // Bumped to reload the schema after a background refresh changed it
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Load the schema of the current target
+  useEffect(() => {
+    if (!schemaManager || !activeCluster || !indexPattern) {
+      setSchema(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    schemaManager.getSchema(activeCluster, indexPattern, { signal: controller.signal })
+      .then(result => setSchema(result))
+      .catch(err => {
+        if (!controller.signal.aborted) {
+          setSchema(null);
+          setError(`Could not load schema: ${err.message}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [activeCluster, indexPattern, schemaManager, reloadKey]);
+
+  // Reload when the schema or glossary of the target changes
+  useEffect(() => {
+    if (!schemaManager) return;
+
+    const matches = change => change.clusterId === activeCluster && change.indexPattern === indexPattern;
+    const unsubscribers = ['schemaChange', 'glossaryChange'].map(eventName =>
+      schemaManager.on(eventName, change => {
+        if (matches(change)) setReloadKey(key => key + 1);
+      }));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [activeCluster, indexPattern, schemaManager]);
+
+  // Start from a fresh view for each target
+  useEffect(() => {
+    setExpanded(null);
+    setSelectedField(null);
+    setSearch('');
+  }, [activeCluster, indexPattern]);
+
+  const fields = useMemo(() => schema?.fields || {}, [schema]);
+  const capabilities = schema?.analysis?.fieldCapabilities || {};
+  const profiles = schema?.analysis?.fieldProfiles || {};
+  const glossary = schema?.glossary || {};
+  const paths = useMemo(() => Object.keys(fields).sort(), [fields]);
+  const tree = useMemo(() => buildFieldTree(paths), [paths]);
+
+  // Paths matching the search text, including glossary notes and synonyms
+  const searchText = search.trim().toLowerCase();
+  const matchingPaths = searchText
+    ? paths.filter(path => {
+      const annotation = glossary[path];
+      return path.toLowerCase().includes(searchText) ||
+        fields[path].types.some(type => type.includes(searchText)) ||
+        Boolean(annotation && [annotation.description, ...annotation.synonyms]
+          .some(text => text.toLowerCase().includes(searchText)));
+    })
+    : [];
+
+  // Small trees start expanded; larger ones show the top level only
+  const isExpanded = (path) => expanded === null
+    ? paths.length <= EXPAND_ALL_LIMIT
+    : expanded.includes(path);
+
+  // Handle expanding or collapsing an object
+  const toggleExpanded = (path) => {
+    const current = expanded === null
+      ? (paths.length <= EXPAND_ALL_LIMIT ? paths.filter(p => p !== path) : [])
+      : expanded;
+    setExpanded(current.includes(path) ? current.filter(p => p !== path) : [...current, path]);
+  };
+
+  // Handle showing or hiding the details of a field
+  const toggleDetails = (path) => {
+    setSelectedField(current => current === path ? null : path);
+  };
+
+  const renderTypeBadge = (entry) => {
+    const classes = TYPE_BADGE_CLASSES[getTypeFamily(entry.type)] ||
+      TYPE_BADGE_CLASSES[entry.type] ||
+      'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200';
+
+    return (
+      <span className={`ml-2 flex-shrink-0 rounded px-1.5 text-xs font-mono ${classes}`}>
+        {entry.conflict ? entry.types.join(' | ') : entry.type}
+      </span>
+    );
+  };
+
+  const renderCapabilities = (path) => {
+    const fieldCapabilities = capabilities[path];
+    if (!fieldCapabilities) return null;
+
+    return (
+      <span className="ml-2 flex flex-shrink-0 space-x-0.5">
+        {CAPABILITY_MARKERS.filter(marker => fieldCapabilities[marker.key]).map(marker => (
+          <span
+            key={marker.key}
+            title={marker.title}
+            className="w-4 rounded bg-gray-100 text-center text-[10px] leading-4 text-gray-600 dark:bg-gray-700 dark:text-gray-300"
+          >
+            {marker.label}
+          </span>
+        ))}
+        {fieldCapabilities.runtime && (
+          <span title="Runtime field" className="rounded bg-gray-100 px-1 text-[10px] leading-4 text-gray-600 dark:bg-gray-700 dark:text-gray-300">
+            runtime
+          </span>
+        )}
+        {fieldCapabilities.aliasOf && (
+          <span title={`Alias of ${fieldCapabilities.aliasOf}`} className="rounded bg-gray-100 px-1 text-[10px] leading-4 text-gray-600 dark:bg-gray-700 dark:text-gray-300">
+            alias
+          </span>
+        )}
+      </span>
+    );
+  };
+
+  const renderDetails = (path) => {
+    const entry = fields[path];
+    const profile = profiles[path];
+    const annotation = glossary[path];
+    const fieldCapabilities = capabilities[path];
+
+    return (
+      <div className="ml-6 mb-1 rounded-md bg-gray-50 p-2 text-xs text-gray-600 dark:bg-gray-800 dark:text-gray-300 space-y-1">
+        {annotation?.description && <p>{annotation.description}</p>}
+        {annotation?.synonyms.length > 0 && <p>Also called: {annotation.synonyms.join(', ')}</p>}
+        {entry.conflict && (
+          <p className="text-amber-700 dark:text-amber-300">Mapped differently across indices: {describeConflict(entry)}</p>
+        )}
+        {entry.missingFrom.length > 0 && (
+          <p>Missing from {entry.missingFrom.length} of {entry.indices.length + entry.missingFrom.length} indices</p>
+        )}
+        {fieldCapabilities?.aliasOf && <p>Alias of <span className="font-mono">{fieldCapabilities.aliasOf}</span></p>}
+        {fieldCapabilities?.copyFrom && <p>Copied from {fieldCapabilities.copyFrom.join(', ')}</p>}
+        {profile ? (
+          <div>
+            <p>
+              {profile.cardinality !== null && `${profile.cardinality.toLocaleString()} distinct`}
+              {profile.min !== null && ` · ${profile.min} – ${profile.max}`}
+              {profile.nullRatio > 0 && ` · ${Math.round(profile.nullRatio * 100)}% empty`}
+            </p>
+            {profile.topValues.length > 0 && (
+              <div className="mt-1 flex flex-wrap gap-1">
+                {profile.topValues.map(item => (
+                  <button
+                    key={String(item.value)}
+                    type="button"
+                    onClick={() => onInsertField?.(`${path}:${item.value}`)}
+                    className="rounded border border-gray-300 px-1.5 font-mono hover:bg-gray-100 dark:border-gray-600 dark:hover:bg-gray-700"
+                    title={`Insert ${path}:${item.value}`}
+                  >
+                    {String(item.value)} <span className="text-gray-400">{item.count}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-400">No sampled values</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderField = (path, label, depth) => {
+    const entry = fields[path];
+
+    return (
+      <div key={path}>
+        <div className="flex items-center py-0.5 text-sm" style={{ paddingLeft: `${depth * 12}px` }}>
+          <button
+            type="button"
+            onClick={() => toggleDetails(path)}
+            className="w-4 flex-shrink-0 text-xs text-gray-400 hover:text-gray-600"
+            title={selectedField === path ? 'Hide details' : 'Show details'}
+          >
+            {selectedField === path ? '▾' : '▸'}
+          </button>
+          <button
+            type="button"
+            onClick={() => onInsertField?.(path)}
+            className="truncate text-left font-mono text-gray-800 hover:text-blue-600 dark:text-gray-100 dark:hover:text-blue-400"
+            title={glossary[path]?.description || `Insert ${path}`}
+          >
+            {label}
+          </button>
+          {entry.conflict && (
+            <span className="ml-1 flex-shrink-0 text-amber-600" title={describeConflict(entry)}>⚠</span>
+          )}
+          {renderTypeBadge(entry)}
+          {renderCapabilities(path)}
+        </div>
+        {selectedField === path && renderDetails(path)}
+      </div>
+    );
+  };
+
+  const renderNode = (node, depth) => {
+    const children = Array.from(node.children.values());
+
+    // A field can also have children when it has multi-fields
+    if (fields[node.path]) {
+      return (
+        <React.Fragment key={node.path}>
+          {renderField(node.path, node.name, depth)}
+          {children.map(child => renderNode(child, depth + 1))}
+        </React.Fragment>
+      );
+    }
+
+    const open = isExpanded(node.path);
+    return (
+      <div key={node.path}>
+        <button
+          type="button"
+          onClick={() => toggleExpanded(node.path)}
+          className="flex w-full items-center py-0.5 text-left text-sm text-gray-600 dark:text-gray-300"
+          style={{ paddingLeft: `${depth * 12}px` }}
+        >
+          <span className="w-4 flex-shrink-0 text-xs text-gray-400">{open ? '▾' : '▸'}</span>
+          <span className="font-mono">{node.name}</span>
+          <span className="ml-2 text-xs text-gray-400">{children.length}</span>
+        </button>
+        {open && children.map(child => renderNode(child, depth + 1))}
+      </div>
+    );
+  };
+
+  const renderBody = () => {
+    if (!indexPattern) {
+      return <p className="text-sm text-gray-500 dark:text-gray-400">Choose a query target to explore its fields.</p>;
+    }
+    if (loading && !schema) {
+      return <p className="text-sm text-gray-500 dark:text-gray-400">Loading schema...</p>;
+    }
+    if (error) {
+      return <p className="text-sm text-red-600">{error}</p>;
+    }
+    if (paths.length === 0) {
+      return <p className="text-sm text-gray-500 dark:text-gray-400">No fields found.</p>;
+    }
+    if (searchText) {
+      return matchingPaths.length > 0
+        ? matchingPaths.map(path => renderField(path, path, 0))
+        : <p className="text-sm text-gray-500 dark:text-gray-400">No fields match "{search}".</p>;
+    }
+    return Array.from(tree.children.values()).map(node => renderNode(node, 0));
+  };
+
+  const conflictCount = schema?.conflicts?.length || 0;
+
+  return (
+    <div className="flex h-full flex-col overflow-hidden">
+      <div className="space-y-1 px-3 py-2">
+        <div className="flex items-center text-xs text-gray-500 dark:text-gray-400">
+          <span>{paths.length} fields</span>
+          {schema?.indices && <span className="ml-2">· {schema.indices.length} {schema.indices.length === 1 ? 'index' : 'indices'}</span>}
+          {schema?.ecs?.detected && (
+            <span className="ml-2 rounded bg-gray-100 px-1 dark:bg-gray-700" title="Fields follow the Elastic Common Schema">ECS</span>
+          )}
+          {conflictCount > 0 && (
+            <span className="ml-2 text-amber-600" title={schema.conflicts.join(', ')}>
+              ⚠ {conflictCount} {conflictCount === 1 ? 'conflict' : 'conflicts'}
+            </span>
+          )}
+        </div>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search fields, types and glossary"
+          className="w-full rounded-md border border-gray-300 py-1 px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700 dark:text-white"
+        />
+      </div>
+      <div className="flex-1 overflow-y-auto px-3 pb-2">
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default SchemaExplorer;
@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { esClusterManager } from '../services/ESClusterManager';
+
+/**
+ * useClusterManager hook
+ *
+ * Binds a component to the shared ESClusterManager so it re-renders whenever
+ * clusters, the active cluster, health or the credential vault change.
+ *
+ * @param {ESClusterManager} [manager] - Cluster manager to observe (defaults to the shared instance)
+ * @returns {Object} - { initialized, clusters, activeCluster, health, credentialStatus }
+ */
+function useClusterManager(manager = esClusterManager) {
+  const subscribe = useCallback((callback) => manager.subscribe(callback), [manager]);
+  const getSnapshot = useCallback(() => manager.getSnapshot(), [manager]);
+
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  // Load stored clusters the first time any component binds to the manager
+  useEffect(() => {
+    manager.initialize().catch(error => {
+      console.error('Error loading clusters:', error);
+    });
+  }, [manager]);
+
+  return state;
+}
+
+export { useClusterManager };
@@ -0,0 +1,110 @@
+// src/services/CircuitBreaker.js
+
+/**
+ * CircuitBreaker
+ *
+ * Tracks consecutive request failures against a cluster. After
+ * `failureThreshold` failures the circuit opens and requests are refused
+ * until `resetTimeout` has passed; then a single trial request is let
+ * through (half-open) and its outcome closes or reopens the circuit. Other
+ * requests are refused while the trial is in flight.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [options.resetTimeout=30000] - Milliseconds to wait before a trial request
+   * @param {Function} [options.onStateChange] - Called with (state, previousState)
+   */
+  constructor({ failureThreshold = 5, resetTimeout = 30000, onStateChange = null } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  /**
+   * Check whether a request may be sent right now
+   *
+   * While half-open the first caller becomes the trial request; it must end
+   * with recordSuccess(), recordFailure() or releaseProbe().
+   *
+   * @returns {boolean} - False while the circuit is open or a trial is in flight
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition('half-open');
+    }
+
+    if (this.state === 'open') return false;
+    if (this.state === 'closed') return true;
+
+    if (this.probing) return false;
+    this.probing = true;
+    return true;
+  }
+
+  /**
+   * Let another trial request through after one ended without an outcome
+   * (e.g. it was cancelled)
+   */
+  releaseProbe() {
+    if (this.state === 'half-open') {
+      this.probing = false;
+    }
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   */
+  recordSuccess() {
+    this.probing = false;
+    this.failures = 0;
+    this.lastError = null;
+    this.transition('closed');
+  }
+
+  /**
+   * Record a failed request, opening the circuit once the threshold is reached
+   *
+   * @param {Error} [error] - The failure
+   */
+  recordFailure(error = null) {
+    this.probing = false;
+    this.failures++;
+    this.lastError = error;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Milliseconds until a trial request is allowed (0 unless open)
+   */
+  getRetryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Change state and notify the listener
+   */
+  transition(state) {
+    if (state === this.state) return;
+
+    const previous = this.state;
+    this.state = state;
+
+    if (this.onStateChange) {
+      this.onStateChange(state, previous);
+    }
+  }
+}
+
+export { CircuitBreaker };
@@ -0,0 +1,213 @@
+// src/services/ECSVocabulary.js
+
+/**
+ * ECSVocabulary
+ *
+ * Knowledge of the Elastic Common Schema (ECS) used by Beats, Elastic Agent
+ * and most log and metrics integrations. Once a schema is recognized as ECS,
+ * everyday phrases have a fixed meaning: "failed logins" are authentication
+ * events with a failure outcome and "5xx" is a range of HTTP status codes,
+ * whatever the index is called.
+ */
+
+// Fields whose presence marks a schema as ECS
+const ECS_MARKER_FIELDS = [
+  'event.category',
+  'event.outcome',
+  'event.kind',
+  'event.action',
+  'event.dataset',
+  'host.name',
+  'log.level',
+  'http.response.status_code',
+  'http.request.method',
+  'source.ip',
+  'destination.ip',
+  'user.name',
+  'service.name',
+  'url.path',
+  'process.name'
+];
+
+// Marker fields needed when the schema does not carry ecs.version
+const MIN_MARKER_FIELDS = 3;
+
+/**
+ * Phrases with an ECS meaning
+ *
+ * Each entry turns a phrase into an entity and the filters it stands for.
+ * Entries are tried in order and a phrase is only used once, so the more
+ * specific "failed logins" is listed before "logins".
+ */
+const ECS_PHRASES = [
+  {
+    regex: /\b(failed|failing|unsuccessful|bad)\s+(log\s?ins?|logons?|sign[\s-]?ins?|authentications?|auth attempts?)\b|\b(log\s?in|logon|sign[\s-]?in|authentication)\s+failures?\b/i,
+    entity: 'authentication',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'authentication' },
+      { field: 'event.outcome', operator: 'eq', value: 'failure' }
+    ]
+  },
+  {
+    regex: /\b(successful|succeeded)\s+(log\s?ins?|logons?|sign[\s-]?ins?|authentications?)\b/i,
+    entity: 'authentication',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'authentication' },
+      { field: 'event.outcome', operator: 'eq', value: 'success' }
+    ]
+  },
+  {
+    regex: /\b(log\s?ins?|logons?|sign[\s-]?ins?|authentications?)\b/i,
+    entity: 'authentication',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'authentication' }
+    ]
+  },
+  {
+    regex: /\b([1-5])xx\b/i,
+    entity: 'http_response',
+    filters: (match) => {
+      const digit = Number(match[1]);
+      return [
+        { field: 'http.response.status_code', operator: 'gte', value: digit * 100 },
+        { field: 'http.response.status_code', operator: 'lte', value: digit * 100 + 99 }
+      ];
+    }
+  },
+  {
+    regex: /\bserver\s+errors?\b/i,
+    entity: 'http_response',
+    filters: [
+      { field: 'http.response.status_code', operator: 'gte', value: 500 },
+      { field: 'http.response.status_code', operator: 'lte', value: 599 }
+    ]
+  },
+  {
+    regex: /\bclient\s+errors?\b/i,
+    entity: 'http_response',
+    filters: [
+      { field: 'http.response.status_code', operator: 'gte', value: 400 },
+      { field: 'http.response.status_code', operator: 'lte', value: 499 }
+    ]
+  },
+  {
+    regex: /\b(failed|failing|unsuccessful)\s+(requests?|events?|actions?|operations?)\b/i,
+    entity: 'event',
+    filters: [
+      { field: 'event.outcome', operator: 'eq', value: 'failure' }
+    ]
+  },
+  {
+    regex: /\b(denied|blocked|rejected)\b/i,
+    entity: 'event',
+    filters: [
+      { field: 'event.type', operator: 'eq', value: 'denied' }
+    ]
+  },
+  {
+    regex: /\b(process|processes)\s+(starts?|started|launch(es|ed)?|spawn(s|ed)?)\b/i,
+    entity: 'process',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'process' },
+      { field: 'event.type', operator: 'eq', value: 'start' }
+    ]
+  },
+  {
+    regex: /\bfiles?\s+(created|creations?)\b/i,
+    entity: 'file',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'file' },
+      { field: 'event.type', operator: 'eq', value: 'creation' }
+    ]
+  },
+  {
+    regex: /\bfiles?\s+(deleted|deletions?|removed)\b/i,
+    entity: 'file',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'file' },
+      { field: 'event.type', operator: 'eq', value: 'deletion' }
+    ]
+  },
+  {
+    regex: /\bnetwork\s+(connections?|traffic|flows?)\b/i,
+    entity: 'network',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'network' }
+    ]
+  },
+  {
+    regex: /\bmalware\b/i,
+    entity: 'malware',
+    filters: [
+      { field: 'event.category', operator: 'eq', value: 'malware' }
+    ]
+  },
+  {
+    regex: /\balerts?\b/i,
+    entity: 'alert',
+    filters: [
+      { field: 'event.kind', operator: 'eq', value: 'alert' }
+    ]
+  }
+];
+
+/**
+ * Detect whether a field catalog follows ECS
+ *
+ * A schema is ECS when any index carries ecs.version, or when enough of the
+ * common ECS fields are mapped.
+ *
+ * @param {Object} fields - Field catalog from SchemaFields.buildFieldCatalog
+ * @param {Object} [fieldProfiles] - Value profiles, used to read ecs.version
+ * @returns {Object} - { detected, version, fields } where fields are the ECS fields found
+ */
+function detectECS(fields = {}, fieldProfiles = {}) {
+  const markers = ECS_MARKER_FIELDS.filter(path => fields[path]);
+  const hasVersion = Boolean(fields['ecs.version']);
+  const version = fieldProfiles?.['ecs.version']?.topValues?.[0]?.value ?? null;
+
+  return {
+    detected: hasVersion || markers.length >= MIN_MARKER_FIELDS,
+    version: version !== null ? String(version) : null,
+    fields: markers
+  };
+}
+
+/**
+ * Find the ECS phrases in a question
+ *
+ * A phrase is only used when the schema maps every field it filters on, so
+ * "failed logins" never degrades to all logins.
+ *
+ * @param {string} text - The question
+ * @param {Object} schema - Schema from SchemaManager
+ * @returns {Array<Object>} - [{ phrase, entity, filters }] in list order
+ */
+function matchECSPhrases(text, schema) {
+  if (!schema?.ecs?.detected) return [];
+
+  const mapped = field => !schema.fields || Boolean(schema.fields[field]);
+  let remaining = String(text);
+  const matches = [];
+
+  for (const entry of ECS_PHRASES) {
+    const match = remaining.match(entry.regex);
+    if (!match) continue;
+
+    const filters = typeof entry.filters === 'function' ? entry.filters(match) : entry.filters;
+    if (!filters.every(filter => mapped(filter.field))) continue;
+
+    matches.push({ phrase: match[0], entity: entry.entity, filters });
+    // Blank the phrase so "logins" does not match again inside "failed logins"
+    remaining = remaining.slice(0, match.index) + ' '.repeat(match[0].length) +
+      remaining.slice(match.index + match[0].length);
+  }
+
+  return matches;
+}
+
+export {
+  ECS_MARKER_FIELDS,
+  detectECS,
+  matchECSPhrases
+};
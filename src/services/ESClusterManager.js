@@ -5,17 +5,45 @@
  * 
  * Service for managing Elasticsearch cluster connections, health checking, and client creation.
  * Provides functionality to add, remove, and connect to Elasticsearch clusters.
+ *
+ * The shared `esClusterManager` instance is the single source of truth for
+ * cluster configuration: UI components subscribe to it instead of keeping
+ * their own copies, and services resolve clients through it.
  */
 import { ESConfigManager } from '../storage/ESConfigManager';
+import { ESHttpClient } from './ESHttpClient';
+import { CircuitBreaker } from './CircuitBreaker';
+import { parseClusterInfo, getDialect } from './ESDialect';
+import { parseCloudId, parseNodeUrl, normalizePathPrefix } from './ESEndpoints';
+import { hasProductionTag, isReadOnlyCluster, normalizeRequest, assertRequestAllowed } from './ESRequestGuard';
+
+// Default time between background health checks
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30000;
+
+// Number of health samples kept per cluster
+const HEALTH_HISTORY_LIMIT = 60;
+
+// Index health from best to worst
+const INDEX_HEALTH_ORDER = ['green', 'yellow', 'red'];
 
 class ESClusterManager {
   constructor() {
     this.clusters = new Map(); // Map of cluster ID to config
     this.clients = new Map();  // Map of cluster ID to client instance
     this.healthChecks = new Map(); // Map of cluster ID to health info
+    this.healthHistory = new Map(); // Map of cluster ID to rolling health samples
+    this.healthTimer = null;
+    this.healthCheckInterval = DEFAULT_HEALTH_CHECK_INTERVAL;
+    this.demoMode = false; // Sample schemas instead of live discovery
+    this.pollInProgress = false;
+    this.eventHandlers = new Map(); // Map of event name to handler set
+    this.circuitBreakers = new Map(); // Map of cluster ID to circuit breaker
     this.activeCluster = null;
     this.configManager = new ESConfigManager();
     this.initialized = false;
+    this.initializing = null; // Pending initialization shared by concurrent callers
+    this.listeners = new Set();
+    this.snapshot = this.buildSnapshot();
   }
 
   /**
@@ -24,26 +52,225 @@ class ESClusterManager {
   async initialize() {
     if (this.initialized) return;
     
-    try {
-      // Load stored clusters
-      const clusters = await this.configManager.getAllClusters();
-      clusters.forEach(cluster => {
-        this.clusters.set(cluster.id, cluster);
-      });
-      
-      // Get active cluster
-      const activeCluster = await this.configManager.getActiveCluster();
-      if (activeCluster) {
-        this.activeCluster = activeCluster;
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        try {
+          // Clusters saved by older versions of the side panel live under their own key
+          await this.configManager.migrateLegacyClusters();
+          await this.loadClusters();
+          
+          const settings = await this.configManager.getSettings();
+          if (settings.healthCheckInterval !== undefined) {
+            this.healthCheckInterval = settings.healthCheckInterval;
+          }
+          this.demoMode = settings.demoMode === true;
+          this.initialized = true;
+          this.notify();
+        } catch (error) {
+          console.error('Failed to initialize cluster manager:', error);
+          throw error;
+        } finally {
+          this.initializing = null;
+        }
+      })();
+    }
+    
+    return this.initializing;
+  }
+
+  /**
+   * Subscribe to changes of clusters, the active cluster, health and credentials
+   * 
+   * @param {Function} listener - Called with the current snapshot after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Get the current state snapshot
+   * 
+   * The same object is returned until something changes, so it can be used
+   * directly with React's useSyncExternalStore.
+   * 
+   * @returns {Object} - { initialized, clusters, activeCluster, health, credentialStatus }
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * Build a new immutable state snapshot
+   */
+  buildSnapshot() {
+    return {
+      initialized: this.initialized,
+      clusters: Array.from(this.clusters.values()),
+      activeCluster: this.activeCluster,
+      health: Object.fromEntries(this.healthChecks),
+      healthHistory: Object.fromEntries(this.healthHistory),
+      healthCheckInterval: this.healthCheckInterval,
+      monitoring: this.healthTimer !== null,
+      demoMode: this.demoMode,
+      circuitStates: Object.fromEntries(
+        Array.from(this.circuitBreakers, ([clusterId, breaker]) => [clusterId, breaker.state])
+      ),
+      credentialStatus: this.getCredentialStatus()
+    };
+  }
+
+  /**
+   * Listen for a named event
+   * 
+   * Events: "health" after every health check, "statusChange" when a
+   * cluster moves between green, yellow, red and unreachable, and
+   * "circuitChange" when a cluster becomes degraded or recovers.
+   * 
+   * @param {string} eventName - The event to listen for
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} - Function that removes the handler
+   */
+  on(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set());
+    }
+    this.eventHandlers.get(eventName).add(handler);
+    
+    return () => {
+      this.eventHandlers.get(eventName)?.delete(handler);
+    };
+  }
+
+  /**
+   * Emit a named event to its handlers
+   */
+  emit(eventName, payload) {
+    for (const handler of this.eventHandlers.get(eventName) || []) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Cluster manager "${eventName}" handler failed:`, error);
       }
-      
-      this.initialized = true;
-    } catch (error) {
-      console.error('Failed to initialize cluster manager:', error);
-      throw error;
     }
   }
 
+  /**
+   * Publish a new snapshot to all subscribers
+   */
+  notify() {
+    this.snapshot = this.buildSnapshot();
+    
+    for (const listener of this.listeners) {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('Cluster manager listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * (Re)load cluster configurations from storage
+   */
+  async loadClusters() {
+    this.clusters.clear();
+    this.clients.clear();
+    
+    // Load stored clusters
+    const clusters = await this.configManager.getAllClusters();
+    clusters.forEach(cluster => {
+      this.clusters.set(cluster.id, cluster);
+    });
+    
+    // Get active cluster
+    const activeCluster = await this.configManager.getActiveCluster();
+    if (activeCluster) {
+      this.activeCluster = activeCluster;
+    }
+  }
+
+  /**
+   * Get the state of the credential vault
+   * 
+   * @returns {Object} - { initialized, unlocked }
+   */
+  getCredentialStatus() {
+    return {
+      initialized: this.configManager.hasVault(),
+      unlocked: this.configManager.isUnlocked()
+    };
+  }
+
+  /**
+   * Unlock stored credentials with the user's passphrase
+   * 
+   * The first unlock sets the passphrase and encrypts any existing secrets.
+   * 
+   * @param {string} passphrase - The user passphrase
+   * @returns {Promise<boolean>} - Success status
+   */
+  async unlockCredentials(passphrase) {
+    await this.configManager.unlock(passphrase);
+    
+    if (this.initialized) {
+      await this.loadClusters();
+      this.notify();
+    } else {
+      await this.initialize();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Preview what importing a profile bundle would change
+   * 
+   * @param {string} json - Profile bundle
+   * @param {Object} [options] - { environment } with values for placeholders
+   * @returns {Promise<Object>} - Preview from ESConfigManager.previewImport()
+   */
+  async previewProfileImport(json, options = {}) {
+    if (!this.initialized) await this.initialize();
+    return this.configManager.previewImport(json, options);
+  }
+
+  /**
+   * Import a profile bundle, validating every cluster before anything is saved
+   * 
+   * @param {string} json - Profile bundle
+   * @param {Object} [options] - { environment, passphrase }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async importProfiles(json, options = {}) {
+    if (!this.initialized) await this.initialize();
+    
+    await this.configManager.importFromJson(json, {
+      ...options,
+      validateCluster: config => this.validateConfig(config, this.clusters.get(config.id))
+    });
+    
+    await this.loadClusters();
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Lock stored credentials and drop clients that hold them
+   */
+  async lockCredentials() {
+    this.configManager.lock();
+    
+    if (this.initialized) {
+      await this.loadClusters();
+    }
+    
+    this.notify();
+  }
+
   /**
    * Add a new Elasticsearch cluster configuration
    * 
@@ -71,16 +298,22 @@ class ESClusterManager {
       
       // Store health info
       this.healthChecks.set(config.id, health);
+      this.recordHealth(config.id, health);
       
-      // Add cluster to memory and storage
-      this.clusters.set(config.id, config);
+      // Record what the cluster actually runs
+      config.versionInfo = health.versionInfo;
+      
+      // Add cluster to storage (fails while the vault is locked) and memory
       await this.configManager.saveCluster(config);
+      this.clusters.set(config.id, config);
       
       // If it's the only cluster, make it active
       if (this.clusters.size === 1) {
         await this.setActiveCluster(config.id);
       }
       
+      this.notify();
+      
       return config.id;
     } catch (error) {
       console.error('Failed to add cluster:', error);
@@ -103,20 +336,24 @@ class ESClusterManager {
     }
     
     // Validate configuration
-    this.validateConfig(config);
+    this.validateConfig(config, this.clusters.get(clusterId));
     
-    // Preserve ID
+    // Preserve ID and the version recorded by the last probe
     config.id = clusterId;
+    if (!config.versionInfo) {
+      config.versionInfo = this.clusters.get(clusterId).versionInfo;
+    }
     
     // Store updated config
-    this.clusters.set(clusterId, config);
     await this.configManager.saveCluster(config);
+    this.clusters.set(clusterId, config);
     
     // Invalidate client cache
     if (this.clients.has(clusterId)) {
       this.clients.delete(clusterId);
     }
     
+    this.notify();
     return true;
   }
 
@@ -137,6 +374,8 @@ class ESClusterManager {
     this.clusters.delete(clusterId);
     this.clients.delete(clusterId);
     this.healthChecks.delete(clusterId);
+    this.healthHistory.delete(clusterId);
+    this.circuitBreakers.delete(clusterId);
     
     // Remove from storage
     await this.configManager.removeCluster(clusterId);
@@ -154,6 +393,7 @@ class ESClusterManager {
       }
     }
     
+    this.notify();
     return true;
   }
 
@@ -208,9 +448,203 @@ class ESClusterManager {
     
     this.activeCluster = clusterId;
     await this.configManager.setActiveCluster(clusterId);
+    this.notify();
     return true;
   }
 
+  /**
+   * Set the index pattern, alias or data stream a cluster is queried through
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @param {string|null} indexPattern - Target expression (e.g. "logs-*"), or null to clear
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setIndexPattern(clusterId, indexPattern) {
+    if (!this.initialized) await this.initialize();
+    
+    const config = this.clusters.get(clusterId);
+    if (!config) {
+      throw new Error(`Cluster ${clusterId} not found`);
+    }
+    
+    const target = typeof indexPattern === 'string' ? indexPattern.trim() : '';
+    this.validateIndexPattern(target || null);
+    
+    const updated = { ...config, indexPattern: target || null };
+    await this.configManager.saveCluster(updated);
+    this.clusters.set(clusterId, updated);
+    this.clients.delete(clusterId);
+    
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Get the index pattern, alias or data stream selected for a cluster
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @returns {string|null} - The selected target or null if none is selected
+   */
+  getIndexPattern(clusterId) {
+    return this.clusters.get(clusterId)?.indexPattern || null;
+  }
+
+  /**
+   * Turn read-only mode on or off for a cluster
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @param {boolean} readOnly - Whether only search requests may run
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setReadOnly(clusterId, readOnly) {
+    if (!this.initialized) await this.initialize();
+    
+    const config = this.clusters.get(clusterId);
+    if (!config) {
+      throw new Error(`Cluster ${clusterId} not found`);
+    }
+    
+    const updated = { ...config, readOnly: Boolean(readOnly) };
+    await this.configManager.saveCluster(updated);
+    this.clusters.set(clusterId, updated);
+    
+    // Clients enforce the flag themselves, so they are rebuilt
+    this.clients.delete(clusterId);
+    
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Check whether a cluster only accepts search requests
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @returns {boolean} - True for read-only clusters
+   */
+  isReadOnly(clusterId) {
+    return isReadOnlyCluster(this.clusters.get(clusterId));
+  }
+
+  /**
+   * Refuse a query or request a cluster's read-only mode does not allow
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @param {Object} query - Search body or { method, path, body } request
+   * @throws {ReadOnlyViolationError} - If the cluster is read-only and the request is not a search
+   */
+  assertRequestAllowed(clusterId, query) {
+    const config = this.clusters.get(clusterId);
+    if (!config) {
+      throw new Error(`Cluster ${clusterId} not found`);
+    }
+    
+    assertRequestAllowed(config, normalizeRequest(query, config.indexPattern));
+  }
+
+  /**
+   * List the indices, aliases and data streams of a cluster
+   * 
+   * Uses _resolve/index where the cluster supports it and falls back to
+   * _cat/aliases otherwise; statistics always come from _cat/indices.
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.pattern='*'] - Expression to list
+   * @param {boolean} [options.includeHidden=false] - Include dot-prefixed system indices
+   * @param {AbortSignal} [options.signal] - Cancels the listing
+   * @returns {Promise<Object>} - { indices, aliases, dataStreams }
+   */
+  async listTargets(clusterId, { pattern = '*', includeHidden = false, signal } = {}) {
+    const client = await this.getClient(clusterId);
+    const dialect = getDialect(this.clusters.get(clusterId));
+    
+    // Hidden indices are needed for data stream statistics even when not listed
+    const catIndices = await client.cat.indices(
+      { index: pattern, bytes: 'b', expand_wildcards: 'all' },
+      { signal }
+    );
+    
+    const stats = new Map((catIndices || []).map(row => [row.index, {
+      health: row.health || null,
+      status: row.status || null,
+      docsCount: Number(row['docs.count']) || 0,
+      storeSize: Number(row['store.size']) || 0
+    }]));
+    const statsOf = name => stats.get(name) || { health: null, status: null, docsCount: 0, storeSize: 0 };
+    const isVisible = name => includeHidden || !name.startsWith('.');
+    
+    let indices;
+    let aliases;
+    let dataStreams = [];
+    
+    if (dialect.supportsResolveIndex) {
+      const resolved = await client.indices.resolveIndex(
+        { name: pattern, expand_wildcards: includeHidden ? 'all' : 'open' },
+        { signal }
+      );
+      
+      indices = (resolved.indices || [])
+        .filter(index => isVisible(index.name))
+        .map(index => ({
+          name: index.name,
+          ...statsOf(index.name),
+          aliases: index.aliases || [],
+          dataStream: index.data_stream || null
+        }));
+      aliases = (resolved.aliases || []).map(alias => ({
+        name: alias.name,
+        indices: alias.indices || []
+      }));
+      dataStreams = (resolved.data_streams || []).map(stream => ({
+        name: stream.name,
+        indices: stream.backing_indices || [],
+        timestampField: stream.timestamp_field || '@timestamp'
+      }));
+    } else {
+      indices = Array.from(stats.keys())
+        .filter(isVisible)
+        .map(name => ({ name, ...statsOf(name), aliases: [], dataStream: null }));
+      
+      const catAliases = await client.cat.aliases({ name: pattern }, { signal });
+      const aliasMap = new Map();
+      for (const row of catAliases || []) {
+        if (!aliasMap.has(row.alias)) aliasMap.set(row.alias, []);
+        aliasMap.get(row.alias).push(row.index);
+      }
+      aliases = Array.from(aliasMap, ([name, members]) => ({ name, indices: members }));
+      
+      for (const index of indices) {
+        index.aliases = aliases.filter(alias => alias.indices.includes(index.name)).map(alias => alias.name);
+      }
+    }
+    
+    // Aliases and data streams report the totals of their member indices
+    const summarize = target => {
+      const members = target.indices.map(statsOf);
+      return {
+        ...target,
+        docsCount: members.reduce((sum, member) => sum + member.docsCount, 0),
+        storeSize: members.reduce((sum, member) => sum + member.storeSize, 0),
+        health: members.reduce((worst, member) =>
+          INDEX_HEALTH_ORDER.indexOf(member.health) > INDEX_HEALTH_ORDER.indexOf(worst) ? member.health : worst,
+        members.length > 0 ? 'green' : null)
+      };
+    };
+    
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    
+    return {
+      indices: indices.sort(byName),
+      aliases: aliases.map(summarize).sort(byName),
+      dataStreams: dataStreams
+        .map(stream => ({
+          ...summarize(stream),
+          backingIndices: stream.indices.map(name => ({ name, ...statsOf(name) }))
+        }))
+        .sort(byName)
+    };
+  }
+
   /**
    * Test connection to an Elasticsearch cluster
    * 
@@ -218,26 +652,50 @@ class ESClusterManager {
    * @returns {Promise<Object>} - Connection health information
    */
   async testConnection(config) {
+    const startedAt = Date.now();
+    
     try {
-      // For demo purposes, simulate a successful connection
-      // In a real implementation, use the elasticsearch client
+      const client = this.createClient(config);
+      
+      // Probes report the cluster as it is right now, so they are not retried
+      // The root endpoint gives us version and cluster identity
+      const info = await client.info({ maxRetries: 0 });
+      
+      // Cluster health gives us status and node count
+      const health = await client.cluster.health({}, { maxRetries: 0 });
+      
+      const versionInfo = parseClusterInfo(info);
+      
+      // Point out when the configured engine does not match what the cluster reports
+      const warning = config.engine && config.engine !== versionInfo.distribution
+        ? `Cluster reports ${versionInfo.distribution} but is configured as ${config.engine}`
+        : null;
       
       return {
         connected: true,
-        version: '7.10.2',
-        clusterName: config.name || 'elasticsearch',
-        nodeCount: 1,
-        status: 'green',
+        version: versionInfo.number,
+        distribution: versionInfo.distribution,
+        buildFlavor: versionInfo.buildFlavor,
+        versionInfo,
+        clusterName: info?.cluster_name || health?.cluster_name || config.name,
+        nodeCount: health?.number_of_nodes ?? null,
+        status: health?.status || null,
+        latency: Date.now() - startedAt,
         lastChecked: new Date(),
+        warning,
         error: null
       };
     } catch (error) {
       return {
         connected: false,
         version: null,
+        distribution: null,
+        buildFlavor: null,
+        versionInfo: null,
         clusterName: null,
         nodeCount: null,
         status: null,
+        latency: Date.now() - startedAt,
         lastChecked: new Date(),
         error: error.message
       };
@@ -258,12 +716,43 @@ class ESClusterManager {
       throw new Error(`Cluster ${clusterId} not found`);
     }
     
+    // Without its credentials the probe would only report an authentication failure
+    if (config.secretsLocked) {
+      return {
+        connected: false,
+        version: config.versionInfo?.number || null,
+        clusterName: config.name,
+        nodeCount: null,
+        status: null,
+        lastChecked: new Date(),
+        error: config.secretsUnreadable ? 'Credentials could not be decrypted' : 'Credentials are locked'
+      };
+    }
+    
     try {
       const health = await this.testConnection(config);
       
       // Update stored health info
+      const previous = this.healthChecks.get(clusterId);
       this.healthChecks.set(clusterId, health);
+      this.recordHealth(clusterId, health, previous);
       
+      // A reachable cluster closes its circuit; an unreachable one counts as a failure
+      const breaker = this.getCircuitBreaker(clusterId);
+      if (health.connected) {
+        breaker.recordSuccess();
+      } else {
+        breaker.recordFailure(new Error(health.error));
+      }
+      
+      // Keep the recorded version current (e.g. after a cluster upgrade)
+      if (health.connected && health.versionInfo && !this.isSameVersion(config.versionInfo, health.versionInfo)) {
+        config.versionInfo = health.versionInfo;
+        await this.configManager.saveCluster(config);
+        this.clients.delete(clusterId);
+      }
+      
+      this.notify();
       return health;
     } catch (error) {
       console.error(`Error checking health for cluster ${clusterId}:`, error);
@@ -285,6 +774,170 @@ class ESClusterManager {
     }
   }
 
+  /**
+   * Reduce a health result to one of green, yellow, red or unreachable
+   * 
+   * @param {Object|null} health - Result of testConnection()
+   * @returns {string|null} - The status, or null if never checked
+   */
+  getHealthStatus(health) {
+    if (!health) return null;
+    if (!health.connected) return 'unreachable';
+    return health.status || 'green';
+  }
+
+  /**
+   * Append a health sample to the cluster's rolling history and announce it
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @param {Object} health - The new health result
+   * @param {Object} [previous] - The previous health result
+   */
+  recordHealth(clusterId, health, previous) {
+    const status = this.getHealthStatus(health);
+    const history = this.healthHistory.get(clusterId) || [];
+    
+    const sample = {
+      timestamp: health.lastChecked || new Date(),
+      status,
+      latency: health.latency ?? null,
+      nodeCount: health.nodeCount ?? null,
+      error: health.error || null
+    };
+    
+    this.healthHistory.set(clusterId, [...history, sample].slice(-HEALTH_HISTORY_LIMIT));
+    this.emit('health', { clusterId, health, sample });
+    
+    const previousStatus = this.getHealthStatus(previous);
+    if (previousStatus !== status) {
+      this.emit('statusChange', { clusterId, from: previousStatus, to: status, health });
+    }
+  }
+
+  /**
+   * Get the recorded health samples of a cluster, oldest first
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @returns {Array} - Health samples ({ timestamp, status, latency, nodeCount, error })
+   */
+  getHealthHistory(clusterId) {
+    return this.healthHistory.get(clusterId) || [];
+  }
+
+  /**
+   * Start checking the health of every cluster in the background
+   * 
+   * @param {Object} [options] - Monitoring options
+   * @param {number} [options.interval] - Milliseconds between checks (defaults to the saved setting)
+   */
+  async startHealthMonitoring({ interval } = {}) {
+    if (!this.initialized) await this.initialize();
+    
+    if (interval !== undefined) {
+      this.healthCheckInterval = interval;
+    }
+    
+    this.stopHealthMonitoring();
+    
+    // An interval of 0 disables monitoring
+    if (!this.healthCheckInterval) {
+      this.notify();
+      return;
+    }
+    
+    this.healthTimer = setInterval(() => this.pollHealth(), this.healthCheckInterval);
+    this.notify();
+    
+    // Check right away instead of waiting a whole interval
+    await this.pollHealth();
+  }
+
+  /**
+   * Stop background health checks
+   */
+  stopHealthMonitoring() {
+    if (this.healthTimer !== null) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Change and persist the background health check interval
+   * 
+   * @param {number} interval - Milliseconds between checks, or 0 to disable
+   */
+  async setHealthCheckInterval(interval) {
+    if (!Number.isFinite(interval) || interval < 0) {
+      throw new Error('Health check interval must be a positive number of milliseconds or 0');
+    }
+    
+    const wasMonitoring = this.healthTimer !== null;
+    this.healthCheckInterval = interval;
+    await this.configManager.saveSettings({ healthCheckInterval: interval });
+    
+    if (wasMonitoring || interval) {
+      await this.startHealthMonitoring();
+    } else {
+      this.notify();
+    }
+  }
+
+  /**
+   * Turn demo mode on or off
+   * 
+   * In demo mode schemas come from built-in samples instead of the cluster,
+   * so the query tools can be tried without a connection.
+   * 
+   * @param {boolean} enabled - Whether demo mode is on
+   */
+  async setDemoMode(enabled) {
+    this.demoMode = Boolean(enabled);
+    await this.configManager.saveSettings({ demoMode: this.demoMode });
+    this.notify();
+  }
+
+  /**
+   * Check whether demo mode is on
+   */
+  isDemoMode() {
+    return this.demoMode;
+  }
+
+  /**
+   * Check every cluster once; overlapping polls are skipped
+   */
+  async pollHealth() {
+    if (this.pollInProgress) return;
+    this.pollInProgress = true;
+    
+    try {
+      // One cluster at a time keeps a slow cluster from piling up requests
+      for (const clusterId of Array.from(this.clusters.keys())) {
+        try {
+          await this.getClusterHealth(clusterId);
+        } catch (error) {
+          console.error(`Health poll failed for cluster ${clusterId}:`, error);
+        }
+      }
+    } finally {
+      this.pollInProgress = false;
+    }
+  }
+
+  /**
+   * Check whether two recorded version infos describe the same build
+   * 
+   * @param {Object|null} a - Recorded version info
+   * @param {Object|null} b - Freshly probed version info
+   * @returns {boolean} - True if distribution, version and flavor match
+   */
+  isSameVersion(a, b) {
+    if (!a || !b) return false;
+    return a.distribution === b.distribution && a.number === b.number && a.buildFlavor === b.buildFlavor;
+  }
+
   /**
    * Get a client instance for a specific cluster
    * 
@@ -304,9 +957,15 @@ class ESClusterManager {
       throw new Error(`Cluster ${clusterId} not found`);
     }
     
-    // Create a new mock client
-    // In a real implementation, create an actual Elasticsearch client
-    const client = this.createMockClient(config);
+    if (config.secretsUnreadable) {
+      throw new Error(`Credentials for cluster "${config.name}" could not be decrypted. Enter them again in the connection settings.`);
+    }
+    if (config.secretsLocked) {
+      throw new Error(`Credentials for cluster "${config.name}" are locked. Unlock them with your passphrase first.`);
+    }
+    
+    // Create a new HTTP client for the cluster, guarded by its circuit breaker
+    const client = this.createClient(config, { circuitBreaker: this.getCircuitBreaker(clusterId) });
     
     // Cache the client
     this.clients.set(clusterId, client);
@@ -314,6 +973,45 @@ class ESClusterManager {
     return client;
   }
 
+  /**
+   * Create an HTTP client for a cluster configuration
+   * 
+   * @param {Object} config - The cluster configuration
+   * @param {Object} [dependencies] - Client collaborators ({ circuitBreaker })
+   * @returns {ESHttpClient} - Elasticsearch client
+   */
+  createClient(config, dependencies = {}) {
+    return new ESHttpClient(config, dependencies);
+  }
+
+  /**
+   * Get (or create) the circuit breaker of a cluster
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @returns {CircuitBreaker} - The cluster's breaker
+   */
+  getCircuitBreaker(clusterId) {
+    if (!this.circuitBreakers.has(clusterId)) {
+      this.circuitBreakers.set(clusterId, new CircuitBreaker({
+        onStateChange: (state, previous) => {
+          this.emit('circuitChange', { clusterId, state, previous });
+          this.notify();
+        }
+      }));
+    }
+    return this.circuitBreakers.get(clusterId);
+  }
+
+  /**
+   * Check whether a cluster is degraded (its circuit is open)
+   * 
+   * @param {string} clusterId - The cluster ID
+   * @returns {boolean} - True while requests to the cluster are paused
+   */
+  isDegraded(clusterId) {
+    return this.circuitBreakers.get(clusterId)?.state === 'open';
+  }
+
   /**
    * Create a mock Elasticsearch client (for demonstration purposes)
    * 
@@ -384,9 +1082,10 @@ class ESClusterManager {
    * Validate cluster configuration
    * 
    * @param {Object} config - The cluster configuration to validate
+   * @param {Object} [previous] - The stored configuration this one replaces
    * @throws {Error} - If configuration is invalid
    */
-  validateConfig(config) {
+  validateConfig(config, previous = null) {
     if (!config) {
       throw new Error('Cluster configuration is required');
     }
@@ -395,21 +1094,124 @@ class ESClusterManager {
       throw new Error('Cluster name is required');
     }
     
-    if (!config.host) {
-      throw new Error('Cluster host is required');
+    // A cluster is reached through a Cloud ID, a list of nodes or a single host
+    if (config.cloudId) {
+      parseCloudId(config.cloudId);
+    } else if (Array.isArray(config.nodes) && config.nodes.length > 0) {
+      config.nodes.forEach(parseNodeUrl);
+    } else if (config.nodes !== undefined && config.nodes !== null && !Array.isArray(config.nodes)) {
+      throw new Error('Node URLs must be a list');
+    } else {
+      if (!config.host) {
+        throw new Error('Cluster host is required');
+      }
+      
+      if (!config.port) {
+        throw new Error('Cluster port is required');
+      }
     }
     
-    if (!config.port) {
-      throw new Error('Cluster port is required');
+    if (config.pathPrefix !== undefined && config.pathPrefix !== null) {
+      if (typeof config.pathPrefix !== 'string' || /[?#\s]/.test(config.pathPrefix)) {
+        throw new Error('Path prefix must be a URL path such as "/elasticsearch"');
+      }
+      config.pathPrefix = normalizePathPrefix(config.pathPrefix);
     }
     
     if (!config.protocol) {
       config.protocol = 'http'; // Default to http
     }
     
+    if (!config.engine) {
+      config.engine = 'elasticsearch'; // Default to Elasticsearch
+    }
+    
+    if (config.engine !== 'elasticsearch' && config.engine !== 'opensearch') {
+      throw new Error('Engine must be "elasticsearch" or "opensearch"');
+    }
+    
     if (config.protocol !== 'http' && config.protocol !== 'https') {
       throw new Error('Protocol must be "http" or "https"');
     }
+    
+    // Secrets that stay encrypted (imported from the same vault) cannot be checked here
+    const auth = config.auth || { type: 'none' };
+    const sealed = Boolean(config.encryptedSecrets);
+    switch (auth.type) {
+      case 'none':
+        break;
+      case 'basic':
+        if (!auth.username || (!auth.password && !sealed)) {
+          throw new Error('Username and password are required for basic authentication');
+        }
+        break;
+      case 'apiKey':
+        if (!auth.apiKey && !sealed) {
+          throw new Error('API key is required for API key authentication');
+        }
+        break;
+      case 'bearer':
+        if (!auth.token && !sealed) {
+          throw new Error('Token is required for bearer authentication');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported authentication type "${auth.type}"`);
+    }
+    
+    if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+      throw new Error('Custom headers must be an object of header names to values');
+    }
+    
+    if (config.requestTimeout !== undefined && config.requestTimeout !== null &&
+        (!Number.isFinite(config.requestTimeout) || config.requestTimeout <= 0)) {
+      throw new Error('Request timeout must be a positive number of milliseconds');
+    }
+    
+    if (config.maxRetries !== undefined && config.maxRetries !== null &&
+        (!Number.isInteger(config.maxRetries) || config.maxRetries < 0)) {
+      throw new Error('Max retries must be a non-negative integer');
+    }
+    
+    if (config.tags !== undefined && config.tags !== null &&
+        (!Array.isArray(config.tags) || config.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('Cluster tags must be a list of strings');
+    }
+    
+    if (config.readOnly !== undefined && config.readOnly !== null && typeof config.readOnly !== 'boolean') {
+      throw new Error('Read-only must be true or false');
+    }
+    
+    // Production clusters are read-only unless the flag was turned off explicitly;
+    // a flag saved before the tag was added is not such a choice
+    if (typeof config.readOnly !== 'boolean') {
+      config.readOnly = hasProductionTag(config);
+    } else if (previous && hasProductionTag(config) && !hasProductionTag(previous)) {
+      config.readOnly = true;
+    }
+    
+    this.validateIndexPattern(config.indexPattern);
+  }
+
+  /**
+   * Validate an index pattern, alias or data stream expression
+   * 
+   * @param {string|null|undefined} indexPattern - The target expression
+   * @throws {Error} - If the expression is malformed
+   */
+  validateIndexPattern(indexPattern) {
+    if (indexPattern === undefined || indexPattern === null) {
+      return;
+    }
+    
+    if (typeof indexPattern !== 'string' || !indexPattern.trim()) {
+      throw new Error('Index pattern must be a non-empty string');
+    }
+    
+    // Characters Elasticsearch never allows in index names or expressions
+    if (/[\\/?"<>|# ]/.test(indexPattern.trim())) {
+      throw new Error(`Index pattern "${indexPattern}" contains characters that are not allowed`);
+    }
   }
 
   /**
@@ -425,4 +1227,7 @@ class ESClusterManager {
   }
 }
 
-export { ESClusterManager };
\ No newline at end of file
+// Shared instance used by the UI and the agent
+const esClusterManager = new ESClusterManager();
+
+export { ESClusterManager, esClusterManager, DEFAULT_HEALTH_CHECK_INTERVAL };
\ No newline at end of file
@@ -0,0 +1,241 @@
+// src/services/ESDialect.js
+
+/**
+ * ESDialect
+ *
+ * Helpers for detecting which search engine and version a cluster runs and
+ * which query DSL features that version supports. Query building and
+ * validation consult the dialect so generated requests match the cluster.
+ */
+
+// Intervals accepted by calendar_interval (single calendar units only)
+const CALENDAR_UNITS = {
+  minute: '1m', '1m': '1m', m: '1m',
+  hour: '1h', '1h': '1h', h: '1h',
+  day: '1d', '1d': '1d', d: '1d',
+  week: '1w', '1w': '1w', w: '1w',
+  month: '1M', '1M': '1M', M: '1M',
+  quarter: '1q', '1q': '1q', q: '1q',
+  year: '1y', '1y': '1y', y: '1y'
+};
+
+// Units that fixed_interval understands
+const FIXED_UNITS = {
+  millisecond: 'ms', milliseconds: 'ms', ms: 'ms',
+  second: 's', seconds: 's', s: 's',
+  minute: 'm', minutes: 'm', m: 'm',
+  hour: 'h', hours: 'h', h: 'h',
+  day: 'd', days: 'd', d: 'd'
+};
+
+// Aggregations provided by Elasticsearch's x-pack/analytics modules that OpenSearch lacks
+const ES_ONLY_AGGREGATIONS = [
+  'rate',
+  'top_metrics',
+  't_test',
+  'boxplot',
+  'string_stats',
+  'cumulative_cardinality',
+  'moving_percentiles',
+  'normalize',
+  'inference',
+  'geo_line',
+  'categorize_text',
+  'frequent_item_sets',
+  'random_sampler',
+  'time_series',
+  'ip_prefix',
+  'change_point',
+  'bucket_count_ks_test',
+  'bucket_correlation'
+];
+
+// Query clauses only Elasticsearch understands
+const ES_ONLY_QUERIES = [
+  'semantic',
+  'sparse_vector',
+  'text_expansion',
+  'weighted_tokens',
+  'rule',
+  'pinned',
+  'shape'
+];
+
+// Query clauses only OpenSearch understands
+const OPENSEARCH_ONLY_QUERIES = [
+  'neural',
+  'neural_sparse',
+  'hybrid'
+];
+
+/**
+ * Parse the response of the root endpoint into version information
+ *
+ * @param {Object} info - Response of GET /
+ * @returns {Object} - { distribution, number, major, minor, patch, buildFlavor }
+ */
+function parseClusterInfo(info) {
+  const version = info?.version || {};
+  const number = version.number || null;
+  const parts = (number || '').split('-')[0].split('.');
+  const toNumber = (part) => {
+    const parsed = parseInt(part, 10);
+    return Number.isNaN(parsed) ? null : parsed;
+  };
+
+  return {
+    distribution: version.distribution === 'opensearch' ? 'opensearch' : 'elasticsearch',
+    number,
+    major: toNumber(parts[0]),
+    minor: toNumber(parts[1]),
+    patch: toNumber(parts[2]),
+    buildFlavor: version.build_flavor || null
+  };
+}
+
+/**
+ * Compare a version against a major/minor threshold
+ */
+function isAtLeast(versionInfo, major, minor = 0) {
+  if (!versionInfo || versionInfo.major === null || versionInfo.major === undefined) return true;
+  if (versionInfo.major !== major) return versionInfo.major > major;
+  return (versionInfo.minor || 0) >= minor;
+}
+
+/**
+ * Build the dialect description for a cluster configuration
+ *
+ * @param {Object} clusterInfo - Cluster configuration (uses clusterInfo.versionInfo when probed)
+ * @returns {Object} - Feature flags for the cluster's DSL dialect
+ */
+function getDialect(clusterInfo) {
+  const versionInfo = clusterInfo?.versionInfo || null;
+  // A probed distribution wins over the configured engine, which is only a declaration
+  const distribution = versionInfo?.distribution || clusterInfo?.engine || 'elasticsearch';
+  const isOpenSearch = distribution === 'opensearch';
+  const known = Boolean(versionInfo && versionInfo.major !== null && versionInfo.major !== undefined);
+
+  let knnStyle;
+  if (isOpenSearch) {
+    knnStyle = 'query';          // { query: { knn: { field: { vector, k } } } }
+  } else if (!known || isAtLeast(versionInfo, 8, 4)) {
+    knnStyle = 'top-level';      // { knn: { field, query_vector, k, num_candidates } }
+  } else {
+    knnStyle = 'script_score';   // cosineSimilarity() in a script_score query
+  }
+
+  return {
+    engine: distribution,
+    distribution,
+    version: versionInfo?.number || null,
+    major: known ? versionInfo.major : null,
+    minor: known ? versionInfo.minor : null,
+    buildFlavor: versionInfo?.buildFlavor || null,
+    known,
+
+    // calendar_interval/fixed_interval arrived in 7.2; OpenSearch forked from 7.10
+    supportsCalendarInterval: isOpenSearch || isAtLeast(versionInfo, 7, 2),
+
+    // The legacy "interval" parameter was removed in Elasticsearch 8.0
+    supportsLegacyInterval: isOpenSearch || (known && versionInfo.major < 8),
+
+    // Mapping types (and include_type_name) are gone in Elasticsearch 8 and OpenSearch 2
+    supportsIncludeTypeName: known && (isOpenSearch ? versionInfo.major < 2 : versionInfo.major < 8),
+
+    // _resolve/index arrived in Elasticsearch 7.9, before OpenSearch forked from 7.10
+    supportsResolveIndex: isOpenSearch || isAtLeast(versionInfo, 7, 9),
+
+    knnStyle,
+    vectorFieldTypes: isOpenSearch ? ['knn_vector'] : ['dense_vector'],
+    unsupportedAggregations: isOpenSearch ? ES_ONLY_AGGREGATIONS : [],
+    unsupportedQueries: isOpenSearch ? ES_ONLY_QUERIES : OPENSEARCH_ONLY_QUERIES,
+
+    // SQL lives in a plugin on OpenSearch; PPL has no Elasticsearch equivalent
+    sqlEndpoint: isOpenSearch ? '/_plugins/_sql' : '/_sql',
+    pplEndpoint: isOpenSearch ? '/_plugins/_ppl' : null
+  };
+}
+
+/**
+ * Human readable label for the engine and version of a dialect
+ */
+function getDialectLabel(dialect) {
+  const engine = dialect.distribution === 'opensearch' ? 'OpenSearch' : 'Elasticsearch';
+  return dialect.version ? `${engine} ${dialect.version}` : engine;
+}
+
+/**
+ * Normalize an interval into date_histogram parameters for a dialect
+ *
+ * Single calendar units ("day", "1M") become calendar_interval, multiples
+ * ("5m", "12h") become fixed_interval, and clusters that predate those
+ * parameters get the legacy "interval".
+ *
+ * @param {string} interval - Interval such as "day", "1h" or "5m"
+ * @param {Object} dialect - Dialect from getDialect()
+ * @returns {Object} - e.g. { calendar_interval: '1d' } or { fixed_interval: '5m' }
+ */
+function buildDateHistogramInterval(interval, dialect) {
+  const value = String(interval || 'day').trim();
+
+  if (dialect && !dialect.supportsCalendarInterval) {
+    return { interval: CALENDAR_UNITS[value] || value };
+  }
+
+  if (CALENDAR_UNITS[value]) {
+    return { calendar_interval: CALENDAR_UNITS[value] };
+  }
+
+  const match = value.match(/^(\d+)\s*([a-zA-Z]+)$/);
+  if (match) {
+    const amount = parseInt(match[1], 10);
+    const unit = match[2];
+
+    if (amount === 1 && CALENDAR_UNITS[unit]) {
+      return { calendar_interval: CALENDAR_UNITS[unit] };
+    }
+
+    // "M" is months, so only lower-case words fall back to a case-insensitive lookup
+    const fixedUnit = FIXED_UNITS[unit] || (unit.length > 1 ? FIXED_UNITS[unit.toLowerCase()] : null);
+    if (fixedUnit) {
+      return { fixed_interval: `${amount}${fixedUnit}` };
+    }
+
+    // Weeks and longer are not fixed lengths; approximate with days
+    if (/^w/i.test(unit)) {
+      return { fixed_interval: `${amount * 7}d` };
+    }
+    if (unit === 'M' || /^months?$/i.test(unit)) {
+      return { fixed_interval: `${amount * 30}d` };
+    }
+    if (/^y/i.test(unit)) {
+      return { fixed_interval: `${amount * 365}d` };
+    }
+  }
+
+  return { calendar_interval: value };
+}
+
+/**
+ * Check whether a value can be used as a calendar_interval
+ */
+function isCalendarInterval(value) {
+  return Object.values(CALENDAR_UNITS).includes(value) || Object.prototype.hasOwnProperty.call(CALENDAR_UNITS, value);
+}
+
+/**
+ * Read the interval of a date_histogram definition regardless of which parameter it uses
+ */
+function getDateHistogramInterval(definition) {
+  if (!definition) return null;
+  return definition.calendar_interval || definition.fixed_interval || definition.interval || null;
+}
+
+export {
+  parseClusterInfo,
+  getDialect,
+  getDialectLabel,
+  buildDateHistogramInterval,
+  isCalendarInterval,
+  getDateHistogramInterval
+};
@@ -0,0 +1,176 @@
+// src/services/ESEndpoints.js
+
+/**
+ * ESEndpoints
+ *
+ * Turns the connection settings of a cluster into the base URLs requests are
+ * sent to. A cluster is reached through exactly one of: an Elastic Cloud ID,
+ * a list of node URLs, or a single host/port/protocol. Any of them can sit
+ * behind a reverse proxy path prefix.
+ */
+
+const DEFAULT_CLOUD_PORT = 443;
+
+/**
+ * Decode base64 text, accepting the URL-safe alphabet and missing padding
+ */
+function decodeBase64(value) {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = normalized + '='.repeat((4 - (normalized.length % 4)) % 4);
+  return atob(padded);
+}
+
+/**
+ * Parse an Elastic Cloud ID into its Elasticsearch and Kibana endpoints
+ *
+ * A Cloud ID is "<deployment name>:<base64 of host$es-id$kibana-id>", where the
+ * host may carry a port and each ID may carry its own port ("id:9243").
+ *
+ * @param {string} cloudId - The Cloud ID from the deployment page
+ * @returns {Object} - { name, protocol, host, port, url, kibanaUrl }
+ * @throws {Error} - If the Cloud ID cannot be decoded
+ */
+function parseCloudId(cloudId) {
+  const value = String(cloudId || '').trim();
+  if (!value) {
+    throw new Error('Cloud ID is required');
+  }
+
+  // Base64 has no colons, so the last one separates the deployment name
+  const separator = value.lastIndexOf(':');
+  const name = separator >= 0 ? value.slice(0, separator) : '';
+  const encoded = separator >= 0 ? value.slice(separator + 1) : value;
+
+  let decoded;
+  try {
+    decoded = decodeBase64(encoded);
+  } catch {
+    throw new Error('Invalid Cloud ID: the part after the deployment name is not base64');
+  }
+
+  const [hostPart, esId, kibanaId] = decoded.split('$');
+  if (!hostPart || !esId) {
+    throw new Error('Invalid Cloud ID: it does not contain a host and an Elasticsearch ID');
+  }
+
+  const [domain, domainPort] = hostPart.split(':');
+  const defaultPort = domainPort ? parseInt(domainPort, 10) : DEFAULT_CLOUD_PORT;
+
+  const endpointOf = (id) => {
+    const [uuid, idPort] = id.split(':');
+    const port = idPort ? parseInt(idPort, 10) : defaultPort;
+    return { host: `${uuid}.${domain}`, port };
+  };
+
+  const es = endpointOf(esId);
+  const kibana = kibanaId ? endpointOf(kibanaId) : null;
+
+  return {
+    name,
+    protocol: 'https',
+    host: es.host,
+    port: es.port,
+    url: `https://${es.host}:${es.port}`,
+    kibanaUrl: kibana ? `https://${kibana.host}:${kibana.port}` : null
+  };
+}
+
+/**
+ * Normalize a reverse proxy path prefix to "/segment/..." without a trailing slash
+ *
+ * @param {string} [prefix] - Prefix such as "es", "/es/" or "/proxy/es"
+ * @returns {string} - The normalized prefix, or "" when there is none
+ */
+function normalizePathPrefix(prefix) {
+  const trimmed = String(prefix || '').trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Parse a node URL into its origin and path
+ *
+ * @param {string} nodeUrl - URL such as "https://es-1.internal:9200"
+ * @returns {URL} - The parsed URL
+ * @throws {Error} - If the URL is malformed or not http(s)
+ */
+function parseNodeUrl(nodeUrl) {
+  let url;
+  try {
+    url = new URL(String(nodeUrl).trim());
+  } catch {
+    throw new Error(`Invalid node URL "${nodeUrl}"`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Node URL "${nodeUrl}" must use http or https`);
+  }
+
+  return url;
+}
+
+/**
+ * Resolve the base URLs requests to a cluster may be sent to
+ *
+ * @param {Object} config - The cluster configuration
+ * @param {string} [config.cloudId] - Elastic Cloud ID
+ * @param {Array<string>} [config.nodes] - Node URLs used round-robin
+ * @param {string} [config.host] - Host of a single node
+ * @param {number} [config.port] - Port of a single node
+ * @param {string} [config.protocol] - "http" or "https" for a single node
+ * @param {string} [config.pathPrefix] - Path the cluster is served under
+ * @returns {Array<string>} - Base URLs without a trailing slash
+ */
+function resolveNodeUrls(config) {
+  const prefix = normalizePathPrefix(config.pathPrefix);
+
+  if (config.cloudId) {
+    return [`${parseCloudId(config.cloudId).url}${prefix}`];
+  }
+
+  if (Array.isArray(config.nodes) && config.nodes.length > 0) {
+    return config.nodes.map(node => {
+      const url = parseNodeUrl(node);
+      // A path in the node URL itself counts as part of the prefix
+      const path = url.pathname.replace(/\/+$/, '');
+      return `${url.origin}${path}${prefix}`;
+    });
+  }
+
+  const protocol = config.protocol || 'http';
+  const host = String(config.host || '').replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  const port = config.port ? `:${config.port}` : '';
+  return [`${protocol}://${host}${port}${prefix}`];
+}
+
+/**
+ * Short description of where a cluster is reached, for display
+ *
+ * @param {Object} config - The cluster configuration
+ * @returns {string} - e.g. "https://es-1:9200 (+2 nodes)" or "Cloud: my-deployment"
+ */
+function describeEndpoint(config) {
+  if (config.cloudId) {
+    try {
+      const { name, host } = parseCloudId(config.cloudId);
+      return `Cloud: ${name || host}`;
+    } catch {
+      return 'Cloud: invalid ID';
+    }
+  }
+
+  try {
+    const urls = resolveNodeUrls(config);
+    const others = urls.length - 1;
+    return others > 0 ? `${urls[0]} (+${others} ${others === 1 ? 'node' : 'nodes'})` : urls[0];
+  } catch {
+    return 'Invalid endpoint';
+  }
+}
+
+export {
+  parseCloudId,
+  normalizePathPrefix,
+  parseNodeUrl,
+  resolveNodeUrls,
+  describeEndpoint
+};
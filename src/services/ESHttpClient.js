@@ -0,0 +1,614 @@
+// src/services/ESHttpClient.js
+
+/**
+ * ESHttpClient
+ *
+ * Minimal fetch-based Elasticsearch client used by ESClusterManager.
+ * Exposes the subset of the official client interface the extension relies on
+ * (info, ping, search, field_caps, indices.get, indices.getMapping,
+ * indices.resolveIndex, cat.indices, cat.aliases, cluster.health, sql, ppl) and applies the
+ * authentication configured for the cluster on every request. Clusters in
+ * read-only mode refuse anything but reads and search-family calls.
+ *
+ * Clusters configured with several nodes are called round-robin; a node that
+ * cannot be reached is skipped until its resurrection timeout passes and
+ * requests that are safe to repeat fail over to the next live node.
+ *
+ * Every call accepts a second `options` argument like the official client
+ * ({ signal, requestTimeout, maxRetries }). Idempotent calls are retried with
+ * exponential backoff and jitter on timeouts, network errors and 429/502/503/504.
+ */
+import { getDialect } from './ESDialect';
+import { isReadOnlyCluster, classifyRequest, ReadOnlyViolationError } from './ESRequestGuard';
+import { resolveNodeUrls } from './ESEndpoints';
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 250;
+const RETRY_MAX_DELAY = 4000;
+
+// How long an unreachable node is skipped; doubles per consecutive failure
+const NODE_RESURRECT_BASE = 5000;
+const NODE_RESURRECT_MAX = 300000;
+
+// Statuses worth retrying: throttling and unavailable/overloaded gateways
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * Base64 encode the UTF-8 bytes of a string; btoa alone rejects anything outside Latin-1
+ */
+function encodeBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Error raised when Elasticsearch answers with a non-2xx status or cannot be reached
+ *
+ * `code` tells failures without a status apart: "timeout", "aborted",
+ * "network" or "circuit_open".
+ */
+class ESClientError extends Error {
+  constructor(message, { statusCode = null, body = null, cause = null, code = null } = {}) {
+    super(message);
+    this.name = 'ESClientError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.cause = cause;
+    this.code = code;
+  }
+}
+
+class ESHttpClient {
+  /**
+   * @param {Object} config - The cluster configuration
+   * @param {string} [config.cloudId] - Elastic Cloud ID (takes precedence over nodes and host)
+   * @param {Array<string>} [config.nodes] - Node URLs called round-robin
+   * @param {string} [config.host] - Host name or IP of a single-node cluster
+   * @param {number} [config.port] - HTTP port of a single-node cluster
+   * @param {string} [config.protocol] - "http" or "https"
+   * @param {string} [config.pathPrefix] - Path the cluster is served under behind a proxy
+   * @param {Object} [config.auth] - Authentication settings ({ type, username, password, apiKey, token })
+   * @param {Object} [config.headers] - Additional headers sent with every request
+   * @param {number} [config.requestTimeout] - Milliseconds before a request is aborted
+   * @param {number} [config.maxRetries] - Retries for idempotent requests
+   * @param {Object} [dependencies] - Collaborators shared across clients
+   * @param {CircuitBreaker} [dependencies.circuitBreaker] - Breaker guarding the cluster
+   */
+  constructor(config, { circuitBreaker = null } = {}) {
+    if (!config) {
+      throw new Error('Cluster configuration is required');
+    }
+
+    this.config = config;
+    this.nodes = resolveNodeUrls(config).map(url => ({ url, failures: 0, deadUntil: 0 }));
+    this.nodeCursor = 0;
+    this.baseUrl = this.nodes[0].url;
+    this.headers = ESHttpClient.buildHeaders(config);
+    this.requestTimeout = config.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.circuitBreaker = circuitBreaker;
+
+    // Namespaced APIs mirror the official client layout
+    this.indices = {
+      get: (params = {}, options = {}) => {
+        const { index, ...querystring } = params;
+        
+        // Typed mappings no longer exist on 8.x; the parameter is rejected there
+        if (!getDialect(this.config).supportsIncludeTypeName) {
+          delete querystring.include_type_name;
+        }
+        
+        return this.request('GET', `/${this.encodeIndex(index)}`, { querystring, ...options });
+      },
+
+      getMapping: (params = {}, options = {}) => {
+        const { index, ...querystring } = params;
+        const path = index ? `/${this.encodeIndex(index)}/_mapping` : '/_mapping';
+        return this.request('GET', path, { querystring, ...options });
+      },
+
+      resolveIndex: (params = {}, options = {}) => {
+        const { name, ...querystring } = params;
+        return this.request('GET', `/_resolve/index/${this.encodeIndex(name || '*')}`, { querystring, ...options });
+      }
+    };
+
+    this.cat = {
+      indices: (params = {}, options = {}) => {
+        const { index, ...querystring } = params;
+        const path = index ? `/_cat/indices/${this.encodeIndex(index)}` : '/_cat/indices';
+        return this.request('GET', path, { querystring: { format: 'json', ...querystring }, ...options });
+      },
+
+      aliases: (params = {}, options = {}) => {
+        const { name, ...querystring } = params;
+        const path = name ? `/_cat/aliases/${this.encodeIndex(name)}` : '/_cat/aliases';
+        return this.request('GET', path, { querystring: { format: 'json', ...querystring }, ...options });
+      }
+    };
+
+    this.cluster = {
+      health: (params = {}, options = {}) => {
+        const { index, ...querystring } = params;
+        const path = index ? `/_cluster/health/${this.encodeIndex(index)}` : '/_cluster/health';
+        return this.request('GET', path, { querystring, ...options });
+      }
+    };
+
+    this.sql = {
+      query: (params = {}, options = {}) => this.sqlQuery(params, options)
+    };
+
+    this.ppl = {
+      query: (params = {}, options = {}) => this.pplQuery(params, options)
+    };
+  }
+
+  /**
+   * Build the base URL of a cluster from its configuration
+   *
+   * @param {Object} config - The cluster configuration
+   * @returns {string} - Base URL of the first node without trailing slash
+   */
+  static buildBaseUrl(config) {
+    return resolveNodeUrls(config)[0];
+  }
+
+  /**
+   * Pick the next live node round-robin
+   *
+   * When every node is marked dead the one that has been skipped the longest
+   * is tried anyway, so a recovered cluster is noticed.
+   */
+  selectNode() {
+    const now = Date.now();
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      const index = (this.nodeCursor + i) % this.nodes.length;
+      const node = this.nodes[index];
+      if (node.deadUntil <= now) {
+        this.nodeCursor = (index + 1) % this.nodes.length;
+        return node;
+      }
+    }
+
+    return this.nodes.reduce((oldest, node) => node.deadUntil < oldest.deadUntil ? node : oldest);
+  }
+
+  /**
+   * Skip a node that could not be reached until its resurrection timeout passes
+   */
+  markNodeDead(node) {
+    node.failures++;
+    node.deadUntil = Date.now() + Math.min(NODE_RESURRECT_MAX, NODE_RESURRECT_BASE * 2 ** (node.failures - 1));
+  }
+
+  /**
+   * Mark a node as reachable again
+   */
+  markNodeAlive(node) {
+    node.failures = 0;
+    node.deadUntil = 0;
+  }
+
+  /**
+   * Check whether any node is currently considered reachable
+   */
+  hasLiveNode() {
+    const now = Date.now();
+    return this.nodes.some(node => node.deadUntil <= now);
+  }
+
+  /**
+   * Build request headers including authentication for a cluster
+   *
+   * @param {Object} config - The cluster configuration
+   * @returns {Object} - Header map
+   */
+  static buildHeaders(config) {
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+
+    const auth = config.auth || { type: 'none' };
+
+    switch (auth.type) {
+      case 'basic':
+        headers['Authorization'] = `Basic ${encodeBase64(`${auth.username || ''}:${auth.password || ''}`)}`;
+        break;
+
+      case 'apiKey':
+        // Accept both the encoded key and the raw "id:api_key" pair Elasticsearch returns
+        headers['Authorization'] = `ApiKey ${
+          auth.apiKey && auth.apiKey.includes(':') ? encodeBase64(auth.apiKey) : auth.apiKey
+        }`;
+        break;
+
+      case 'bearer':
+        headers['Authorization'] = `Bearer ${auth.token}`;
+        break;
+
+      case 'none':
+      default:
+        break;
+    }
+
+    // Custom headers are applied last so they can override the defaults
+    if (config.headers && typeof config.headers === 'object') {
+      for (const [name, value] of Object.entries(config.headers)) {
+        if (name && value !== undefined && value !== null && value !== '') {
+          headers[name] = String(value);
+        }
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Encode an index expression for use in a URL path
+   */
+  encodeIndex(index) {
+    if (!index) return '_all';
+    const indices = Array.isArray(index) ? index : [index];
+    return indices.map(name => encodeURIComponent(name).replace(/%2A/gi, '*')).join(',');
+  }
+
+  /**
+   * Perform an HTTP request against the cluster
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path starting with "/"
+   * @param {Object} options - Request options
+   * @param {Object} [options.querystring] - Query string parameters
+   * @param {Object} [options.body] - JSON request body
+   * @param {AbortSignal} [options.signal] - Signal that cancels the request
+   * @param {number} [options.requestTimeout] - Overrides the cluster's timeout
+   * @param {number} [options.maxRetries] - Overrides the cluster's retry count
+   * @param {boolean} [options.idempotent] - Whether the call may be retried (defaults to GET/HEAD)
+   * @returns {Promise<Object|boolean>} - Parsed JSON response (or true for HEAD requests)
+   */
+  async request(method, path, {
+    querystring = {},
+    body,
+    signal,
+    requestTimeout,
+    maxRetries,
+    idempotent
+  } = {}) {
+    // Read-only clusters never receive a mutating request, whoever builds it
+    if (isReadOnlyCluster(this.config)) {
+      const { mutating, operation } = classifyRequest({ method, path, body });
+      if (mutating) {
+        throw new ReadOnlyViolationError(
+          `Cluster "${this.config.name}" is read-only; refusing ${method} ${path}`,
+          { operation, method, path }
+        );
+      }
+    }
+
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(querystring)) {
+      if (value !== undefined && value !== null) {
+        search.set(key, Array.isArray(value) ? value.join(',') : String(value));
+      }
+    }
+    const query = search.toString();
+
+    const retryable = idempotent ?? (method === 'GET' || method === 'HEAD');
+    const retries = retryable ? (maxRetries ?? this.maxRetries) : 0;
+
+    // Whether this request is the trial request of a half-open circuit
+    let probing = false;
+
+    try {
+      for (let attempt = 0, failovers = 0; ;) {
+        // A trial request keeps its place while it retries; others wait for its outcome
+        const breaker = this.circuitBreaker;
+        if (breaker && !(probing && breaker.state === 'half-open') && !breaker.canRequest()) {
+          const retry = breaker.state === 'half-open'
+            ? 'a trial request is in progress'
+            : `retrying in ${Math.ceil(breaker.getRetryAfter() / 1000)}s`;
+          throw new ESClientError(
+            `Cluster at ${this.baseUrl} is degraded after repeated failures; ${retry}`,
+            { code: 'circuit_open', cause: breaker.lastError }
+          );
+        }
+        probing = breaker?.state === 'half-open';
+
+        const node = this.selectNode();
+        const url = new URL(`${node.url}${path}${query ? `?${query}` : ''}`);
+
+        try {
+          const result = await this.send(method, url, path, body, {
+            signal,
+            timeout: requestTimeout || this.requestTimeout
+          });
+          this.markNodeAlive(node);
+          this.circuitBreaker?.recordSuccess();
+          return result;
+        } catch (error) {
+          // Cancellation is the caller's decision, not a cluster failure
+          if (error.code === 'aborted') {
+            throw error;
+          }
+
+          const transient = this.isTransientError(error);
+          if (error.code === 'network' || error.code === 'timeout') {
+            this.markNodeDead(node);
+          } else {
+            // The node answered, so it is up even if the request was wrong
+            this.markNodeAlive(node);
+          }
+
+          // One unreachable node does not make a cluster with other live nodes degraded
+          if (!transient) {
+            this.circuitBreaker?.recordSuccess();
+          } else if (error.statusCode || !this.hasLiveNode()) {
+            this.circuitBreaker?.recordFailure(error);
+          }
+
+          // Only requests that are safe to repeat move on to another node
+          if (error.code === 'network' && retryable && this.hasLiveNode() && failovers < this.nodes.length - 1) {
+            failovers++;
+            continue;
+          }
+
+          if (!transient || attempt >= retries) {
+            throw error;
+          }
+
+          // A status error is the cluster asking to back off; only an unreachable
+          // node with another live node to fail over to is retried straight away
+          if (error.statusCode || !this.hasLiveNode()) {
+            await this.delay(this.getRetryDelay(attempt), signal);
+          }
+          attempt++;
+        }
+      }
+    } finally {
+      // A trial that ends without an outcome (e.g. cancelled) lets the next one through
+      if (probing) this.circuitBreaker.releaseProbe();
+    }
+  }
+
+  /**
+   * Send a single HTTP request with timeout and cancellation
+   */
+  async send(method, url, path, body, { signal, timeout }) {
+    if (signal?.aborted) {
+      throw new ESClientError('Request was cancelled', { code: 'aborted' });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url.toString(), {
+        method,
+        headers: this.headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      text = method === 'HEAD' ? '' : await response.text();
+    } catch (error) {
+      if (timedOut) {
+        throw new ESClientError(`Request ${method} ${path} timed out after ${timeout} ms`, {
+          code: 'timeout',
+          cause: error
+        });
+      }
+      if (signal?.aborted) {
+        throw new ESClientError('Request was cancelled', { code: 'aborted', cause: error });
+      }
+      throw new ESClientError(`Unable to reach ${url.origin}: ${error.message}`, {
+        code: 'network',
+        cause: error
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (method === 'HEAD') {
+      return response.ok;
+    }
+
+    let payload = null;
+    if (text) {
+      try {
+        payload = JSON.parse(text);
+      } catch {
+        payload = text;
+      }
+    }
+
+    if (!response.ok) {
+      const reason = payload?.error?.reason || payload?.error?.type || payload?.error || response.statusText;
+      throw new ESClientError(
+        `Elasticsearch request ${method} ${path} failed with status ${response.status}: ${
+          typeof reason === 'string' ? reason : JSON.stringify(reason)
+        }`,
+        { statusCode: response.status, body: payload }
+      );
+    }
+
+    return payload;
+  }
+
+  /**
+   * Check whether a failed request may succeed when retried
+   */
+  isTransientError(error) {
+    if (error.code === 'timeout' || error.code === 'network') return true;
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+
+  /**
+   * Exponential backoff with jitter for the given retry attempt
+   *
+   * At least half the backoff is always waited, so retries never arrive
+   * back-to-back.
+   */
+  getRetryDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Wait before retrying, stopping early if the request is cancelled
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new ESClientError('Request was cancelled', { code: 'aborted' }));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ESClientError('Request was cancelled', { code: 'aborted' }));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Get basic information about the cluster (root endpoint)
+   */
+  async info(options = {}) {
+    return this.request('GET', '/', options);
+  }
+
+  /**
+   * Check whether the cluster is reachable
+   */
+  async ping(options = {}) {
+    try {
+      return await this.request('HEAD', '/', { maxRetries: 0, ...options });
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Execute a search request
+   *
+   * @param {Object} params - Search parameters ({ index, body, ...querystring })
+   * @param {Object} [options] - Transport options ({ signal, requestTimeout, maxRetries })
+   */
+  async search(params = {}, options = {}) {
+    const { index, body, ...querystring } = params;
+    return this.request('POST', `/${this.encodeIndex(index)}/_search`, {
+      querystring,
+      body: body || {},
+      idempotent: true,
+      ...options
+    });
+  }
+
+  /**
+   * Retrieve field capabilities for an index pattern
+   *
+   * @param {Object} params - Field caps parameters ({ index, fields, ...querystring })
+   * @param {Object} [options] - Transport options ({ signal, requestTimeout, maxRetries })
+   */
+  async field_caps(params = {}, options = {}) {
+    const { index, fields = '*', ...querystring } = params;
+    return this.request('GET', `/${this.encodeIndex(index)}/_field_caps`, {
+      querystring: { fields, ...querystring },
+      ...options
+    });
+  }
+
+  /**
+   * Run a SQL query through the engine's SQL endpoint
+   *
+   * Elasticsearch exposes SQL at /_sql, OpenSearch through its SQL plugin at
+   * /_plugins/_sql. Both responses are normalized to { columns, rows }.
+   *
+   * @param {Object} params - ({ query, fetch_size })
+   * @param {Object} [options] - Transport options ({ signal, requestTimeout, maxRetries })
+   */
+  async sqlQuery(params = {}, options = {}) {
+    const { query, ...queryOptions } = params;
+    const dialect = getDialect(this.config);
+
+    const body = { query, ...queryOptions };
+
+    const response = await this.request('POST', dialect.sqlEndpoint, {
+      querystring: { format: dialect.distribution === 'opensearch' ? 'jdbc' : 'json' },
+      body,
+      // OpenSearch SQL also runs DELETE, which must not be repeated
+      idempotent: classifyRequest({ method: 'POST', path: dialect.sqlEndpoint, body }).searchFamily,
+      ...options
+    });
+    return this.normalizeTabularResponse(response);
+  }
+
+  /**
+   * Run a PPL (Piped Processing Language) query; OpenSearch only
+   *
+   * @param {Object} params - ({ query })
+   * @param {Object} [options] - Transport options ({ signal, requestTimeout, maxRetries })
+   */
+  async pplQuery(params = {}, options = {}) {
+    const dialect = getDialect(this.config);
+
+    if (!dialect.pplEndpoint) {
+      throw new ESClientError('PPL queries are only supported on OpenSearch clusters');
+    }
+
+    const response = await this.request('POST', dialect.pplEndpoint, {
+      body: { query: params.query },
+      idempotent: true,
+      ...options
+    });
+    return this.normalizeTabularResponse(response);
+  }
+
+  /**
+   * Normalize SQL/PPL responses from either engine to { columns, rows, total }
+   */
+  normalizeTabularResponse(response) {
+    if (!response || typeof response !== 'object') {
+      return { columns: [], rows: [], total: 0 };
+    }
+
+    // OpenSearch JDBC format
+    if (Array.isArray(response.schema)) {
+      return {
+        columns: response.schema.map(column => ({ name: column.alias || column.name, type: column.type })),
+        rows: response.datarows || [],
+        total: response.total ?? (response.datarows || []).length
+      };
+    }
+
+    // Elasticsearch SQL JSON format
+    return {
+      columns: response.columns || [],
+      rows: response.rows || [],
+      total: (response.rows || []).length,
+      cursor: response.cursor
+    };
+  }
+}
+
+export { ESHttpClient, ESClientError, DEFAULT_REQUEST_TIMEOUT, DEFAULT_MAX_RETRIES };
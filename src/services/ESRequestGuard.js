@@ -0,0 +1,185 @@
+// src/services/ESRequestGuard.js
+
+/**
+ * ESRequestGuard
+ *
+ * Classifies requests before they are sent so clusters in read-only mode
+ * only ever receive search-family calls. Clusters tagged "production" are
+ * read-only unless the flag is turned off explicitly.
+ */
+
+const PRODUCTION_TAG = 'production';
+
+// Endpoints that only read documents; they accept GET and POST bodies
+const SEARCH_ENDPOINTS = [
+  '_search',
+  '_msearch',
+  '_count',
+  '_explain',
+  '_field_caps',
+  '_terms_enum',
+  '_knn_search',
+  '_validate/query',
+  '_search/template',
+  '_msearch/template',
+  '_render/template',
+  '_eql/search',
+  '_async_search',
+  '_sql',
+  '_sql/translate',
+  '_plugins/_sql',
+  '_plugins/_ppl'
+];
+
+// OpenSearch SQL also runs DELETE statements, so only reading statements count as searches
+const SQL_STATEMENT_ENDPOINTS = ['_plugins/_sql'];
+
+// A single SELECT, SHOW or DESCRIBE statement, after leading comments
+const READ_STATEMENT_PATTERN = /^(?:\s|--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/)*(?:select|show|describe)\b[^;]*;?\s*$/i;
+
+// Mutating operations called out by name in refusals
+const BLOCKED_OPERATIONS = [
+  { operation: 'delete_by_query', label: 'Delete by query', pattern: /\/_delete_by_query(\/|$)/ },
+  { operation: 'update_by_query', label: 'Update by query', pattern: /\/_update_by_query(\/|$)/ },
+  { operation: 'reindex', label: 'Reindex', pattern: /^\/_reindex(\/|$)/ },
+  { operation: 'script_store', label: 'Stored script', pattern: /^\/_scripts(\/|$)/ },
+  { operation: 'cluster_settings', label: 'Cluster settings', pattern: /^\/_cluster\/settings(\/|$)/ },
+  { operation: 'index_write', label: 'Index write', pattern: /\/(_doc|_create|_update|_bulk)(\/|$)/ }
+];
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Error raised when a read-only cluster is asked to run anything but a search
+ */
+class ReadOnlyViolationError extends Error {
+  constructor(message, { operation = null, method = null, path = null } = {}) {
+    super(message);
+    this.name = 'ReadOnlyViolationError';
+    this.code = 'read_only';
+    this.operation = operation;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+/**
+ * Check whether a cluster carries the production tag
+ */
+function hasProductionTag(cluster) {
+  return (cluster?.tags || []).some(tag => String(tag).trim().toLowerCase() === PRODUCTION_TAG);
+}
+
+/**
+ * Check whether a cluster only accepts search requests
+ *
+ * @param {Object} cluster - Cluster configuration
+ * @returns {boolean} - The explicit readOnly flag, or true for production-tagged clusters
+ */
+function isReadOnlyCluster(cluster) {
+  if (typeof cluster?.readOnly === 'boolean') return cluster.readOnly;
+  return hasProductionTag(cluster);
+}
+
+/**
+ * Check whether a value describes a raw request rather than a search body
+ */
+function isRequestDescriptor(query) {
+  return Boolean(query) && typeof query.method === 'string' && typeof query.path === 'string';
+}
+
+/**
+ * Turn a search body or a { method, path, body } descriptor into a request
+ *
+ * @param {Object} query - Search body or request descriptor
+ * @param {string} index - Target used when the query is a plain search body
+ * @returns {Object} - { method, path, body, querystring }
+ */
+function normalizeRequest(query, index) {
+  if (isRequestDescriptor(query)) {
+    const path = query.path.trim();
+    return {
+      method: query.method.trim().toUpperCase(),
+      path: path.startsWith('/') ? path : `/${path}`,
+      body: query.body,
+      querystring: query.querystring || {}
+    };
+  }
+
+  return {
+    method: 'POST',
+    path: index ? `/${index}/_search` : '/_search',
+    body: query,
+    querystring: {}
+  };
+}
+
+/**
+ * Check whether a path calls an endpoint, directly or below an index
+ */
+function matchesEndpoint(pathname, endpoint) {
+  return pathname === `/${endpoint}` || pathname.endsWith(`/${endpoint}`) || pathname.includes(`/${endpoint}/`);
+}
+
+/**
+ * Check whether a SQL request body holds a single reading statement
+ *
+ * A semicolon inside a string literal is refused too; the check errs on the
+ * side of blocking.
+ */
+function isReadStatement(body) {
+  return typeof body?.query === 'string' && READ_STATEMENT_PATTERN.test(body.query);
+}
+
+/**
+ * Classify a request by what it does to the cluster
+ *
+ * @param {Object} request - { method, path, body }; the body is inspected for SQL statements
+ * @returns {Object} - { operation, label, searchFamily, mutating }
+ */
+function classifyRequest({ method, path, body }) {
+  const verb = String(method || 'GET').toUpperCase();
+  const pathname = String(path || '/').split('?')[0].replace(/\/+$/, '') || '/';
+
+  const blocked = BLOCKED_OPERATIONS.find(entry => entry.pattern.test(pathname));
+  const searchFamily = !blocked &&
+    (verb === 'GET' || verb === 'POST') &&
+    SEARCH_ENDPOINTS.some(endpoint => matchesEndpoint(pathname, endpoint)) &&
+    !SQL_STATEMENT_ENDPOINTS.some(endpoint => matchesEndpoint(pathname, endpoint) && !isReadStatement(body));
+
+  return {
+    operation: blocked ? blocked.operation : (searchFamily ? 'search' : 'other'),
+    label: blocked ? blocked.label : (searchFamily ? 'Search' : `${verb} ${pathname}`),
+    searchFamily,
+    mutating: !searchFamily && !READ_METHODS.includes(verb)
+  };
+}
+
+/**
+ * Refuse a request that is not a search when the cluster is read-only
+ *
+ * @param {Object} cluster - Cluster configuration
+ * @param {Object} request - Request from normalizeRequest()
+ * @throws {ReadOnlyViolationError} - If the cluster is read-only and the request is not a search
+ */
+function assertRequestAllowed(cluster, request) {
+  if (!isReadOnlyCluster(cluster)) return;
+
+  const { operation, label, searchFamily } = classifyRequest(request);
+  if (searchFamily) return;
+
+  throw new ReadOnlyViolationError(
+    `Cluster "${cluster.name}" is read-only. ${label} requests are blocked; only search requests can run against it.`,
+    { operation, method: request.method, path: request.path }
+  );
+}
+
+export {
+  ReadOnlyViolationError,
+  hasProductionTag,
+  isReadOnlyCluster,
+  isRequestDescriptor,
+  normalizeRequest,
+  classifyRequest,
+  assertRequestAllowed
+};
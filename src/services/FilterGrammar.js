@@ -0,0 +1,482 @@
+// src/services/FilterGrammar.js
+
+/**
+ * FilterGrammar
+ *
+ * Tokenizer and grammar for the boolean structure of a question. It splits
+ * "errors from api or worker but not from staging" into phrases joined by
+ * AND, OR and NOT; turning each phrase into field filters is left to
+ * IntentParsingTool.
+ *
+ *   query     := or (exclusion or)*
+ *   exclusion := "but" ["not"] | "excluding" | "except" ["for"] | "without"
+ *   or        := and (("or" | ",") and)*
+ *   and       := unary (("and" | ",") unary)*
+ *   unary     := "not" unary | "either" unary ("or" unary)+ | "neither" unary ("nor" unary)+ | primary
+ *   primary   := "(" query ")" | phrase
+ *
+ * Exclusions bind loosest, so "api or worker but not staging" means
+ * (api OR worker) AND NOT staging. A comma joins like the next "and"/"or"
+ * of its list ("api, worker or billing"), except in a list of values after a
+ * field ("status is 500, 502 or 503", "country in (DE, FR)"), which stays
+ * in its phrase.
+ *
+ * Trees use group nodes { bool: 'and' | 'or' | 'not', children: [...] }; the
+ * parser's leaves are { phrase } and filter trees have filter objects as leaves.
+ */
+
+// Words that end a phrase
+const KEYWORDS = ['and', 'or', 'not', 'but', 'excluding', 'except', 'without', 'either', 'neither', 'nor'];
+
+// Words after which "not" negates the phrase it is in ("level is not debug")
+const COPULAS = ['is', 'are', 'was', 'were', 'does', 'do', 'equals'];
+
+// Leading words that are not part of a bare value ("or from staging")
+const VALUE_STOP_WORDS = ['from', 'in', 'on', 'at', 'for', 'by', 'of', 'the', 'a', 'an', 'to', 'with'];
+
+// Words that may follow the last value of a list ("500 or 503 in the last hour")
+const LIST_TRAILERS = [...VALUE_STOP_WORDS, 'during', 'over', 'since', 'within', 'last', 'past'];
+
+// Words that introduce a list of values ("status is 500, 502 or 503", "country in DE, FR")
+const LIST_INTRODUCERS = ['is', 'are', 'was', 'were', 'equals', '=', '==', 'in', 'of', 'among'];
+
+/**
+ * Split text into words, quoted strings, parentheses, commas and comparators
+ *
+ * @param {string} text - The question
+ * @returns {Array<Object>} - [{ type, value, raw }]
+ */
+function tokenize(text) {
+  const pattern = /"([^"]*)"|'([^']*)'(?!\w)|(\()|(\))|(>=|<=|!=|==|=|>|<)|(,)|([^\s"(),<>=!]+)/g;
+  const tokens = [];
+
+  for (const match of String(text).matchAll(pattern)) {
+    const [raw, doubleQuoted, singleQuoted, lparen, rparen, comparator, comma] = match;
+
+    if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: 'quoted', value: doubleQuoted ?? singleQuoted, raw });
+    } else if (lparen) {
+      tokens.push({ type: 'lparen', value: raw, raw });
+    } else if (rparen) {
+      tokens.push({ type: 'rparen', value: raw, raw });
+    } else if (comparator) {
+      tokens.push({ type: 'comparator', value: raw, raw });
+    } else if (comma) {
+      tokens.push({ type: 'comma', value: raw, raw });
+    } else {
+      tokens.push({ type: 'word', value: raw.toLowerCase(), raw });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Combine nodes into a group, dropping empty ones and merging nested groups of the same kind
+ */
+function group(bool, children) {
+  const kept = children.filter(Boolean);
+
+  if (bool === 'not') {
+    if (kept.length === 0) return null;
+    const [child] = kept;
+    // Double negation cancels out
+    return child.bool === 'not' ? child.children[0] : { bool, children: [child] };
+  }
+
+  const merged = kept.flatMap(child => child.bool === bool ? child.children : [child]);
+  if (merged.length === 0) return null;
+  return merged.length === 1 ? merged[0] : { bool, children: merged };
+}
+
+class FilterParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || null;
+  }
+
+  isWord(token, ...words) {
+    return Boolean(token) && token.type === 'word' && words.includes(token.value);
+  }
+
+  /**
+   * Find the connector that closes the comma list starting here ("a, b or c" -> "or")
+   */
+  listConnector() {
+    let depth = 0;
+    for (let i = this.position; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type === 'lparen') depth++;
+      if (token.type === 'rparen') {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (depth === 0 && this.isWord(token, 'and', 'or', 'nor')) {
+        return token.value;
+      }
+    }
+    return 'and';
+  }
+
+  parse() {
+    let tree = this.parseQuery();
+
+    // Unbalanced parentheses: keep going with what follows
+    while (this.position < this.tokens.length) {
+      this.position++;
+      tree = group('and', [tree, this.parseQuery()]);
+    }
+
+    return tree;
+  }
+
+  parseQuery() {
+    let node = this.parseOr();
+
+    for (;;) {
+      const token = this.peek();
+
+      if (this.isWord(token, 'but')) {
+        this.position++;
+        const negated = this.isWord(this.peek(), 'not');
+        if (negated) this.position++;
+        const rest = this.parseOr();
+        node = group('and', [node, negated ? group('not', [rest]) : rest]);
+      } else if (this.isWord(token, 'excluding', 'except', 'without')) {
+        this.position++;
+        if (this.isWord(this.peek(), 'for')) this.position++;
+        node = group('and', [node, group('not', [this.parseOr()])]);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+
+    for (;;) {
+      const token = this.peek();
+      if (this.isWord(token, 'or')) {
+        this.position++;
+      } else if (token?.type === 'comma' && this.listConnector() === 'or') {
+        this.position++;
+        if (this.isWord(this.peek(), 'or')) this.position++;
+      } else {
+        break;
+      }
+      children.push(this.parseAnd());
+    }
+
+    return group('or', children);
+  }
+
+  parseAnd() {
+    const children = [this.parseUnary()];
+
+    for (;;) {
+      const token = this.peek();
+      if (this.isWord(token, 'and')) {
+        this.position++;
+      } else if (token?.type === 'comma' && this.listConnector() === 'and') {
+        this.position++;
+        if (this.isWord(this.peek(), 'and')) this.position++;
+      } else {
+        break;
+      }
+      children.push(this.parseUnary());
+    }
+
+    return group('and', children);
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (this.isWord(token, 'not')) {
+      this.position++;
+      return group('not', [this.parseUnary()]);
+    }
+
+    if (this.isWord(token, 'either', 'neither')) {
+      this.position++;
+      const separator = token.value === 'either' ? 'or' : 'nor';
+      const alternatives = [this.parseUnary()];
+      while (this.isWord(this.peek(), separator)) {
+        this.position++;
+        alternatives.push(this.parseUnary());
+      }
+      const choice = group('or', alternatives);
+      return token.value === 'either' ? choice : group('not', [choice]);
+    }
+
+    if (token?.type === 'lparen') {
+      this.position++;
+      const node = this.parseQuery();
+      if (this.peek()?.type === 'rparen') this.position++;
+      return node;
+    }
+
+    return this.parsePhrase();
+  }
+
+  /**
+   * Find where the value list of a phrase continues, if it does
+   *
+   * A list starts with a value after one of LIST_INTRODUCERS and continues
+   * over a comma or "or" (also "and" after "in", "of" or "among") when the
+   * next item is a single value.
+   *
+   * @param {Array<string>} parts - Phrase so far
+   * @param {string|null} introducer - Introducer of the list the phrase is in
+   * @returns {number} - Tokens to consume before the next item, or 0
+   */
+  listContinuation(parts, introducer) {
+    const listIntroducer = introducer || (parts.length >= 2 ? parts[parts.length - 2].toLowerCase() : null);
+    if (!LIST_INTRODUCERS.includes(listIntroducer)) return 0;
+
+    const separators = ['in', 'of', 'among'].includes(listIntroducer) ? ['or', 'and'] : ['or'];
+    let skip = 0;
+    if (this.peek()?.type === 'comma') {
+      skip = 1;
+      if (this.isWord(this.peek(1), ...separators)) skip = 2;
+    } else if (this.isWord(this.peek(), ...separators)) {
+      skip = 1;
+    } else {
+      return 0;
+    }
+
+    const item = this.peek(skip);
+    const after = this.peek(skip + 1);
+    const isValue = item && (item.type === 'quoted' || (item.type === 'word' && !KEYWORDS.includes(item.value)));
+    const endsItem = !after || ['comma', 'rparen'].includes(after.type) ||
+      (after.type === 'word' && (KEYWORDS.includes(after.value) || LIST_TRAILERS.includes(after.value)));
+
+    return isValue && endsItem ? skip : 0;
+  }
+
+  parsePhrase() {
+    const parts = [];
+    let negated = false;
+    let listIntroducer = null;
+
+    while (this.position < this.tokens.length) {
+      const token = this.peek();
+      const next = this.peek(1);
+      const previous = parts[parts.length - 1] || '';
+
+      // "country in (DE, FR)" keeps its parenthesised list
+      if (token.type === 'lparen' && ['in', 'of', 'among'].includes(previous.toLowerCase())) {
+        while (this.position < this.tokens.length) {
+          const item = this.tokens[this.position++];
+          parts.push(item.raw);
+          if (item.type === 'rparen') break;
+        }
+        continue;
+      }
+
+      const continuation = this.listContinuation(parts, listIntroducer);
+      if (continuation > 0) {
+        listIntroducer = listIntroducer || parts[parts.length - 2].toLowerCase();
+        for (let i = 0; i < continuation; i++) {
+          parts.push(this.tokens[this.position++].raw);
+        }
+        continue;
+      }
+
+      if (['lparen', 'rparen', 'comma'].includes(token.type)) break;
+
+      if (token.type === 'comparator' && token.value === '!=') {
+        negated = !negated;
+        parts.push('=');
+        this.position++;
+        continue;
+      }
+
+      if (token.type === 'word' && KEYWORDS.includes(token.value)) {
+        // "between 1 and 5" and "greater than or equal to" stay in one phrase
+        const inRange = token.value === 'and' && /\bbetween\s+\S+$/i.test(parts.join(' '));
+        const orEqual = token.value === 'or' && this.isWord(next, 'equal');
+        // "is not null" is an existence check, "is not debug" negates the phrase
+        const copulaNot = token.value === 'not' && COPULAS.includes(previous.toLowerCase());
+
+        if (copulaNot && this.isWord(next, 'null')) {
+          parts.push(token.raw);
+          this.position++;
+          continue;
+        }
+        if (copulaNot) {
+          negated = !negated;
+          this.position++;
+          continue;
+        }
+        if (!inRange && !orEqual) break;
+      }
+
+      parts.push(token.raw);
+      this.position++;
+    }
+
+    if (parts.length === 0) return null;
+    const phrase = { phrase: parts.join(' ') };
+    return negated ? group('not', [phrase]) : phrase;
+  }
+}
+
+/**
+ * Parse the boolean structure of a question
+ *
+ * @param {string} text - The question
+ * @returns {Object|null} - Tree with { phrase } leaves, or null for empty text
+ */
+function parseFilterExpression(text) {
+  return new FilterParser(tokenize(text)).parse();
+}
+
+/**
+ * Check whether a tree node is an AND, OR or NOT group
+ */
+function isFilterGroup(node) {
+  return Boolean(node) && Array.isArray(node.children);
+}
+
+/**
+ * Check whether a tree needs more than a plain AND of its leaves
+ */
+function hasBooleanLogic(tree) {
+  if (!isFilterGroup(tree)) return false;
+  return tree.bool !== 'and' || tree.children.some(isFilterGroup);
+}
+
+/**
+ * Replace each leaf of a tree
+ *
+ * An OR alternative that maps to nothing has no condition and matches every
+ * document, so the whole OR is dropped rather than narrowed to the rest.
+ *
+ * @param {Object} tree - Tree to map
+ * @param {Function} mapLeaf - Called with each leaf and the kind of its group, in reading order;
+ *   returns a node, an array of nodes (joined with AND) or null
+ * @returns {Object|null} - The mapped and simplified tree
+ */
+function mapFilterTree(tree, mapLeaf, parent = null) {
+  if (!tree) return null;
+  if (!isFilterGroup(tree)) {
+    const mapped = mapLeaf(tree, parent);
+    return Array.isArray(mapped) ? group('and', mapped) : mapped;
+  }
+  const children = tree.children.map(child => mapFilterTree(child, mapLeaf, tree.bool));
+  if (tree.bool === 'or' && children.some(child => !child)) return null;
+  return group(tree.bool, children);
+}
+
+/**
+ * List the leaves of a filter tree
+ *
+ * Leaves under an odd number of NOT groups are marked with negated: true.
+ *
+ * @param {Object} tree - Filter tree
+ * @returns {Array<Object>} - Filter objects in reading order
+ */
+function flattenFilterTree(tree, negated = false) {
+  if (!tree) return [];
+  if (!isFilterGroup(tree)) {
+    return [negated ? { ...tree, negated: true } : tree];
+  }
+  const childNegated = tree.bool === 'not' ? !negated : negated;
+  return tree.children.flatMap(child => flattenFilterTree(child, childNegated));
+}
+
+/**
+ * Strip leading prepositions and articles from a phrase used as a bare value
+ *
+ * @param {string} phrase - Phrase such as "from staging"
+ * @returns {string} - The value ("staging"), or "" when nothing is left
+ */
+function bareValue(phrase) {
+  const words = String(phrase).trim().split(/\s+/);
+  while (words.length > 0 && VALUE_STOP_WORDS.includes(words[0].toLowerCase())) {
+    words.shift();
+  }
+  return words.join(' ').replace(/^["']|["']$/g, '');
+}
+
+/**
+ * Merge OR alternatives on the same field into one list filter
+ *
+ * "api or worker" is read as service:api OR service:worker and becomes
+ * service in [api, worker].
+ *
+ * @param {Object} tree - Filter tree
+ * @returns {Object} - The rewritten tree
+ */
+function mergeValueLists(tree) {
+  if (!isFilterGroup(tree)) return tree;
+
+  const children = tree.children.map(mergeValueLists);
+  if (tree.bool !== 'or') return group(tree.bool, children);
+
+  const listable = child => !isFilterGroup(child) && ['eq', 'in'].includes(child.operator);
+  const fields = new Set(children.map(child => listable(child) ? child.field : null));
+  if (fields.size !== 1 || fields.has(null)) return group('or', children);
+
+  const values = Array.from(new Set(children.flatMap(child => [].concat(child.value))));
+  return {
+    ...children[0],
+    operator: 'in',
+    value: values,
+    confidence: Math.min(...children.map(child => child.confidence ?? 1))
+  };
+}
+
+/**
+ * Share the conditions OR alternatives have in common
+ *
+ * "errors from api or worker" parses as (level:error AND service:api) OR
+ * service:worker, but means level:error AND (service:api OR service:worker).
+ * When one alternative is an AND group and the others are single equality
+ * filters on a field it also filters, the rest of the group applies to all.
+ *
+ * @param {Object} tree - Filter tree
+ * @returns {Object} - The rewritten tree
+ */
+function factorSharedFilters(tree) {
+  if (!isFilterGroup(tree)) return tree;
+
+  const children = tree.children.map(factorSharedFilters);
+  if (tree.bool !== 'or') return group(tree.bool, children);
+
+  const rich = children.filter(isFilterGroup);
+  const single = children.filter(child => !isFilterGroup(child));
+  if (rich.length !== 1 || rich[0].bool !== 'and' || single.length === 0) {
+    return group('or', children);
+  }
+
+  const fields = new Set(single.map(filter => filter.operator === 'eq' ? filter.field : null));
+  const [field] = fields;
+  const shared = rich[0].children.find(child =>
+    !isFilterGroup(child) && child.operator === 'eq' && child.field === field);
+  if (fields.size !== 1 || !field || !shared) {
+    return group('or', children);
+  }
+
+  const alternatives = children.map(child => child === rich[0] ? shared : child);
+  const rest = rich[0].children.filter(child => child !== shared);
+  return group('and', [...rest, group('or', alternatives)]);
+}
+
+export {
+  tokenize,
+  parseFilterExpression,
+  isFilterGroup,
+  hasBooleanLogic,
+  mapFilterTree,
+  flattenFilterTree,
+  bareValue,
+  mergeValueLists,
+  factorSharedFilters
+};
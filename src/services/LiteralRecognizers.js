@@ -0,0 +1,239 @@
+// src/services/LiteralRecognizers.js
+
+import { getTypeFamily } from './SchemaFields';
+
+/**
+ * LiteralRecognizers
+ *
+ * Recognizes literal values in a question (IP addresses and CIDR blocks,
+ * emails, UUIDs, trace IDs, URLs and paths, HTTP status codes, hostnames
+ * and quoted phrases) and finds the schema field each one belongs to, so
+ * "requests from 10.2.0.0/16" filters the right ip field without naming it.
+ *
+ * A field qualifies by its type family and scores for a name that fits the
+ * literal, sampled values of the same shape and the exact value having been
+ * sampled.
+ */
+
+const IPV4 = '(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)(?:\\.(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)){3}';
+const IPV6 = '(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{0,4}::(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{0,4})';
+
+// Last labels that make a dotted word a hostname rather than a field path or abbreviation
+const HOST_SUFFIXES = ['com', 'net', 'org', 'io', 'dev', 'app', 'cloud', 'co', 'us', 'uk', 'de', 'fr', 'nl',
+  'eu', 'local', 'localdomain', 'internal', 'lan', 'corp', 'svc', 'cluster', 'example'];
+
+// Field names that mark the sending or the receiving side of a connection
+const DIRECTION_NAMES = {
+  source: /source|src|client|remote|origin/i,
+  destination: /destination|dest|dst|server|target|upstream/i
+};
+
+// Scores of the evidence a field fits a literal
+const SCORES = { family: 3, name: 2, shape: 3, value: 4, direction: 1 };
+
+// Score a field needs to be used
+const MIN_SCORE = 2;
+
+/**
+ * Recognizers in the order they claim text; a literal is only recognized once
+ *
+ * Each has the kinds of field that can hold it (families), a field name that
+ * fits (name), the shape of a single value (shape) and the families that fit
+ * by type alone (typed).
+ */
+const LITERAL_RECOGNIZERS = [
+  {
+    kind: 'quoted',
+    regex: /"([^"]+)"|'([^']+)'(?!\w)/g,
+    families: ['keyword', 'text'],
+    name: /^$/
+  },
+  {
+    kind: 'url',
+    regex: /\bhttps?:\/\/[^\s"'<>]+[^\s"'<>.,;:!?)]/gi,
+    families: ['keyword', 'text'],
+    name: /(^|[._])(url|uri|link|href|referr?er)$|url\.(full|original)/i,
+    shape: /^https?:\/\//i
+  },
+  {
+    kind: 'email',
+    regex: /\b[\w.+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+\b/gi,
+    families: ['keyword', 'text'],
+    name: /e-?mail|mail/i,
+    shape: /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i
+  },
+  {
+    kind: 'cidr',
+    regex: new RegExp(`(?<![\\w:.])(?:${IPV4}|${IPV6})\\/\\d{1,3}(?![\\w:.])`, 'gi'),
+    families: ['ip', 'ip_range', 'keyword'],
+    typed: ['ip', 'ip_range'],
+    name: /(^|[._])ip($|[._])|addr|address/i,
+    shape: new RegExp(`^(?:${IPV4}|${IPV6})$`, 'i')
+  },
+  {
+    kind: 'ip',
+    regex: new RegExp(`(?<![\\w:.])(?:${IPV4}|${IPV6})(?![\\w:./])`, 'gi'),
+    families: ['ip', 'ip_range', 'keyword'],
+    typed: ['ip', 'ip_range'],
+    name: /(^|[._])ip($|[._])|addr|address/i,
+    shape: new RegExp(`^(?:${IPV4}|${IPV6})$`, 'i')
+  },
+  {
+    kind: 'uuid',
+    regex: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    families: ['keyword'],
+    name: /(^|[._])(id|uuid|guid)$|_id$|uuid|guid/i,
+    shape: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+  },
+  {
+    kind: 'trace_id',
+    regex: /\b(?=[0-9a-f]*[a-f])(?=[0-9a-f]*\d)(?:[0-9a-f]{32}|[0-9a-f]{16})\b/gi,
+    families: ['keyword'],
+    name: /trace|span|correlation|request[._]?id/i,
+    shape: /^(?:[0-9a-f]{32}|[0-9a-f]{16})$/i
+  },
+  {
+    kind: 'path',
+    regex: /(?<![\w/.:])\/(?:[\w.~%-]+\/?)+/g,
+    families: ['keyword', 'text'],
+    name: /path|endpoint|route|(^|[._])(url|uri)$/i,
+    shape: /^\//
+  },
+  {
+    kind: 'status_class',
+    regex: /\b[1-5]xx\b/gi,
+    families: ['numeric'],
+    name: /status/i
+  },
+  {
+    kind: 'status_code',
+    // A bare number right after "top", "last" or "show" counts results, as in "the last 200 errors"
+    regex: /\b(?:status(?:\s+code)?|http|code)\s+[1-5]\d\d\b|(?<!\b(?:top|first|last|latest|next|past|limit|show)\s+(?:the\s+)?)\b(?:[1-5]\d\ds?(?=\s+(?:errors?|responses?|status|codes?)\b)|[1-5]\d\ds\b)/gi,
+    families: ['numeric', 'keyword'],
+    name: /status/i
+  },
+  {
+    kind: 'hostname',
+    regex: /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9]\b/gi,
+    families: ['keyword', 'text'],
+    name: /host|domain|server|fqdn|node|instance/i,
+    shape: /^(?:[a-z0-9-]+\.)+[a-z][a-z0-9-]*$/i
+  }
+];
+
+/**
+ * Read the value of a recognized literal
+ *
+ * @returns {*} - The value, or null when the match is not a literal of this kind
+ */
+function readLiteralValue(kind, match, schema) {
+  switch (kind) {
+    case 'quoted':
+      return match[1] ?? match[2];
+
+    case 'status_class': {
+      const digit = Number(match[0][0]);
+      return { gte: digit * 100, lte: digit * 100 + 99 };
+    }
+
+    case 'status_code':
+      return Number(match[0].match(/[1-5]\d\d/)[0]);
+
+    case 'hostname': {
+      const host = match[0];
+      const labels = host.toLowerCase().split('.');
+      const suffix = labels[labels.length - 1];
+      // Field paths ("host.name") and "e.g" are not hostnames
+      if (schema?.fields?.[host] || /^\d+(\.\d+)*$/.test(host)) return null;
+      return HOST_SUFFIXES.includes(suffix) || labels.length >= 3 ? host : null;
+    }
+
+    default:
+      return match[0];
+  }
+}
+
+/**
+ * Find the literal values in a question
+ *
+ * @param {string} text - The question
+ * @param {Object} [schema] - Schema from SchemaManager, used to tell hostnames from field paths
+ * @returns {Array<Object>} - [{ kind, text, value, direction }] in reading order; direction is
+ *   'source' after "from" or "by" and 'destination' after "to"
+ */
+function recognizeLiterals(text, schema = null) {
+  let remaining = String(text);
+  const literals = [];
+
+  for (const recognizer of LITERAL_RECOGNIZERS) {
+    for (const match of remaining.matchAll(recognizer.regex)) {
+      const value = readLiteralValue(recognizer.kind, match, schema);
+      if (value === null || value === '') continue;
+
+      const before = remaining.slice(0, match.index);
+      const direction = /\b(from|by)\s+$/i.test(before) ? 'source'
+        : /\b(to|towards)\s+$/i.test(before) ? 'destination'
+          : null;
+
+      literals.push({ kind: recognizer.kind, text: match[0], value, direction, index: match.index });
+    }
+
+    // Blank what was recognized so an email is not also a hostname
+    remaining = remaining.replace(recognizer.regex, (matched) => {
+      const claimed = literals.some(literal => literal.kind === recognizer.kind && literal.text === matched);
+      return claimed ? ' '.repeat(matched.length) : matched;
+    });
+  }
+
+  return literals
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...literal }) => literal);
+}
+
+/**
+ * Find the field a literal most likely belongs to
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {Object} literal - Literal from recognizeLiterals
+ * @returns {Object|null} - { field, score }, or null when no field fits well enough
+ */
+function findLiteralField(schema, literal) {
+  const recognizer = LITERAL_RECOGNIZERS.find(item => item.kind === literal.kind);
+  if (!recognizer || !schema?.fields) return null;
+
+  const needle = String(literal.value).toLowerCase();
+  let best = null;
+
+  for (const [path, entry] of Object.entries(schema.fields)) {
+    const family = getTypeFamily(entry.type);
+    if (!recognizer.families.includes(family)) continue;
+
+    let score = recognizer.typed?.includes(family) ? SCORES.family : 0;
+    if (recognizer.name.test(path)) score += SCORES.name;
+
+    const sampled = schema.analysis?.fieldProfiles?.[path]?.topValues || [];
+    if (recognizer.shape && sampled.length > 0) {
+      const shaped = sampled.filter(item => recognizer.shape.test(String(item.value))).length;
+      if (shaped / sampled.length >= 0.5) score += SCORES.shape;
+    }
+    if (sampled.some(item => String(item.value).toLowerCase() === needle)) score += SCORES.value;
+
+    if (literal.direction) {
+      if (DIRECTION_NAMES[literal.direction].test(path)) score += SCORES.direction;
+      const opposite = literal.direction === 'source' ? 'destination' : 'source';
+      if (DIRECTION_NAMES[opposite].test(path)) score -= SCORES.direction;
+    }
+
+    if (score >= MIN_SCORE && (!best || score > best.score)) {
+      best = { field: path, score };
+    }
+  }
+
+  return best;
+}
+
+export {
+  LITERAL_RECOGNIZERS,
+  recognizeLiterals,
+  findLiteralField
+};
@@ -504,8 +504,8 @@ class QueryLibraryManager {
     // Add search terms based on filters
     if (filters.length > 0) {
       filters.forEach(filter => {
-        if (filter.operator === 'contains') searchTerms.push('text search');
-        if (filter.operator === 'eq') searchTerms.push('exact match');
+        if (filter.operator === 'contains' || filter.operator === 'phrase') searchTerms.push('text search');
+        if (filter.operator === 'eq' || filter.operator === 'in') searchTerms.push('exact match');
         if (filter.operator === 'range' || ['gt', 'lt', 'gte', 'lte'].includes(filter.operator)) {
           searchTerms.push('range');
         }
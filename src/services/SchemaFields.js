@@ -0,0 +1,500 @@
+// src/services/SchemaFields.js
+
+/**
+ * SchemaFields
+ *
+ * Builds the merged field catalog of a schema that spans several indices.
+ * Every field records which indices map it and with which types, so query
+ * building and validation can tell when "logs-*" maps a field as keyword in
+ * one month and as text in the next.
+ *
+ *   {
+ *     'log.logger': {
+ *       path: 'log.logger',
+ *       type: 'keyword',                   // Type used by most indices
+ *       types: ['keyword', 'text'],
+ *       indicesByType: { keyword: ['logs-2024.01.01'], text: ['logs-2024.01.02'] },
+ *       indices: ['logs-2024.01.01', 'logs-2024.01.02'],
+ *       missingFrom: [],
+ *       conflict: true,                    // Types from different families
+ *       searchable: true,
+ *       aggregatable: false
+ *     }
+ *   }
+ */
+
+// Types that can be queried the same way; mixing them is not a conflict
+const TYPE_FAMILIES = {
+  text: ['text', 'match_only_text', 'annotated_text'],
+  keyword: ['keyword', 'constant_keyword', 'wildcard'],
+  numeric: ['long', 'integer', 'short', 'byte', 'double', 'float', 'half_float', 'scaled_float', 'unsigned_long'],
+  date: ['date', 'date_nanos']
+};
+
+// Range types hold an interval per document and match range and term queries
+const RANGE_TYPES = ['integer_range', 'long_range', 'float_range', 'double_range', 'date_range', 'ip_range'];
+
+// Types whose values are vectors; only the first two can be searched with k-NN
+const VECTOR_TYPES = ['dense_vector', 'knn_vector', 'sparse_vector', 'semantic_text'];
+
+/**
+ * Get the family a field type belongs to
+ *
+ * @param {string} type - Mapping type such as "integer"
+ * @returns {string} - Family name, or the type itself when it has no family
+ */
+function getTypeFamily(type) {
+  const family = Object.keys(TYPE_FAMILIES).find(name => TYPE_FAMILIES[name].includes(type));
+  return family || type;
+}
+
+/**
+ * Check whether a type is one of the range types
+ */
+function isRangeType(type) {
+  return RANGE_TYPES.includes(type);
+}
+
+/**
+ * Work out what a mapped field can be used for
+ *
+ * `index: false` turns off searching and `doc_values: false` turns off
+ * aggregations and sorting, except on text fields which only aggregate with
+ * fielddata enabled.
+ *
+ * @param {string} type - Mapping type
+ * @param {Object} [mapping] - The field's mapping parameters
+ * @returns {Object} - { searchable, fullText, aggregatable, sortable, vector, geo }
+ */
+function getFieldCapabilities(type, mapping = {}) {
+  const indexed = mapping.index !== false;
+  const docValues = mapping.doc_values !== false;
+  const capabilities = {
+    searchable: false,
+    fullText: false,      // Analyzed, so match and multi_match apply
+    aggregatable: false,
+    sortable: false,
+    vector: VECTOR_TYPES.includes(type),
+    geo: type === 'geo_point' || type === 'geo_shape'
+  };
+
+  switch (getTypeFamily(type)) {
+    case 'text':
+      capabilities.searchable = indexed;
+      capabilities.fullText = indexed;
+      capabilities.aggregatable = mapping.fielddata === true;
+      capabilities.sortable = mapping.fielddata === true;
+      break;
+
+    case 'search_as_you_type':
+      capabilities.searchable = indexed;
+      capabilities.fullText = indexed;
+      break;
+
+    case 'keyword':
+    case 'numeric':
+    case 'date':
+    case 'boolean':
+    case 'ip':
+    case 'version':
+    case 'flattened':
+    case 'token_count':
+      // Numbers and dates without an index are still searched through doc values
+      capabilities.searchable = indexed || docValues;
+      capabilities.aggregatable = docValues;
+      capabilities.sortable = docValues;
+      break;
+
+    case 'geo_point':
+      capabilities.searchable = indexed;
+      capabilities.aggregatable = docValues;
+      break;
+
+    case 'geo_shape':
+    case 'shape':
+    case 'point':
+    case 'dense_vector':
+    case 'knn_vector':
+      capabilities.searchable = indexed;
+      break;
+
+    case 'sparse_vector':
+    case 'semantic_text':
+    case 'rank_feature':
+    case 'rank_features':
+      // Only reachable through their own queries (sparse_vector, semantic, rank_feature)
+      capabilities.searchable = true;
+      break;
+
+    default:
+      capabilities.searchable = isRangeType(type) && indexed;
+  }
+
+  return capabilities;
+}
+
+/**
+ * Flatten mapping properties into dotted paths and their types
+ *
+ * Multi-fields are listed under their own path (e.g. "message.keyword") and
+ * field aliases with the type of the field they point to, as field caps does.
+ *
+ * @param {Object} properties - Mapping properties
+ * @returns {Object} - Field path to mapping type
+ */
+function flattenMappingFields(properties) {
+  const fields = {};
+  const aliases = {};
+
+  const collect = (current, prefix) => {
+    for (const [name, mapping] of Object.entries(current || {})) {
+      const path = prefix ? `${prefix}.${name}` : name;
+
+      if (mapping.type === 'alias') {
+        aliases[path] = mapping.path;
+      } else if (mapping.type && mapping.type !== 'object') {
+        fields[path] = mapping.type;
+      }
+      for (const [subName, subMapping] of Object.entries(mapping.fields || {})) {
+        fields[`${path}.${subName}`] = subMapping.type;
+      }
+      if (mapping.properties) {
+        collect(mapping.properties, path);
+      }
+    }
+  };
+
+  collect(properties, '');
+  for (const [path, target] of Object.entries(aliases)) {
+    if (fields[target]) fields[path] = fields[target];
+  }
+
+  return fields;
+}
+
+/**
+ * Build the field catalog of a set of indices
+ *
+ * @param {Object} mappingsByIndex - Index name to its mappings
+ * @param {Object} [fieldCapsResponse] - Response of _field_caps for the same indices
+ * @returns {Object} - { fields, conflicts } where conflicts lists the paths with a type conflict
+ */
+function buildFieldCatalog(mappingsByIndex, fieldCapsResponse = null) {
+  const indexNames = Object.keys(mappingsByIndex).sort();
+  const typesByPath = new Map(); // path -> Map(type -> index names)
+
+  const addType = (path, type, index) => {
+    if (!typesByPath.has(path)) typesByPath.set(path, new Map());
+    const byType = typesByPath.get(path);
+    if (!byType.has(type)) byType.set(type, []);
+    if (!byType.get(type).includes(index)) byType.get(type).push(index);
+  };
+
+  for (const index of indexNames) {
+    const mappings = mappingsByIndex[index] || {};
+    for (const [path, type] of Object.entries(flattenMappingFields(mappings.properties))) {
+      addType(path, type, index);
+    }
+    // Runtime fields are queried like mapped ones
+    for (const [path, definition] of Object.entries(mappings.runtime || {})) {
+      if (definition.type === 'composite') {
+        for (const [subName, subDefinition] of Object.entries(definition.fields || {})) {
+          addType(`${path}.${subName}`, subDefinition.type, index);
+        }
+      } else {
+        addType(path, definition.type, index);
+      }
+    }
+  }
+
+  // Fields only field caps knows about
+  const caps = fieldCapsResponse?.fields || {};
+  for (const [path, capsByType] of Object.entries(caps)) {
+    if (path.startsWith('_') || typesByPath.has(path)) continue;
+
+    for (const cap of Object.values(capsByType)) {
+      if (cap.type === 'object' || cap.type === 'nested') continue;
+      for (const index of cap.indices || indexNames) {
+        addType(path, cap.type, index);
+      }
+    }
+  }
+
+  const fields = {};
+  for (const [path, byType] of typesByPath) {
+    const indicesByType = Object.fromEntries(byType);
+    const types = Object.keys(indicesByType);
+    const indices = indexNames.filter(index => types.some(type => indicesByType[type].includes(index)));
+    const fieldCaps = Object.values(caps[path] || {});
+
+    fields[path] = {
+      path,
+      type: types.reduce((best, type) =>
+        indicesByType[type].length > indicesByType[best].length ? type : best, types[0]),
+      types,
+      indicesByType,
+      indices,
+      missingFrom: indexNames.filter(index => !indices.includes(index)),
+      conflict: new Set(types.map(getTypeFamily)).size > 1,
+      searchable: fieldCaps.length > 0 ? fieldCaps.every(cap => cap.searchable) : null,
+      aggregatable: fieldCaps.length > 0 ? fieldCaps.every(cap => cap.aggregatable) : null
+    };
+  }
+
+  return {
+    fields,
+    conflicts: Object.keys(fields).filter(path => fields[path].conflict).sort()
+  };
+}
+
+/**
+ * Look up a field in a schema's catalog
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} path - Dotted field path
+ * @returns {Object|null} - The catalog entry, or null when unknown
+ */
+function getSchemaField(schema, path) {
+  return schema?.fields?.[path] || null;
+}
+
+/**
+ * Check whether a field is mapped as text in some indices and not in others
+ */
+function hasTextConflict(entry) {
+  return Boolean(entry?.conflict) && entry.types.some(type => getTypeFamily(type) === 'text');
+}
+
+/**
+ * Describe a type conflict for warnings, e.g. "keyword in logs-1, text in logs-2"
+ */
+function describeConflict(entry) {
+  return Object.entries(entry.indicesByType)
+    .map(([type, indices]) => `${type} in ${indices.join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Find a field that can be used for exact matches and aggregations everywhere
+ *
+ * A field mapped as text in some indices cannot be aggregated there; its
+ * keyword sub-field can when every index has one.
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} path - Field the query refers to
+ * @returns {string|null} - The field to use, or null if no index-wide exact field exists
+ */
+function findExactField(schema, path) {
+  const entry = getSchemaField(schema, path);
+  if (!entry || (!entry.conflict && getTypeFamily(entry.type) !== 'text')) return path;
+
+  const keyword = getSchemaField(schema, `${path}.keyword`);
+  if (keyword && !keyword.conflict && keyword.missingFrom.length === 0 &&
+    getTypeFamily(keyword.type) === 'keyword') {
+    return keyword.path;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is among the profiled top values of a field
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} path - Dotted field path
+ * @param {*} value - Value to look for
+ * @returns {boolean} - True if sampling saw the value in the field
+ */
+function hasProfiledValue(schema, path, value) {
+  const profile = schema?.analysis?.fieldProfiles?.[path];
+  return Boolean(profile) && profile.topValues.some(item => String(item.value) === String(value));
+}
+
+/**
+ * Find the fields whose profiled top values include a literal
+ *
+ * Matching ignores case, so "PROD" finds the stored value "prod". Example
+ * values from the glossary count too, after every profiled match.
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} literal - Word or phrase from the question
+ * @returns {Array<Object>} - [{ field, value, count }], most frequent first
+ */
+function findFieldsByValue(schema, literal) {
+  const needle = String(literal).toLowerCase();
+  const matches = [];
+
+  for (const [field, profile] of Object.entries(schema?.analysis?.fieldProfiles || {})) {
+    const hit = profile.topValues.find(item => String(item.value).toLowerCase() === needle);
+    if (hit) {
+      matches.push({ field, value: hit.value, count: hit.count });
+    }
+  }
+  matches.sort((a, b) => b.count - a.count);
+
+  for (const [field, annotation] of Object.entries(schema?.glossary || {})) {
+    const example = annotation.examples.find(value => value.toLowerCase() === needle);
+    if (example && !matches.some(match => match.field === field)) {
+      matches.push({ field, value: example, count: 0 });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Normalize a field name or term for comparison ("Crawled date" ~ "crawled_date")
+ */
+function normalizeTerm(term) {
+  return String(term).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Find the field a word from the question refers to using the glossary
+ *
+ * A synonym matches as a whole; the field's own path or last path segment
+ * matches too, so "crawled date" finds "job.crawled_date".
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} term - Word or phrase from the question
+ * @returns {string|null} - Field path, or null when the glossary has no match
+ */
+function findGlossaryField(schema, term) {
+  const needle = normalizeTerm(term);
+  if (!needle) return null;
+
+  const entries = Object.entries(schema?.glossary || {});
+  const bySynonym = entries.find(([, annotation]) =>
+    annotation.synonyms.some(synonym => normalizeTerm(synonym) === needle));
+  if (bySynonym) return bySynonym[0];
+
+  const byName = entries.find(([path]) =>
+    normalizeTerm(path) === needle || normalizeTerm(path.split('.').pop()) === needle);
+  return byName ? byName[0] : null;
+}
+
+/**
+ * Find the fields a loose word from the question could mean
+ *
+ * A field whose name is the word scores highest, then one with the word
+ * among the words of its name ("date" in "crawled_date"), then one whose
+ * name merely contains it or is contained in it. Multi-fields are reached
+ * through their parent and are not candidates of their own.
+ *
+ * @param {Object} schema - Schema from SchemaManager
+ * @param {string} term - Word or phrase from the question
+ * @returns {Array<Object>} - [{ field, type, score }], best first; fields with the
+ *   top score are equally likely
+ */
+function findFieldCandidates(schema, term) {
+  const needle = normalizeTerm(term);
+  if (!needle) return [];
+
+  const types = schema?.fields
+    ? Object.fromEntries(Object.entries(schema.fields).map(([path, entry]) => [path, entry.type]))
+    : flattenMappingFields(schema?.mappings?.properties);
+  const needleWords = needle.split(' ');
+  const candidates = [];
+
+  for (const [path, type] of Object.entries(types)) {
+    const parent = path.slice(0, path.lastIndexOf('.'));
+    if (parent && types[parent]) continue;
+
+    const names = [normalizeTerm(path.split('.').pop()), normalizeTerm(path.replace(/\./g, ' '))];
+    const score = Math.max(...names.map(name => {
+      if (name === needle) return 3;
+      if (needleWords.every(word => name.split(' ').includes(word))) return 2;
+      const contains = (outer, inner) => inner.length >= 3 && outer.includes(inner);
+      return contains(name, needle) || contains(needle, name) ? 1 : 0;
+    }));
+
+    if (score > 0) candidates.push({ field: path, type, score });
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Serialize a value with object keys in sorted order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash the mappings of a set of indices
+ *
+ * The hash only changes when an index is added or removed or a mapping
+ * changes, so it tells whether a stored schema is still current.
+ *
+ * @param {Object} mappingsByIndex - Index name to its mappings
+ * @returns {string} - Hash such as "3kq-9f1c20ab"
+ */
+function hashMappings(mappingsByIndex) {
+  const text = stableStringify(mappingsByIndex);
+
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return `${text.length.toString(36)}-${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Compare two field catalogs
+ *
+ * @param {Object} before - Field catalog of the stored schema
+ * @param {Object} after - Field catalog of the rediscovered schema
+ * @returns {Object} - { added: [{ path, type }], removed: [{ path, type }], retyped: [{ path, before, after }] }
+ */
+function diffFieldCatalogs(before = {}, after = {}) {
+  const typesOf = entry => entry.types.join(' | ');
+  const diff = { added: [], removed: [], retyped: [] };
+
+  for (const [path, entry] of Object.entries(after)) {
+    if (!before[path]) {
+      diff.added.push({ path, type: typesOf(entry) });
+    } else if (typesOf(before[path]) !== typesOf(entry)) {
+      diff.retyped.push({ path, before: typesOf(before[path]), after: typesOf(entry) });
+    }
+  }
+  for (const [path, entry] of Object.entries(before)) {
+    if (!after[path]) {
+      diff.removed.push({ path, type: typesOf(entry) });
+    }
+  }
+
+  for (const list of Object.values(diff)) {
+    list.sort((a, b) => a.path.localeCompare(b.path));
+  }
+  return diff;
+}
+
+export {
+  getTypeFamily,
+  isRangeType,
+  getFieldCapabilities,
+  flattenMappingFields,
+  buildFieldCatalog,
+  getSchemaField,
+  hasTextConflict,
+  describeConflict,
+  findExactField,
+  hasProfiledValue,
+  findFieldsByValue,
+  findGlossaryField,
+  findFieldCandidates,
+  hashMappings,
+  diffFieldCatalogs
+};
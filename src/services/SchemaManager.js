@@ -1,50 +1,321 @@
 // src/services/SchemaManager.js
 
+import { esClusterManager } from './ESClusterManager';
+import { SchemaStore } from '../storage/SchemaStore';
+import { FieldGlossaryStore } from '../storage/FieldGlossaryStore';
+import {
+  buildFieldCatalog,
+  hasTextConflict,
+  getTypeFamily,
+  isRangeType,
+  getFieldCapabilities,
+  hashMappings,
+  diffFieldCatalogs
+} from './SchemaFields';
+import { detectECS } from './ECSVocabulary';
+
+// Documents per shard the value profiles are computed from
+const PROFILE_SAMPLE_SIZE = 1000;
+
+// Most frequent values kept per field
+const PROFILE_TOP_VALUES = 10;
+
+// Upper bound on fields profiled in one request
+const MAX_PROFILED_FIELDS = 40;
+
+// Field families whose values are profiled
+const PROFILED_FAMILIES = ['keyword', 'numeric', 'date', 'boolean', 'ip'];
+
+/**
+ * Copy of a schema without the sampled top values of its field profiles
+ * 
+ * Top values are field contents (user names, hosts, countries), which must
+ * not end up in plaintext browser storage.
+ */
+function withoutProfileValues(schema) {
+  const fieldProfiles = schema.analysis?.fieldProfiles;
+  if (!fieldProfiles) return schema;
+  
+  const stripped = {};
+  for (const [path, profile] of Object.entries(fieldProfiles)) {
+    stripped[path] = { ...profile, topValues: [] };
+  }
+  
+  return {
+    ...schema,
+    analysis: { ...schema.analysis, fieldProfiles: stripped, profileValuesOmitted: true }
+  };
+}
+
 /**
  * SchemaManager
  * 
  * Service for discovering, managing and caching Elasticsearch index schemas.
  * This provides optimized schema information for query generation.
+ * 
+ * Schemas are read from the mappings and field capabilities of every index
+ * matching a pattern. The built-in sample schemas are only used while demo
+ * mode is turned on in the cluster manager.
+ * 
+ * Discovery also profiles the values of aggregatable fields (top values,
+ * cardinality, min/max and how often a field is empty) from a sample of
+ * documents, so literal values in a question can be matched to fields.
+ * Schemas that follow the Elastic Common Schema are marked in `ecs`, which
+ * switches the tools to the ECS vocabulary (see ECSVocabulary).
+ * 
+ * Discovered schemas are persisted, so a reload serves them immediately.
+ * The sampled top values are left out of the stored copy and read again in
+ * the background.
+ * Once a schema expires it is still served while the live mappings are
+ * compared with its mapping hash in the background; when they differ the
+ * schema is rediscovered and a "schemaChange" event carries the field diff.
+ * 
+ * Every schema handed out carries the glossary users wrote for its query
+ * target: descriptions, synonyms and example values of fields.
  */
 class SchemaManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ESClusterManager} [options.clusterManager] - Cluster manager (defaults to the shared instance)
+   * @param {boolean} [options.profileFields] - Whether discovery profiles field values (default true)
+   * @param {SchemaStore} [options.schemaStore] - Persistent store for discovered schemas
+   * @param {FieldGlossaryStore} [options.glossaryStore] - Store for the user's field annotations
+   */
+  constructor({
+    clusterManager = esClusterManager,
+    profileFields = true,
+    schemaStore = new SchemaStore(),
+    glossaryStore = new FieldGlossaryStore()
+  } = {}) {
+    this.clusterManager = clusterManager;
+    this.profiling = profileFields;
+    this.schemaStore = schemaStore;
+    this.glossaryStore = glossaryStore;
     this.schemaCache = new Map();
     this.cacheExpiry = new Map(); // Track expiry time for each schema
     this.cacheTTL = 3600000; // Default 1 hour TTL for schema cache
+    this.refreshing = new Map(); // Map of cache key to pending background refresh
+    this.eventHandlers = new Map(); // Map of event name to handler set
+  }
+
+  /**
+   * Listen for a named event
+   * 
+   * Events: "schemaChange" when a background refresh finds fields that were
+   * added, removed or retyped, with { clusterId, indexPattern, diff, schema };
+   * "glossaryChange" when a field annotation is saved, with
+   * { clusterId, indexPattern, glossary }.
+   * 
+   * @param {string} eventName - The event to listen for
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} - Function that removes the handler
+   */
+  on(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set());
+    }
+    this.eventHandlers.get(eventName).add(handler);
+    
+    return () => {
+      this.eventHandlers.get(eventName)?.delete(handler);
+    };
+  }
+
+  /**
+   * Emit a named event to its handlers
+   */
+  emit(eventName, payload) {
+    for (const handler of this.eventHandlers.get(eventName) || []) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Schema manager "${eventName}" handler failed:`, error);
+      }
+    }
   }
 
   /**
    * Get schema for a specific cluster and index pattern
    * @param {string} clusterId - The ID of the ES cluster
    * @param {string} indexPattern - The index pattern (e.g. "logs-*")
-   * @returns {Promise<Object>} - The schema object with mappings and analysis
+   * @param {Object} [options] - Request options ({ signal, requestTimeout })
+   * @returns {Promise<Object>} - The schema object with mappings, analysis and the user's glossary
    */
-  async getSchema(clusterId, indexPattern) {
-    const cacheKey = `${clusterId}:${indexPattern}`;
+  async getSchema(clusterId, indexPattern, options = {}) {
+    const schema = await this.resolveSchema(clusterId, indexPattern, options);
+    return this.withGlossary(schema, clusterId, indexPattern);
+  }
+
+  /**
+   * Get a schema from the cache, the persistent store or discovery
+   */
+  async resolveSchema(clusterId, indexPattern, options = {}) {
+    const demoMode = await this.isDemoMode();
+    
+    // Sample schemas are cached apart from live ones so toggling demo mode applies at once
+    const cacheKey = demoMode ? `${clusterId}:${indexPattern}:demo` : `${clusterId}:${indexPattern}`;
     
     // Check if we have a fresh cached schema
     if (this.hasValidCache(cacheKey)) {
       return this.schemaCache.get(cacheKey);
     }
     
-    // Discover schema
-    try {
-      const schema = await this.discoverSchema(clusterId, indexPattern);
+    if (demoMode) {
+      const schema = this.getMockSchema(indexPattern);
       this.cacheSchema(cacheKey, schema);
       return schema;
-    } catch (error) {
-      console.error(`Error fetching schema for ${indexPattern} on cluster ${clusterId}:`, error);
+    }
+    
+    // Schemas discovered in earlier sessions come from the persistent store
+    if (!this.schemaCache.has(cacheKey)) {
+      const stored = await this.loadStoredSchema(cacheKey);
       
-      // If cache exists but expired, return stale cache rather than failing
-      if (this.schemaCache.has(cacheKey)) {
-        console.warn(`Returning stale schema for ${indexPattern} as fallback`);
-        return this.schemaCache.get(cacheKey);
+      // Its profiled values were not stored, so it is profiled again
+      if (stored?.analysis?.profileValuesOmitted) {
+        this.refreshInBackground(clusterId, indexPattern);
       }
       
+      if (this.hasValidCache(cacheKey)) {
+        return this.schemaCache.get(cacheKey);
+      }
+    }
+    
+    // An expired schema is served at once and checked against the live mappings
+    if (this.schemaCache.has(cacheKey)) {
+      this.refreshInBackground(clusterId, indexPattern);
+      return this.schemaCache.get(cacheKey);
+    }
+    
+    // Discover schema
+    try {
+      const schema = await this.discoverSchema(clusterId, indexPattern, options);
+      this.cacheSchema(cacheKey, schema, { clusterId, indexPattern });
+      return schema;
+    } catch (error) {
+      if (error.code !== 'aborted') {
+        console.error(`Error fetching schema for ${indexPattern} on cluster ${clusterId}:`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Check the live mappings of a schema and rediscover it if they changed
+   * 
+   * Concurrent refreshes of the same schema share one request.
+   * 
+   * @param {string} clusterId - The ID of the ES cluster
+   * @param {string} indexPattern - The index pattern
+   * @param {Object} [options] - Request options ({ signal, requestTimeout })
+   * @returns {Promise<Object>} - { changed, diff, schema }
+   */
+  refreshSchema(clusterId, indexPattern, options = {}) {
+    const cacheKey = `${clusterId}:${indexPattern}`;
+    
+    if (!this.refreshing.has(cacheKey)) {
+      const refresh = (async () => {
+        const previous = this.schemaCache.get(cacheKey) || null;
+        const client = await this.getESClient(clusterId);
+        const mappingResponse = await client.indices.getMapping({ index: indexPattern }, options);
+        
+        // Unchanged mappings keep the schema for another TTL, unless it was
+        // loaded from storage without its profiled values
+        if (previous && !previous.analysis?.profileValuesOmitted &&
+          previous.mappingHash === hashMappings(this.getMappingsByIndex(mappingResponse))) {
+          this.cacheSchema(cacheKey, previous, { clusterId, indexPattern });
+          return { changed: false, diff: null, schema: previous };
+        }
+        
+        const schema = await this.buildSchema(client, indexPattern, mappingResponse, options);
+        this.cacheSchema(cacheKey, schema, { clusterId, indexPattern });
+        
+        const diff = previous ? diffFieldCatalogs(previous.fields, schema.fields) : null;
+        const changed = Boolean(diff) && Object.values(diff).some(list => list.length > 0);
+        
+        const annotated = this.withGlossary(schema, clusterId, indexPattern);
+        if (changed) {
+          this.emit('schemaChange', { clusterId, indexPattern, diff, schema: annotated });
+        }
+        
+        return { changed, diff, schema: annotated };
+      })().finally(() => {
+        this.refreshing.delete(cacheKey);
+      });
+      
+      this.refreshing.set(cacheKey, refresh);
+    }
+    
+    return this.refreshing.get(cacheKey);
+  }
+
+  /**
+   * Refresh a schema without waiting for it; failures are only logged
+   */
+  refreshInBackground(clusterId, indexPattern) {
+    this.refreshSchema(clusterId, indexPattern).catch(error => {
+      console.warn(`Background schema refresh for ${indexPattern} failed:`, error);
+    });
+  }
+
+  /**
+   * Attach the user's field annotations to a schema
+   * 
+   * The glossary is read on every call rather than cached with the schema, so
+   * edits apply to the next question without rediscovery.
+   */
+  withGlossary(schema, clusterId, indexPattern) {
+    return { ...schema, glossary: this.glossaryStore.getGlossary(clusterId, indexPattern) };
+  }
+
+  /**
+   * Get the field annotations of a query target
+   * 
+   * @param {string} clusterId - The ID of the ES cluster
+   * @param {string} indexPattern - The index pattern
+   * @returns {Object} - Field path to { description, synonyms, examples }
+   */
+  getGlossary(clusterId, indexPattern) {
+    return this.glossaryStore.getGlossary(clusterId, indexPattern);
+  }
+
+  /**
+   * Describe a field in the glossary of a query target
+   * 
+   * @param {string} clusterId - The ID of the ES cluster
+   * @param {string} indexPattern - The index pattern
+   * @param {string} path - Dotted field path
+   * @param {Object} annotation - { description, synonyms, examples }; empty removes the entry
+   * @returns {Object} - The updated glossary
+   */
+  saveFieldAnnotation(clusterId, indexPattern, path, annotation) {
+    const glossary = this.glossaryStore.saveAnnotation(clusterId, indexPattern, path, annotation);
+    this.emit('glossaryChange', { clusterId, indexPattern, glossary });
+    return glossary;
+  }
+
+  /**
+   * Remove the field annotations of a cluster, e.g. when it is removed
+   * 
+   * @param {string} clusterId - The ID of the ES cluster
+   */
+  clearGlossary(clusterId) {
+    this.glossaryStore.clear(clusterId);
+  }
+
+  /**
+   * Load a persisted schema into the in-memory cache
+   * 
+   * It expires one TTL after it was stored, however long ago that was.
+   */
+  async loadStoredSchema(cacheKey) {
+    const record = await this.schemaStore.get(cacheKey);
+    if (!record?.schema) return null;
+    
+    this.schemaCache.set(cacheKey, record.schema);
+    this.cacheExpiry.set(cacheKey, record.storedAt + this.cacheTTL);
+    return record.schema;
+  }
+
   /**
    * Check if we have a valid (non-expired) cache for a schema
    */
@@ -57,70 +328,257 @@ class SchemaManager {
 
   /**
    * Cache a schema with the current TTL
+   * 
+   * Schemas of a cluster (rather than demo samples) are also persisted,
+   * without the sampled top values of their field profiles.
+   * 
+   * @param {string} cacheKey - Cache key
+   * @param {Object} schema - The schema
+   * @param {Object} [source] - { clusterId, indexPattern } of a discovered schema
    */
-  cacheSchema(cacheKey, schema) {
+  cacheSchema(cacheKey, schema, source = null) {
+    const storedAt = Date.now();
     this.schemaCache.set(cacheKey, schema);
-    this.cacheExpiry.set(cacheKey, Date.now() + this.cacheTTL);
+    this.cacheExpiry.set(cacheKey, storedAt + this.cacheTTL);
+    
+    if (source) {
+      this.schemaStore.put({ key: cacheKey, ...source, schema: withoutProfileValues(schema), storedAt });
+    }
+  }
+
+  /**
+   * Check whether schemas should come from the built-in samples
+   */
+  async isDemoMode() {
+    await this.clusterManager.initialize();
+    return this.clusterManager.isDemoMode();
   }
 
   /**
    * Discover schema from Elasticsearch cluster
+   * 
+   * Mappings of all indices matching the pattern are merged, so a field that
+   * only exists in some of them (e.g. added in a newer daily index) is still
+   * known. The field catalog records which indices map each field, with
+   * which types, and flags fields whose types conflict between indices.
    */
-  async discoverSchema(clusterId, indexPattern) {
-    // Get the ES client through the ESClusterManager
-    // This is a placeholder - in a real implementation, we would import and use ESClusterManager
-    // For demo purposes, we're using a fake client
+  async discoverSchema(clusterId, indexPattern, options = {}) {
     const client = await this.getESClient(clusterId);
+    const mappingResponse = await client.indices.getMapping({ index: indexPattern }, options);
+    return this.buildSchema(client, indexPattern, mappingResponse, options);
+  }
+
+  /**
+   * Group a _mapping response by index name
+   */
+  getMappingsByIndex(mappingResponse) {
+    return Object.fromEntries(
+      Object.entries(mappingResponse || {}).map(([name, response]) => [name, response.mappings])
+    );
+  }
+
+  /**
+   * Build a schema from the mappings of the matching indices
+   * 
+   * @param {ESHttpClient} client - Client of the cluster
+   * @param {string} indexPattern - The index pattern
+   * @param {Object} mappingResponse - Response of _mapping for the pattern
+   * @param {Object} [options] - Request options ({ signal, requestTimeout })
+   * @returns {Promise<Object>} - The schema
+   */
+  async buildSchema(client, indexPattern, mappingResponse, options = {}) {
+    const indices = Object.keys(mappingResponse || {}).sort();
+    if (indices.length === 0) {
+      throw new Error(`No indices found matching pattern ${indexPattern}`);
+    }
+    
+    const fieldCapsResponse = await client.field_caps({ index: indexPattern, fields: '*' }, options);
+    
+    const mappingsByIndex = this.getMappingsByIndex(mappingResponse);
+    const mappings = this.mergeMappings(Object.values(mappingsByIndex));
+    const { fields, conflicts } = buildFieldCatalog(mappingsByIndex, fieldCapsResponse);
+    
+    const analysis = this.analyzeSchema(mappings, fields);
     
-    // If no client found or we're in demo mode, use a mock schema
-    if (!client) {
-      console.warn(`No client available for cluster ${clusterId}, using mock schema`);
-      return this.getMockSchema(indexPattern);
+    // Profiles only sharpen query generation, so discovery succeeds without them
+    if (this.profiling) {
+      try {
+        Object.assign(analysis, await this.profileFields(client, indexPattern, fields, options));
+      } catch (error) {
+        if (error.code === 'aborted') throw error;
+        console.warn(`Could not profile field values of ${indexPattern}:`, error);
+      }
     }
     
-    try {
-      // Get indices matching the pattern
-      const indicesResponse = await client.indices.get({
-        index: indexPattern,
-        include_type_name: false
-      });
+    return {
+      indices,
+      mappings,
+      mappingHash: hashMappings(mappingsByIndex),
+      fields,
+      conflicts,
+      analysis,
+      ecs: detectECS(fields, analysis.fieldProfiles),
+      lastUpdated: new Date(),
+      version: client.config?.versionInfo?.number || 'unknown'
+    };
+  }
+
+  /**
+   * Profile the values of aggregatable fields
+   * 
+   * A single size-0 search samples up to PROFILE_SAMPLE_SIZE documents per
+   * shard and collects, per field, the top values, cardinality, min/max for
+   * numbers and dates, and the share of sampled documents without a value.
+   * 
+   * @param {ESHttpClient} client - Client of the cluster
+   * @param {string} indexPattern - The index pattern
+   * @param {Object} fields - Field catalog of the schema
+   * @param {Object} [options] - Request options ({ signal, requestTimeout })
+   * @returns {Promise<Object>} - { fieldProfiles, profileSample }
+   */
+  async profileFields(client, indexPattern, fields, options = {}) {
+    const candidates = Object.values(fields)
+      .filter(entry => !entry.conflict && entry.aggregatable !== false &&
+        PROFILED_FAMILIES.includes(getTypeFamily(entry.type)))
+      .slice(0, MAX_PROFILED_FIELDS);
+    
+    if (candidates.length === 0) {
+      return { fieldProfiles: {}, profileSample: null };
+    }
+    
+    // Field paths contain dots, so aggregations are named by position
+    const aggs = {};
+    candidates.forEach((entry, idx) => {
+      const family = getTypeFamily(entry.type);
       
-      // If no indices found, throw error
-      if (!indicesResponse || Object.keys(indicesResponse).length === 0) {
-        throw new Error(`No indices found matching pattern ${indexPattern}`);
-      }
+      aggs[`f${idx}_cardinality`] = { cardinality: { field: entry.path } };
+      aggs[`f${idx}_missing`] = { missing: { field: entry.path } };
       
-      // Get the first index to serve as the representative schema
-      const indexName = Object.keys(indicesResponse)[0];
-      const indexInfo = indicesResponse[indexName];
+      if (family === 'numeric' || family === 'date') {
+        aggs[`f${idx}_min`] = { min: { field: entry.path } };
+        aggs[`f${idx}_max`] = { max: { field: entry.path } };
+      }
+      if (family !== 'date') {
+        aggs[`f${idx}_terms`] = { terms: { field: entry.path, size: PROFILE_TOP_VALUES } };
+      }
+    });
+    
+    const response = await client.search({
+      index: indexPattern,
+      body: {
+        size: 0,
+        track_total_hits: true,
+        aggs: {
+          sample: {
+            sampler: { shard_size: PROFILE_SAMPLE_SIZE },
+            aggs
+          }
+        }
+      }
+    }, options);
+    
+    const sample = response?.aggregations?.sample || {};
+    const sampled = sample.doc_count || 0;
+    const totalHits = response?.hits?.total;
+    const fieldProfiles = {};
+    
+    candidates.forEach((entry, idx) => {
+      const agg = name => sample[`f${idx}_${name}`];
+      const bound = result => result ? (result.value_as_string ?? result.value ?? null) : null;
       
-      // Get mappings and other metadata
-      const schema = {
-        mappings: indexInfo.mappings,
-        settings: indexInfo.settings,
-        analysis: this.analyzeSchema(indexInfo.mappings),
-        lastUpdated: new Date(),
-        version: indexInfo.settings?.index?.version?.created || 'unknown'
+      fieldProfiles[entry.path] = {
+        type: entry.type,
+        topValues: (agg('terms')?.buckets || []).map(bucket => ({
+          value: bucket.key_as_string ?? bucket.key,
+          count: bucket.doc_count
+        })),
+        cardinality: agg('cardinality')?.value ?? null,
+        min: bound(agg('min')),
+        max: bound(agg('max')),
+        nullRatio: sampled > 0 ? (agg('missing')?.doc_count || 0) / sampled : null
       };
+    });
+    
+    return {
+      fieldProfiles,
+      profileSample: {
+        documents: sampled,
+        totalDocuments: typeof totalHits === 'object' ? totalHits?.value ?? null : totalHits ?? null,
+        profiledAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Merge the mappings of several indices into one
+   * 
+   * Fields are unioned; where indices disagree the first definition wins.
+   * The field catalog records the disagreement.
+   */
+  mergeMappings(mappingsList) {
+    const merged = { properties: {} };
+    
+    for (const mappings of mappingsList) {
+      if (mappings?.properties) {
+        this.mergeProperties(merged.properties, mappings.properties);
+      }
+      if (mappings?.runtime) {
+        merged.runtime = { ...mappings.runtime, ...merged.runtime };
+      }
+    }
+    
+    return merged;
+  }
+
+  /**
+   * Merge mapping properties into a target, recursing into objects
+   */
+  mergeProperties(target, properties) {
+    for (const [fieldName, fieldMapping] of Object.entries(properties)) {
+      const { properties: children, fields, ...definition } = fieldMapping;
+      const merged = target[fieldName] || { ...definition };
       
-      return schema;
-    } catch (error) {
-      console.error('Error discovering schema:', error);
-      throw error;
+      if (children) {
+        merged.properties = this.mergeProperties(merged.properties || {}, children);
+      }
+      if (fields) {
+        merged.fields = { ...fields, ...merged.fields };
+      }
+      
+      target[fieldName] = merged;
     }
+    
+    return target;
   }
 
   /**
    * Analyze schema to identify field types and important fields
+   * 
+   * Every mapped field, multi-field, runtime field and alias gets an entry in
+   * fieldCapabilities saying what it can be used for; the field lists are
+   * derived from those entries. When the field catalog is given, its field caps
+   * take precedence over the mappings, and fields whose types conflict between
+   * indices are listed in conflictFields and kept out of aggregatableFields.
    */
-  analyzeSchema(mappings) {
+  analyzeSchema(mappings, fields = null) {
     // Initialize analysis object
     const analysis = {
       searchableFields: [],     // Fields good for text search
       aggregatableFields: [],   // Fields good for aggregations
+      sortableFields: [],       // Fields documents can be sorted by
       dateFields: [],           // Date fields
       geoFields: [],            // Geographic fields
       nestedFields: [],         // Fields with nested objects
+      vectorFields: [],         // Dense vector fields usable for k-NN search
+      semanticFields: [],       // semantic_text fields, queried with the semantic query
+      ipFields: [],             // IP address fields
+      rangeFields: [],          // integer_range, date_range and the other range types
+      flattenedFields: [],      // Objects indexed as a single keyword field
+      runtimeFields: [],        // Fields computed at query time
+      aliasFields: [],          // { path, target } for field aliases
+      disabledFields: [],       // Objects with enabled: false, stored but not indexed
+      copyToTargets: {},        // Target field -> fields copied into it
+      fieldCapabilities: {},    // Field path -> { type, searchable, fullText, aggregatable, sortable, vector, geo }
       suggestions: []           // Schema-based query suggestions
     };
     
@@ -128,6 +586,39 @@ class SchemaManager {
     if (mappings?.properties) {
       this.analyzeFields(mappings.properties, '', analysis);
     }
+    if (mappings?.runtime) {
+      this.analyzeRuntimeFields(mappings.runtime, analysis);
+    }
+    this.resolveAliasFields(analysis);
+    
+    for (const [target, sources] of Object.entries(analysis.copyToTargets)) {
+      if (analysis.fieldCapabilities[target]) {
+        analysis.fieldCapabilities[target].copyFrom = sources;
+      }
+    }
+    
+    if (fields) {
+      for (const [path, capabilities] of Object.entries(analysis.fieldCapabilities)) {
+        const entry = fields[path];
+        if (!entry) continue;
+        
+        // Field caps know about index settings across every index
+        if (entry.searchable !== null) capabilities.searchable = entry.searchable;
+        if (entry.aggregatable !== null) {
+          capabilities.aggregatable = entry.aggregatable;
+          capabilities.sortable = capabilities.sortable && entry.aggregatable;
+        }
+        
+        // Fields mapped as text in some indices cannot be aggregated across all of them
+        if (hasTextConflict(entry)) {
+          capabilities.aggregatable = false;
+          capabilities.sortable = false;
+        }
+      }
+      analysis.conflictFields = Object.keys(fields).filter(path => fields[path].conflict);
+    }
+    
+    this.collectFieldLists(analysis);
     
     // Generate suggestions based on field analysis
     this.generateSchemaSuggestions(analysis);
@@ -141,47 +632,32 @@ class SchemaManager {
   analyzeFields(properties, prefix, analysis) {
     for (const [fieldName, fieldMapping] of Object.entries(properties)) {
       const fullPath = prefix ? `${prefix}.${fieldName}` : fieldName;
+      const type = fieldMapping.type || 'object';
       
-      // Handle field based on type
-      if (fieldMapping.type) {
-        switch (fieldMapping.type) {
-          case 'text':
-            analysis.searchableFields.push(fullPath);
-            // If field has keyword sub-field, add it to aggregatableFields
-            if (fieldMapping.fields && fieldMapping.fields.keyword) {
-              analysis.aggregatableFields.push(`${fullPath}.keyword`);
-            }
-            break;
-            
-          case 'keyword':
-            analysis.aggregatableFields.push(fullPath);
-            break;
-            
-          case 'date':
-            analysis.dateFields.push(fullPath);
-            analysis.aggregatableFields.push(fullPath);
-            break;
-            
-          case 'geo_point':
-          case 'geo_shape':
-            analysis.geoFields.push(fullPath);
-            break;
-            
-          case 'nested':
-            analysis.nestedFields.push(fullPath);
-            break;
-            
-          case 'long':
-          case 'integer':
-          case 'short':
-          case 'byte':
-          case 'double':
-          case 'float':
-          case 'half_float':
-          case 'scaled_float':
-            analysis.aggregatableFields.push(fullPath);
-            break;
-        }
+      // Disabled objects keep their JSON in _source without indexing any of it
+      if (type === 'object' && fieldMapping.enabled === false) {
+        analysis.disabledFields.push(fullPath);
+        continue;
+      }
+      
+      if (type === 'alias') {
+        analysis.aliasFields.push({ path: fullPath, target: fieldMapping.path });
+        continue;
+      }
+      
+      if (type === 'nested') {
+        analysis.nestedFields.push(fullPath);
+      } else if (type !== 'object') {
+        this.addFieldCapabilities(analysis, fullPath, type, fieldMapping);
+      }
+      
+      for (const target of [].concat(fieldMapping.copy_to || [])) {
+        (analysis.copyToTargets[target] = analysis.copyToTargets[target] || []).push(fullPath);
+      }
+      
+      // Multi-fields: message.keyword, title.english, url.wildcard, ...
+      for (const [subName, subMapping] of Object.entries(fieldMapping.fields || {})) {
+        this.addFieldCapabilities(analysis, `${fullPath}.${subName}`, subMapping.type, subMapping, { multiFieldOf: fullPath });
       }
       
       // Recurse into nested properties
@@ -191,6 +667,68 @@ class SchemaManager {
     }
   }
 
+  /**
+   * Analyze the runtime section of the mappings
+   * 
+   * Composite runtime fields emit one field per entry of their "fields".
+   */
+  analyzeRuntimeFields(runtime, analysis) {
+    for (const [path, definition] of Object.entries(runtime)) {
+      if (definition.type === 'composite') {
+        for (const [subName, subDefinition] of Object.entries(definition.fields || {})) {
+          this.addFieldCapabilities(analysis, `${path}.${subName}`, subDefinition.type, {}, { runtime: true });
+        }
+      } else {
+        this.addFieldCapabilities(analysis, path, definition.type, {}, { runtime: true });
+      }
+    }
+  }
+
+  /**
+   * Give field aliases the capabilities of the fields they point to
+   */
+  resolveAliasFields(analysis) {
+    for (const { path, target } of analysis.aliasFields) {
+      const capabilities = analysis.fieldCapabilities[target];
+      if (capabilities) {
+        analysis.fieldCapabilities[path] = { ...capabilities, aliasOf: target };
+      }
+    }
+  }
+
+  /**
+   * Record what a single field can be used for
+   */
+  addFieldCapabilities(analysis, path, type, mapping, details = {}) {
+    analysis.fieldCapabilities[path] = {
+      type,
+      ...getFieldCapabilities(type, mapping),
+      ...details
+    };
+  }
+
+  /**
+   * Fill the field lists of the analysis from the field capabilities
+   */
+  collectFieldLists(analysis) {
+    for (const [path, capabilities] of Object.entries(analysis.fieldCapabilities)) {
+      const { type } = capabilities;
+      
+      if (capabilities.fullText) analysis.searchableFields.push(path);
+      if (capabilities.aggregatable) analysis.aggregatableFields.push(path);
+      if (capabilities.sortable) analysis.sortableFields.push(path);
+      if (capabilities.geo) analysis.geoFields.push(path);
+      if (capabilities.runtime) analysis.runtimeFields.push(path);
+      
+      if (getTypeFamily(type) === 'date') analysis.dateFields.push(path);
+      if (type === 'dense_vector' || type === 'knn_vector') analysis.vectorFields.push(path);
+      if (type === 'semantic_text') analysis.semanticFields.push(path);
+      if (type === 'ip') analysis.ipFields.push(path);
+      if (type === 'flattened') analysis.flattenedFields.push(path);
+      if (isRangeType(type)) analysis.rangeFields.push(path);
+    }
+  }
+
   /**
    * Generate helpful query suggestions based on schema analysis
    */
@@ -247,6 +785,8 @@ class SchemaManager {
 
   /**
    * Clear the schema cache for a specific cluster or all clusters
+   * 
+   * @returns {Promise<void>} - Resolves once the persisted schemas are removed too
    */
   clearCache(clusterId = null) {
     if (clusterId) {
@@ -262,20 +802,25 @@ class SchemaManager {
       this.schemaCache.clear();
       this.cacheExpiry.clear();
     }
+    
+    return this.schemaStore.clear(clusterId);
   }
 
   /**
    * Get an Elasticsearch client for a given cluster
-   * This is a placeholder that would normally interact with ESClusterManager
+   * 
+   * @throws {Error} - If no cluster is selected, it is unknown or its credentials are locked
    */
   async getESClient(clusterId) {
-    // For demo purposes, we'll return null to force using mock schema
-    // In a real implementation, this would get a client from ESClusterManager
-    return null;
+    if (!clusterId) {
+      throw new Error('No cluster selected');
+    }
+    
+    return this.clusterManager.getClient(clusterId);
   }
 
   /**
-   * Get a mock schema for demo purposes when no connection is available
+   * Get a mock schema for demo mode
    */
   getMockSchema(indexPattern) {
     // Different mock schemas for different index patterns
@@ -291,8 +836,15 @@ class SchemaManager {
       mockSchema = this.getMockDefaultSchema();
     }
     
+    const indexName = mockSchema.settings.index.provided_name;
+    const { fields, conflicts } = buildFieldCatalog({ [indexName]: mockSchema.mappings });
+    
     return {
       ...mockSchema,
+      indices: [indexName],
+      fields,
+      conflicts,
+      ecs: detectECS(fields, mockSchema.analysis.fieldProfiles),
       lastUpdated: new Date(),
       version: '7.10.0'
     };
@@ -317,7 +869,12 @@ class SchemaManager {
         'http.response.status_code': { type: 'integer' },
         'http.response.body.content': { type: 'text' },
         'event.duration': { type: 'long' },
+        'event.category': { type: 'keyword' },
+        'event.type': { type: 'keyword' },
+        'event.outcome': { type: 'keyword' },
         'user.id': { type: 'keyword' },
+        'user.name': { type: 'keyword' },
+        'source.ip': { type: 'ip' },
         'error': {
           properties: {
             'message': { type: 'text' },
@@ -342,6 +899,24 @@ class SchemaManager {
     // Analyze schema to get field info
     const analysis = this.analyzeSchema(mappings);
     
+    // Values as profiling a live cluster would sample them
+    const profile = (type, counts) => ({
+      type,
+      topValues: Object.entries(counts).map(([value, count]) => ({ value, count })),
+      cardinality: Object.keys(counts).length,
+      min: null,
+      max: null,
+      nullRatio: 0
+    });
+    analysis.fieldProfiles = {
+      'log.level': profile('keyword', { info: 612, warn: 201, error: 148, debug: 39 }),
+      'service.name': profile('keyword', { api: 402, worker: 287, frontend: 193, auth: 118 }),
+      'labels.env': profile('keyword', { production: 704, staging: 221, development: 75 }),
+      'event.outcome': profile('keyword', { success: 821, failure: 179 }),
+      'http.request.method': profile('keyword', { GET: 655, POST: 241, PUT: 62, DELETE: 42 })
+    };
+    analysis.profileSample = { documents: 1000, totalDocuments: 125000, profiledAt: new Date() };
+    
     return {
       mappings,
       settings: {
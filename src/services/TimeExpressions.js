@@ -0,0 +1,404 @@
+// src/services/TimeExpressions.js
+
+/**
+ * TimeExpressions
+ *
+ * Reads the time expressions of a question into Elasticsearch date math:
+ * "last Tuesday", "between 9am and 5pm yesterday", "Q3 2024", "the week of
+ * March 3rd", "30 minutes before the deploy at 14:05" and "business hours
+ * only". Calendar days are those of the time zone the question names, or
+ * the user's own; the time zone goes into the query as time_zone so
+ * Elasticsearch rounds "now/d" and reads dates the same way.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_PATTERN = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')}|sept)\\.?`;
+
+const WEEKDAY_PATTERN = `(${WEEKDAYS.join('|')})`;
+
+// "9am", "5:30 pm", "14:05", "noon"
+const CLOCK_PATTERN = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight)';
+
+// Approximate length of a period in minutes, used to pick histogram intervals
+const SPAN_MINUTES = { day: 1440, week: 10080, month: 43200, quarter: 131040, year: 525600 };
+
+// Time zone abbreviations people write; upper case only, so "est" in a word never matches
+const TIME_ZONE_ABBREVIATIONS = {
+  UTC: 'UTC',
+  GMT: 'UTC',
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  ET: 'America/New_York',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  CT: 'America/Chicago',
+  MST: 'America/Denver',
+  MDT: 'America/Denver',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  PT: 'America/Los_Angeles',
+  BST: 'Europe/London',
+  CET: 'Europe/Paris',
+  CEST: 'Europe/Paris',
+  EET: 'Europe/Athens',
+  EEST: 'Europe/Athens',
+  IST: 'Asia/Kolkata',
+  SGT: 'Asia/Singapore',
+  JST: 'Asia/Tokyo',
+  AEST: 'Australia/Sydney',
+  AEDT: 'Australia/Sydney'
+};
+
+// Hours counted as business hours, in the time zone of the question
+const BUSINESS_HOURS = { from: 9, to: 17, weekdays: true };
+
+/**
+ * Get the time zone of the user
+ *
+ * @returns {string} - IANA time zone name, "UTC" when unknown
+ */
+function getLocalTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * Check whether a time zone name is known to the runtime
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the time zone a question names
+ *
+ * Understands offsets ("UTC+2", "+05:30"), IANA names ("Europe/Berlin") and
+ * common abbreviations ("PST", "CET").
+ *
+ * @param {string} text - The question
+ * @returns {string|null} - IANA name or "+hh:mm" offset, or null when none is named
+ */
+function resolveTimeZone(text) {
+  const offset = text.match(/\b(?:utc|gmt)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\b/i) ||
+    text.match(/(?:^|\s)([+-])(\d{2}):(\d{2})\b/);
+  if (offset) {
+    const [, sign, hours, minutes = '00'] = offset;
+    return `${sign}${hours.padStart(2, '0')}:${minutes}`;
+  }
+
+  for (const [, name] of text.matchAll(/\b([A-Z][A-Za-z]+\/[A-Z][A-Za-z_]+(?:\/[A-Z][A-Za-z_]+)?)\b/g)) {
+    if (isValidTimeZone(name)) return name;
+  }
+
+  const abbreviation = text.match(/\b(utc|gmt)\b/i) ||
+    text.match(new RegExp(`\\b(${Object.keys(TIME_ZONE_ABBREVIATIONS).join('|')})\\b`));
+  return abbreviation ? TIME_ZONE_ABBREVIATIONS[abbreviation[1].toUpperCase()] : null;
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ *
+ * @returns {Object} - { year, month (1-12), day, weekday (0 = Sunday) }
+ */
+function getZonedDate(date, timeZone) {
+  const offset = timeZone.match(/^([+-])(\d{2}):(\d{2})$/);
+  if (offset) {
+    const minutes = (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+    const shifted = new Date(date.getTime() + minutes * 60000);
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      weekday: shifted.getUTCDay()
+    };
+  }
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'long'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Format a calendar date as yyyy-MM-dd
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Append date math to a day anchor ("now-1d/d" or "2024-03-03")
+ */
+function dayMath(anchor, math = '') {
+  if (!math) return anchor;
+  return anchor.startsWith('now') ? `${anchor}${math}` : `${anchor}||${math}`;
+}
+
+/**
+ * Write minutes from midnight as date math ("+13h+35m", "-30m")
+ */
+function minuteMath(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return [hours ? `${sign}${hours}h` : '', rest ? `${sign}${rest}m` : ''].join('');
+}
+
+/**
+ * Read a clock time as minutes from midnight
+ */
+function parseClock(clock) {
+  const value = clock.toLowerCase().replace(/\s+/g, '');
+  if (value === 'noon') return 12 * 60;
+  if (value === 'midnight') return 0;
+
+  const [, hours, minutes = '0', meridiem] = value.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  let hour = Number(hours) % (meridiem ? 12 : 24);
+  if (meridiem === 'pm') hour += 12;
+  return hour * 60 + Number(minutes);
+}
+
+function parseMonth(name) {
+  const prefix = name.toLowerCase().replace('.', '').slice(0, 3);
+  return MONTHS.findIndex(month => month.startsWith(prefix)) + 1;
+}
+
+function parseWeekday(name) {
+  const prefix = name.toLowerCase().slice(0, 3);
+  return WEEKDAYS.findIndex(day => day.startsWith(prefix));
+}
+
+/**
+ * Pick the year of a date given without one: this year, or last year when that is still to come
+ */
+function pastYear(today, month, day = 1) {
+  const later = month > today.month || (month === today.month && day > today.day);
+  return later ? today.year - 1 : today.year;
+}
+
+/**
+ * Find the day a question is about
+ *
+ * @returns {Object|null} - { anchor, label } where anchor is date math for the start of the day
+ */
+function findDay(text, today) {
+  if (/\btoday\b/.test(text)) return { anchor: 'now/d', label: 'today' };
+  if (/\byesterday\b/.test(text)) return { anchor: 'now-1d/d', label: 'yesterday' };
+
+  // ISO dates after "since" and "from" are ranges of their own
+  const iso = text.match(/\bon\s+(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return { anchor: iso[1], label: iso[0] };
+
+  const named = text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`));
+  if (named) {
+    const month = parseMonth(named[1]);
+    const day = Number(named[2]);
+    const year = named[3] ? Number(named[3]) : pastYear(today, month, day);
+    return { anchor: formatDate(year, month, day), label: named[0] };
+  }
+
+  const weekday = text.match(new RegExp(`\\b(?:(last|this|on|past)\\s+)?${WEEKDAY_PATTERN}\\b`));
+  if (weekday) {
+    const target = parseWeekday(weekday[2]);
+    let daysAgo = (today.weekday - target + 7) % 7;
+    if (weekday[1] === 'last' && daysAgo === 0) daysAgo = 7;
+    return { anchor: daysAgo === 0 ? 'now/d' : `now-${daysAgo}d/d`, label: weekday[0] };
+  }
+
+  return null;
+}
+
+/**
+ * Parsers for the expressions that make a time range, most specific first
+ *
+ * Each gets the lower-cased question and today's date in the time zone and
+ * returns { range, label, span } or null.
+ */
+const RANGE_PARSERS = [
+  // "30 minutes before the deploy at 14:05"
+  (text, today) => {
+    const match = text.match(new RegExp(
+      `\\b(\\d+)\\s*(minutes?|mins?|hours?|hrs?)\\s+(before|after|around)\\s+(?:[\\w-]+\\s+){0,4}?at\\s+${CLOCK_PATTERN}`));
+    if (!match) return null;
+
+    const [, amount, unit, direction, clock] = match;
+    const minutes = Number(amount) * (unit.startsWith('h') ? 60 : 1);
+    const at = parseClock(clock);
+    const day = findDay(text.replace(match[0], ' '), today) || { anchor: 'now/d' };
+    const from = direction === 'after' ? at : at - minutes;
+    const to = direction === 'before' ? at : at + minutes;
+
+    return {
+      range: { gte: dayMath(day.anchor, minuteMath(from)), lte: dayMath(day.anchor, minuteMath(to)) },
+      label: match[0],
+      span: to - from
+    };
+  },
+
+  // "between 9am and 5pm yesterday"
+  (text, today) => {
+    const match = text.match(new RegExp(`\\b(?:between|from)\\s+${CLOCK_PATTERN}\\s+(?:and|to|until|-)\\s+${CLOCK_PATTERN}`));
+    if (!match) return null;
+
+    const from = parseClock(match[1]);
+    let to = parseClock(match[2]);
+    if (to <= from) to += 24 * 60;
+    const day = findDay(text.replace(match[0], ' '), today) || { anchor: 'now/d', label: 'today' };
+
+    return {
+      range: { gte: dayMath(day.anchor, minuteMath(from)), lt: dayMath(day.anchor, minuteMath(to)) },
+      label: `${match[0]} ${day.label || ''}`.trim(),
+      span: to - from
+    };
+  },
+
+  // "Q3 2024", "the third quarter of 2024", "last quarter"
+  (text, today) => {
+    const ordinals = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+    const named = text.match(/\bq([1-4])(?:\s+(?:of\s+)?(\d{4}))?\b/) ||
+      text.match(/\b(first|1st|second|2nd|third|3rd|fourth|4th)\s+quarter(?:\s+of)?(?:\s+(\d{4}))?\b/);
+    const relative = text.match(/\b(this|last|previous)\s+quarter\b/);
+    if (!named && !relative) return null;
+
+    const current = Math.floor((today.month - 1) / 3) + 1;
+    let quarter;
+    let year;
+    if (named) {
+      quarter = ordinals[named[1]] || Number(named[1]);
+      year = named[2] ? Number(named[2]) : pastYear(today, (quarter - 1) * 3 + 1);
+    } else {
+      quarter = relative[1] === 'this' ? current : ((current + 2) % 4) + 1;
+      year = relative[1] !== 'this' && current === 1 ? today.year - 1 : today.year;
+    }
+
+    const start = formatDate(year, (quarter - 1) * 3 + 1, 1);
+    return {
+      range: { gte: start, lt: `${start}||+3M` },
+      label: (named || relative)[0],
+      span: SPAN_MINUTES.quarter
+    };
+  },
+
+  // "the week of March 3rd"
+  (text, today) => {
+    const match = text.match(new RegExp(`\\bweek\\s+of\\s+(?:the\\s+)?(?:${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?|(\\d{4}-\\d{2}-\\d{2}))`));
+    if (!match) return null;
+
+    let date = match[4];
+    if (!date) {
+      const month = parseMonth(match[1]);
+      const day = Number(match[2]);
+      date = formatDate(match[3] ? Number(match[3]) : pastYear(today, month, day), month, day);
+    }
+
+    return {
+      range: { gte: `${date}||/w`, lt: `${date}||/w+1w` },
+      label: match[0],
+      span: SPAN_MINUTES.week
+    };
+  },
+
+  // "last week", "this month", "last year"
+  (text) => {
+    const match = text.match(/\b(last|previous|this)\s+(week|month|year)\b/);
+    if (!match) return null;
+
+    const unit = { week: 'w', month: 'M', year: 'y' }[match[2]];
+    const range = match[1] === 'this'
+      ? { gte: `now/${unit}`, lte: 'now' }
+      : { gte: `now-1${unit}/${unit}`, lt: `now/${unit}` };
+    return { range, label: match[0], span: SPAN_MINUTES[match[2]] };
+  },
+
+  // "in March 2024", "during september"
+  (text, today) => {
+    const match = text.match(new RegExp(`\\b(?:in|during|for|of)\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?(?!\\s*\\d{1,2}\\b)`)) ||
+      text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`));
+    if (!match) return null;
+
+    const month = parseMonth(match[1]);
+    const year = match[2] ? Number(match[2]) : pastYear(today, month);
+    const start = formatDate(year, month, 1);
+    return { range: { gte: start, lt: `${start}||+1M` }, label: match[0], span: SPAN_MINUTES.month };
+  },
+
+  // "since Monday", "since yesterday"
+  (text, today) => {
+    const match = text.match(/\bsince\s+(.+)$/);
+    const day = match && !/^\d{4}-\d{2}-\d{2}/.test(match[1]) ? findDay(match[1], today) : null;
+    if (!day) return null;
+
+    return { range: { gte: day.anchor, lte: 'now' }, label: `since ${day.label}`, span: SPAN_MINUTES.week };
+  },
+
+  // "last Tuesday", "on March 3rd"
+  (text, today) => {
+    const day = findDay(text.replace(/\b(today|yesterday)\b/g, ' '), today);
+    if (!day) return null;
+
+    return { range: { gte: day.anchor, lt: dayMath(day.anchor, '+1d') }, label: day.label, span: SPAN_MINUTES.day };
+  }
+];
+
+/**
+ * Parse the time expression of a question
+ *
+ * "today", "yesterday" and "last N units" are left to the simpler patterns
+ * of the intent parser.
+ *
+ * @param {string} text - The question
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Time zone of the calendar days, the user's by default
+ * @param {Date} [options.now] - Current time
+ * @returns {Object|null} - { range, label, span, hours }; range holds gte and lt/lte date math,
+ *   span is its length in minutes and hours the time of day to keep ({ from, to, weekdays, outside })
+ */
+function parseTimeExpression(text, { timeZone = getLocalTimeZone(), now = new Date() } = {}) {
+  const textLower = String(text).toLowerCase();
+  const today = getZonedDate(now, timeZone);
+  const result = {};
+
+  for (const parse of RANGE_PARSERS) {
+    const parsed = parse(textLower, today);
+    if (parsed) {
+      Object.assign(result, parsed);
+      break;
+    }
+  }
+
+  const businessHours = textLower.match(/\b(outside(?:\s+of)?\s+|after\s+)?(?:business|working|office)\s+hours\b/);
+  if (businessHours) {
+    result.hours = { ...BUSINESS_HOURS, outside: Boolean(businessHours[1]) };
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+export {
+  TIME_ZONE_ABBREVIATIONS,
+  getLocalTimeZone,
+  resolveTimeZone,
+  parseTimeExpression
+};
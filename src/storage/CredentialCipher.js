@@ -0,0 +1,139 @@
+// src/storage/CredentialCipher.js
+
+/**
+ * CredentialCipher
+ *
+ * WebCrypto helpers used by ESConfigManager to encrypt cluster secrets at rest.
+ * Keys are derived from a user passphrase with PBKDF2 (SHA-256) and used for
+ * AES-GCM. Encrypted values are stored as base64 strings so they fit in JSON.
+ */
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Get the SubtleCrypto implementation or fail with a readable error
+ */
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available; credentials cannot be encrypted in this context');
+  }
+  return subtle;
+}
+
+/**
+ * Encode bytes as base64
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ */
+function fromBase64(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Generate a random salt for key derivation
+ *
+ * @returns {string} - Base64 encoded salt
+ */
+function generateSalt() {
+  return toBase64(globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ *
+ * @param {string} passphrase - The user passphrase
+ * @param {string} salt - Base64 encoded salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  if (!passphrase) {
+    throw new Error('Passphrase is required');
+  }
+
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ *
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {*} value - The value to encrypt
+ * @param {string} [associatedData] - Context the ciphertext is bound to (e.g. the cluster ID)
+ * @returns {Promise<Object>} - { iv, data } with base64 encoded fields
+ */
+async function encryptValue(key, value, associatedData = '') {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(associatedData) },
+    key,
+    encoder.encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(ciphertext) };
+}
+
+/**
+ * Decrypt a value produced by encryptValue()
+ *
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {Object} payload - { iv, data }
+ * @param {string} [associatedData] - The context used when encrypting
+ * @returns {Promise<*>} - The decrypted value
+ * @throws {Error} - If the key is wrong or the payload was tampered with
+ */
+async function decryptValue(key, payload, associatedData = '') {
+  if (!payload || !payload.iv || !payload.data) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  let plaintext;
+  try {
+    plaintext = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv), additionalData: encoder.encode(associatedData) },
+      key,
+      fromBase64(payload.data)
+    );
+  } catch {
+    throw new Error('Unable to decrypt credentials: wrong passphrase or corrupted data');
+  }
+
+  return JSON.parse(decoder.decode(plaintext));
+}
+
+export {
+  PBKDF2_ITERATIONS,
+  generateSalt,
+  deriveKey,
+  encryptValue,
+  decryptValue
+};
@@ -6,12 +6,318 @@
  * Manages Elasticsearch cluster configurations by storing and retrieving them
  * from localStorage for demo purposes. In a production extension, this would
  * use Chrome Storage or similar persistent storage mechanism.
+ *
+ * Secrets (passwords, API keys, tokens and custom header values) are never
+ * written in plain text: they are encrypted with AES-GCM using a key derived
+ * from a user passphrase. Until the vault is unlocked, clusters are returned
+ * without their secrets and flagged with `secretsLocked`; a record whose
+ * secrets cannot be decrypted is also flagged with `secretsUnreadable`.
  */
+import {
+  PBKDF2_ITERATIONS,
+  generateSalt,
+  deriveKey,
+  encryptValue,
+  decryptValue
+} from './CredentialCipher';
+import {
+  PROFILE_BUNDLE_FORMAT,
+  PROFILE_BUNDLE_VERSION,
+  parseProfileBundle,
+  extractBundleDefaults,
+  applyBundleDefaults,
+  findPlaceholders,
+  resolvePlaceholders,
+  secretPlaceholder,
+  diffCluster
+} from './ProfileBundle';
+
+// Auth properties that hold secrets
+const SECRET_AUTH_FIELDS = ['password', 'apiKey', 'token'];
+
+// Known plaintext used to verify a passphrase before decrypting clusters
+const VAULT_CHECK_VALUE = 'es-query-helper-vault';
+
+// Key the side panel used to keep its own copy of the clusters
+const LEGACY_CLUSTER_KEY = 'es_helper_clusters';
+
 class ESConfigManager {
   constructor() {
     this.storagePrefix = 'es_query_helper_';
     this.clusterKey = `${this.storagePrefix}clusters`;
     this.activeClusterKey = `${this.storagePrefix}active_cluster`;
+    this.vaultKey = `${this.storagePrefix}vault`;
+    this.settingsKey = `${this.storagePrefix}settings`;
+    this.encryptionKey = null; // Held in memory only while unlocked
+  }
+
+  /**
+   * Check whether a credential vault (passphrase) has been set up
+   * 
+   * @returns {boolean} - True if a vault exists
+   */
+  hasVault() {
+    return Boolean(this.getVaultMetadata());
+  }
+
+  /**
+   * Check whether secrets can currently be decrypted and stored
+   * 
+   * @returns {boolean} - True if the vault is unlocked
+   */
+  isUnlocked() {
+    return this.encryptionKey !== null;
+  }
+
+  /**
+   * Unlock the credential vault, creating it on first use
+   * 
+   * Creating the vault also encrypts any secrets that were stored in plain
+   * text by earlier versions.
+   * 
+   * @param {string} passphrase - The user passphrase
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - If the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('Passphrase is required');
+    }
+    
+    const vault = this.getVaultMetadata();
+    
+    if (!vault) {
+      const salt = generateSalt();
+      const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+      
+      localStorage.setItem(this.vaultKey, JSON.stringify({
+        version: 1,
+        kdf: 'PBKDF2-SHA256',
+        iterations: PBKDF2_ITERATIONS,
+        salt,
+        check: await encryptValue(key, VAULT_CHECK_VALUE, 'vault')
+      }));
+      
+      this.encryptionKey = key;
+      await this.migratePlaintextSecrets();
+      return true;
+    }
+    
+    const key = await deriveKey(passphrase, vault.salt, vault.iterations);
+    
+    try {
+      await decryptValue(key, vault.check, 'vault');
+    } catch {
+      throw new Error('Incorrect passphrase');
+    }
+    
+    this.encryptionKey = key;
+    await this.migratePlaintextSecrets();
+    return true;
+  }
+
+  /**
+   * Forget the in-memory key so secrets can no longer be decrypted
+   */
+  lock() {
+    this.encryptionKey = null;
+  }
+
+  /**
+   * Read the vault metadata (salt, iterations, passphrase check)
+   * 
+   * @returns {Object|null} - Vault metadata or null if no vault exists
+   */
+  getVaultMetadata() {
+    try {
+      const vaultJson = localStorage.getItem(this.vaultKey);
+      return vaultJson ? JSON.parse(vaultJson) : null;
+    } catch (error) {
+      console.error('Error reading credential vault:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Re-save clusters whose secrets are still stored in plain text
+   */
+  async migratePlaintextSecrets() {
+    const records = this.readStoredClusters();
+    const sealed = [];
+    let changed = false;
+    
+    for (const record of records) {
+      if (this.hasPlaintextSecrets(record)) {
+        changed = true;
+      }
+      sealed.push(await this.sealCluster(record));
+    }
+    
+    if (changed) {
+      this.writeStoredClusters(sealed);
+    }
+  }
+
+  /**
+   * Move clusters saved under the side panel's old storage key into this store
+   * 
+   * Clusters that already exist here are kept as they are. Secrets are
+   * encrypted right away when the vault is unlocked, otherwise on the next unlock.
+   * 
+   * @returns {Promise<number>} - Number of migrated clusters
+   */
+  async migrateLegacyClusters() {
+    let legacyClusters;
+    try {
+      const legacyJson = localStorage.getItem(LEGACY_CLUSTER_KEY);
+      if (!legacyJson) {
+        return 0;
+      }
+      legacyClusters = JSON.parse(legacyJson);
+    } catch (error) {
+      console.error('Error reading legacy clusters:', error);
+      return 0;
+    }
+    
+    const records = this.readStoredClusters();
+    const knownIds = new Set(records.map(record => record.id));
+    let migrated = 0;
+    
+    for (const cluster of Array.isArray(legacyClusters) ? legacyClusters : []) {
+      if (!cluster || !cluster.id || knownIds.has(cluster.id)) continue;
+      
+      records.push(this.isUnlocked() ? await this.sealCluster(cluster) : cluster);
+      knownIds.add(cluster.id);
+      migrated++;
+    }
+    
+    this.writeStoredClusters(records);
+    localStorage.removeItem(LEGACY_CLUSTER_KEY);
+    return migrated;
+  }
+
+  /**
+   * Split a cluster configuration into its public part and its secrets
+   * 
+   * @param {Object} cluster - The cluster configuration
+   * @returns {Object} - { config, secrets } where secrets is null if there are none
+   */
+  splitSecrets(cluster) {
+    const { auth, headers, ...rest } = cluster;
+    const config = { ...rest };
+    const secrets = {};
+    
+    if (auth) {
+      const publicAuth = { ...auth };
+      const authSecrets = {};
+      
+      for (const field of SECRET_AUTH_FIELDS) {
+        if (publicAuth[field]) {
+          authSecrets[field] = publicAuth[field];
+        }
+        delete publicAuth[field];
+      }
+      
+      config.auth = publicAuth;
+      if (Object.keys(authSecrets).length > 0) {
+        secrets.auth = authSecrets;
+      }
+    }
+    
+    // Header values often carry credentials (e.g. proxy tokens), so they are secret too
+    if (headers && Object.keys(headers).length > 0) {
+      secrets.headers = headers;
+    }
+    
+    return { config, secrets: Object.keys(secrets).length > 0 ? secrets : null };
+  }
+
+  /**
+   * Check whether a stored record still contains plaintext secrets
+   */
+  hasPlaintextSecrets(cluster) {
+    return this.splitSecrets(cluster).secrets !== null;
+  }
+
+  /**
+   * Prepare a cluster for storage by encrypting its secrets
+   * 
+   * @param {Object} cluster - The cluster configuration
+   * @returns {Promise<Object>} - Record safe to persist
+   * @throws {Error} - If the cluster has secrets and the vault is locked
+   */
+  async sealCluster(cluster) {
+    const { secretsLocked, secretsUnreadable, ...rest } = cluster;
+    const { config, secrets } = this.splitSecrets(rest);
+    
+    if (!secrets) {
+      // Keep secrets that are still encrypted because the vault was locked when loading
+      return config;
+    }
+    
+    if (!this.isUnlocked()) {
+      throw new Error('Credential vault is locked. Unlock it with your passphrase to save credentials.');
+    }
+    
+    return {
+      ...config,
+      encryptedSecrets: await encryptValue(this.encryptionKey, secrets, cluster.id)
+    };
+  }
+
+  /**
+   * Restore a stored record, decrypting its secrets when the vault is unlocked
+   * 
+   * @param {Object} record - The stored record
+   * @returns {Promise<Object>} - The cluster configuration
+   */
+  async openCluster(record) {
+    if (!record.encryptedSecrets) {
+      return record;
+    }
+    
+    if (!this.isUnlocked()) {
+      return { ...record, secretsLocked: true };
+    }
+    
+    return this.decryptCluster(record, this.encryptionKey);
+  }
+
+  /**
+   * Decrypt the secrets of a record and merge them back into its configuration
+   * 
+   * @param {Object} record - Record with encryptedSecrets
+   * @param {CryptoKey} key - Key to decrypt with
+   * @returns {Promise<Object>} - The cluster configuration including secrets
+   */
+  async decryptCluster(record, key) {
+    const { encryptedSecrets, ...config } = record;
+    const secrets = await decryptValue(key, encryptedSecrets, record.id);
+    
+    return {
+      ...config,
+      auth: { ...(config.auth || {}), ...(secrets.auth || {}) },
+      ...(secrets.headers ? { headers: secrets.headers } : {})
+    };
+  }
+
+  /**
+   * Read the raw stored cluster records
+   * 
+   * @returns {Array} - Stored records
+   */
+  readStoredClusters() {
+    const clustersJson = localStorage.getItem(this.clusterKey);
+    return clustersJson ? JSON.parse(clustersJson) : [];
+  }
+
+  /**
+   * Write raw cluster records to storage
+   * 
+   * @param {Array} records - Records to store
+   */
+  writeStoredClusters(records) {
+    localStorage.setItem(this.clusterKey, JSON.stringify(records));
   }
 
   /**
@@ -26,19 +332,22 @@ class ESConfigManager {
     }
     
     try {
+      // Encrypt secrets before anything touches storage
+      const record = await this.sealCluster(cluster);
+      
       // Get existing clusters
-      const clusters = await this.getAllClusters();
+      const clusters = this.readStoredClusters();
       
       // Update or add the cluster
       const existingIndex = clusters.findIndex(c => c.id === cluster.id);
       if (existingIndex >= 0) {
-        clusters[existingIndex] = cluster;
+        clusters[existingIndex] = record;
       } else {
-        clusters.push(cluster);
+        clusters.push(record);
       }
       
       // Save to localStorage
-      localStorage.setItem(this.clusterKey, JSON.stringify(clusters));
+      this.writeStoredClusters(clusters);
       return true;
     } catch (error) {
       console.error('Error saving cluster:', error);
@@ -65,18 +374,43 @@ class ESConfigManager {
   /**
    * Get all stored cluster configurations
    * 
+   * Secrets are decrypted when the vault is unlocked; otherwise clusters with
+   * encrypted secrets are returned without them and flagged `secretsLocked`.
+   * 
    * @returns {Promise<Array>} - Array of cluster configurations
    */
   async getAllClusters() {
     try {
-      const clustersJson = localStorage.getItem(this.clusterKey);
-      return clustersJson ? JSON.parse(clustersJson) : [];
+      return await this.openClusters(this.readStoredClusters());
     } catch (error) {
       console.error('Error getting all clusters:', error);
       return [];
     }
   }
 
+  /**
+   * Restore stored records, each on its own
+   * 
+   * A record whose secrets fail to decrypt (e.g. a corrupted entry) is
+   * returned without them and flagged `secretsLocked` and `secretsUnreadable`
+   * instead of hiding every other cluster.
+   * 
+   * @param {Array} records - Stored records
+   * @returns {Promise<Array>} - Cluster configurations in the same order
+   */
+  async openClusters(records) {
+    const results = await Promise.allSettled(records.map(record => this.openCluster(record)));
+    
+    return results.map((result, idx) => {
+      if (result.status === 'fulfilled') {
+        return result.value;
+      }
+      
+      console.error(`Error decrypting cluster ${records[idx].id}:`, result.reason);
+      return { ...records[idx], secretsLocked: true, secretsUnreadable: true };
+    });
+  }
+
   /**
    * Remove a cluster configuration
    * 
@@ -85,10 +419,10 @@ class ESConfigManager {
    */
   async removeCluster(clusterId) {
     try {
-      const clusters = await this.getAllClusters();
+      const clusters = this.readStoredClusters();
       const updatedClusters = clusters.filter(cluster => cluster.id !== clusterId);
       
-      localStorage.setItem(this.clusterKey, JSON.stringify(updatedClusters));
+      this.writeStoredClusters(updatedClusters);
       
       // If this was the active cluster, clear it
       const activeCluster = await this.getActiveCluster();
@@ -149,6 +483,38 @@ class ESConfigManager {
     }
   }
 
+  /**
+   * Get general settings (e.g. the health check interval)
+   * 
+   * @returns {Promise<Object>} - Stored settings
+   */
+  async getSettings() {
+    try {
+      const settingsJson = localStorage.getItem(this.settingsKey);
+      return settingsJson ? JSON.parse(settingsJson) : {};
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Merge values into the stored settings
+   * 
+   * @param {Object} updates - Settings to change
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveSettings(updates) {
+    try {
+      const settings = await this.getSettings();
+      localStorage.setItem(this.settingsKey, JSON.stringify({ ...settings, ...updates }));
+      return true;
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clear all stored cluster configurations
    * 
@@ -166,29 +532,58 @@ class ESConfigManager {
   }
   
   /**
-   * Import cluster configurations from JSON
+   * Import a profile bundle
    * 
-   * @param {string} json - JSON string containing cluster configurations
+   * `${ENV_VAR}` placeholders in cluster definitions are replaced with values
+   * from `environment`; the import fails if any are left unresolved. Clusters
+   * without an index pattern get the bundle's default one. Encrypted secrets
+   * from a bundle exported with `includeSecrets` are re-encrypted with the
+   * local vault key; bundles from another vault need the passphrase they were
+   * exported under. Redacted clusters keep the secrets already stored for them.
+   * 
+   * @param {string} json - Profile bundle (or an unversioned cluster export)
+   * @param {Object} [options] - Import options
+   * @param {string} [options.passphrase] - Passphrase of the vault the bundle was exported from
+   * @param {Object} [options.environment] - Values for the bundle's placeholders
+   * @param {Function} [options.validateCluster] - Throws for an invalid cluster; runs before anything is saved
    * @returns {Promise<boolean>} - Success status
    */
-  async importFromJson(json) {
+  async importFromJson(json, { passphrase, environment = {}, validateCluster = null } = {}) {
     try {
-      const data = JSON.parse(json);
+      const bundle = parseProfileBundle(json);
+      const clusters = this.prepareImportedClusters(bundle, environment);
       
-      if (!data || !Array.isArray(data.clusters)) {
-        throw new Error('Invalid import format');
+      // Reject an unknown active cluster before anything is written
+      if (bundle.activeCluster && !clusters.some(cluster => cluster.id === bundle.activeCluster)) {
+        throw new Error(`Import bundle's active cluster ${bundle.activeCluster} is not one of its clusters`);
       }
       
-      // Save all clusters
-      for (const cluster of data.clusters) {
-        if (cluster && cluster.id) {
-          await this.saveCluster(cluster);
+      const bundleKey = await this.getBundleKey(bundle, passphrase);
+      const stored = new Map(this.readStoredClusters().map(record => [record.id, record]));
+      
+      const configs = [];
+      for (const cluster of clusters) {
+        const { secretsRedacted, ...config } = bundleKey && cluster.encryptedSecrets
+          ? await this.decryptCluster(cluster, bundleKey)
+          : cluster;
+        
+        // A redacted cluster keeps the secrets stored for it locally
+        if (secretsRedacted && stored.get(cluster.id)?.encryptedSecrets && !this.splitSecrets(config).secrets) {
+          config.encryptedSecrets = stored.get(cluster.id).encryptedSecrets;
         }
+        
+        validateCluster?.(config);
+        configs.push(config);
+      }
+      
+      // Save all clusters once the whole bundle is known to be valid
+      for (const config of configs) {
+        await this.saveCluster(config);
       }
       
       // Set active cluster if specified
-      if (data.activeCluster) {
-        await this.setActiveCluster(data.activeCluster);
+      if (bundle.activeCluster) {
+        await this.setActiveCluster(bundle.activeCluster);
       }
       
       return true;
@@ -199,26 +594,169 @@ class ESConfigManager {
   }
   
   /**
-   * Export cluster configurations to JSON
+   * Resolve placeholders and apply bundle defaults to the clusters of a bundle
+   * 
+   * @param {Object} bundle - Bundle from parseProfileBundle()
+   * @param {Object} environment - Values for placeholders
+   * @returns {Array} - Cluster configurations ready to save
+   */
+  prepareImportedClusters(bundle, environment) {
+    const clusters = resolvePlaceholders(bundle.clusters, environment);
+    
+    return clusters.map(cluster => applyBundleDefaults(cluster, bundle.defaults));
+  }
+  
+  /**
+   * Describe what importing a profile bundle would change, without saving anything
+   * 
+   * @param {string} json - Profile bundle
+   * @param {Object} [options] - Preview options
+   * @param {Object} [options.environment] - Values for the bundle's placeholders
+   * @returns {Promise<Object>} - { version, placeholders, missing, changes, encryptedSecrets }
+   */
+  async previewImport(json, { environment = {} } = {}) {
+    const bundle = parseProfileBundle(json);
+    const placeholders = findPlaceholders(bundle.clusters);
+    const missing = placeholders.filter(name => !environment[name]);
+    
+    // Diff against the resolved clusters once every placeholder has a value
+    const incoming = missing.length === 0
+      ? this.prepareImportedClusters(bundle, environment)
+      : bundle.clusters.map(cluster => applyBundleDefaults(cluster, bundle.defaults));
+    
+    const existing = new Map((await this.getAllClusters()).map(cluster => [cluster.id, cluster]));
+    
+    return {
+      version: bundle.version,
+      exportedAt: bundle.exportedAt || null,
+      placeholders,
+      missing,
+      encryptedSecrets: bundle.clusters.some(cluster => cluster.encryptedSecrets),
+      changes: incoming.map(cluster => diffCluster(existing.get(cluster.id) || null, cluster))
+    };
+  }
+  
+  /**
+   * Work out which key decrypts the secrets of an imported bundle
+   * 
+   * @returns {Promise<CryptoKey|null>} - Key to decrypt with, or null if the
+   *   bundle's secrets can be stored as they are
+   */
+  async getBundleKey(data, passphrase) {
+    const hasEncryptedSecrets = data.clusters.some(cluster => cluster && cluster.encryptedSecrets);
+    if (!hasEncryptedSecrets) {
+      return null;
+    }
+    
+    const localVault = this.getVaultMetadata();
+    const sameVault = data.vault && localVault && data.vault.salt === localVault.salt;
+    
+    // Same vault and no passphrase given: the ciphertext is already readable locally
+    if (sameVault && !passphrase) {
+      return null;
+    }
+    
+    if (!data.vault) {
+      throw new Error('Import bundle contains encrypted secrets but no vault parameters');
+    }
+    
+    if (!passphrase) {
+      throw new Error('The passphrase used to export this bundle is required to import its secrets');
+    }
+    
+    return deriveKey(passphrase, data.vault.salt, data.vault.iterations);
+  }
+  
+  /**
+   * Export cluster configurations as a profile bundle
+   * 
+   * Secrets are redacted unless `includeSecrets` is set, in which case they
+   * are exported encrypted together with the vault's key derivation
+   * parameters (never the key or passphrase itself). With
+   * `secretPlaceholders` they are replaced by `${ENV_VAR}` placeholders
+   * instead, for bundles shared across a team. The index pattern most
+   * clusters use is written once as `defaults.indexPattern`.
    * 
-   * @returns {Promise<string>} - JSON string containing cluster configurations
+   * @param {Object} [options] - Export options
+   * @param {boolean} [options.includeSecrets=false] - Include encrypted secrets
+   * @param {boolean} [options.secretPlaceholders=false] - Write placeholders in place of secrets
+   * @returns {Promise<string>} - JSON profile bundle
    */
-  async exportToJson() {
+  async exportToJson({ includeSecrets = false, secretPlaceholders = false } = {}) {
     try {
-      const clusters = await this.getAllClusters();
+      const records = this.readStoredClusters();
       const activeCluster = await this.getActiveCluster();
       
+      let clusters;
+      if (secretPlaceholders) {
+        clusters = (await this.openClusters(records)).map(({ secretsLocked, secretsUnreadable, ...cluster }) =>
+          this.templateSecrets(cluster, secretsLocked));
+      } else if (includeSecrets) {
+        // Seal again in case a record predates the vault
+        clusters = await Promise.all(records.map(record => this.sealCluster(record)));
+      } else {
+        clusters = records.map(record => {
+          const { encryptedSecrets, ...rest } = record;
+          const { config, secrets } = this.splitSecrets(rest);
+          return encryptedSecrets || secrets ? { ...config, secretsRedacted: true } : config;
+        });
+      }
+      
       const data = {
-        clusters,
+        format: PROFILE_BUNDLE_FORMAT,
+        version: PROFILE_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...extractBundleDefaults(clusters),
         activeCluster
       };
       
+      if (includeSecrets && !secretPlaceholders) {
+        const vault = this.getVaultMetadata();
+        if (vault) {
+          data.vault = { kdf: vault.kdf, iterations: vault.iterations, salt: vault.salt };
+        }
+      }
+      
       return JSON.stringify(data, null, 2);
     } catch (error) {
       console.error('Error exporting clusters:', error);
       throw error;
     }
   }
+  
+  /**
+   * Replace the secrets of a cluster with placeholders
+   * 
+   * The auth type says which secret a cluster needs even while the vault is
+   * locked; header names are only known once it is unlocked.
+   * 
+   * @param {Object} cluster - Cluster configuration
+   * @param {boolean} secretsLocked - Whether the secrets could not be decrypted
+   * @returns {Object} - Configuration with placeholders in place of secrets
+   */
+  templateSecrets(cluster, secretsLocked) {
+    const { encryptedSecrets, ...rest } = cluster;
+    const { config, secrets } = this.splitSecrets(rest);
+    const auth = config.auth ? { ...config.auth } : undefined;
+    
+    const authField = { basic: 'password', apiKey: 'apiKey', bearer: 'token' }[auth?.type];
+    if (authField) {
+      auth[authField] = secretPlaceholder(cluster, authField);
+    }
+    
+    const headers = secrets?.headers
+      ? Object.fromEntries(Object.keys(secrets.headers).map(name =>
+        [name, secretPlaceholder(cluster, `header ${name}`)]))
+      : undefined;
+    
+    return {
+      ...config,
+      ...(auth ? { auth } : {}),
+      ...(headers ? { headers } : {}),
+      // Custom headers of a locked cluster cannot be listed, so they are left out
+      ...(secretsLocked && encryptedSecrets ? { secretsRedacted: true } : {})
+    };
+  }
 }
 
 export { ESConfigManager };
\ No newline at end of file
@@ -0,0 +1,133 @@
+// src/storage/FieldGlossaryStore.js
+
+/**
+ * FieldGlossaryStore
+ *
+ * Keeps the field annotations users write for a query target: what a field
+ * means, the words their team uses for it and example values. Annotations are
+ * stored per cluster and index pattern, separately from the discovered
+ * schemas, so clearing or rediscovering a schema never loses them.
+ *
+ *   {
+ *     "<clusterId>:<indexPattern>": {
+ *       "company_name": {
+ *         "description": "Employer that posted the job",
+ *         "synonyms": ["employer", "company"],
+ *         "examples": ["Acme Corp"]
+ *       }
+ *     }
+ *   }
+ */
+
+const GLOSSARY_KEY = 'es_field_glossary';
+
+/**
+ * Normalize an annotation, dropping empty entries
+ *
+ * @param {Object} annotation - { description, synonyms, examples }
+ * @returns {Object|null} - The cleaned annotation, or null when nothing is left
+ */
+function normalizeAnnotation(annotation = {}) {
+  const cleanList = (values) => Array.from(new Set(
+    (Array.isArray(values) ? values : String(values || '').split(','))
+      .map(value => String(value).trim())
+      .filter(Boolean)
+  ));
+
+  const normalized = {
+    description: String(annotation.description || '').trim(),
+    synonyms: cleanList(annotation.synonyms),
+    examples: cleanList(annotation.examples)
+  };
+
+  const empty = !normalized.description && normalized.synonyms.length === 0 && normalized.examples.length === 0;
+  return empty ? null : normalized;
+}
+
+class FieldGlossaryStore {
+  constructor() {
+    this.storageKey = GLOSSARY_KEY;
+  }
+
+  /**
+   * Read every stored glossary
+   */
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (error) {
+      console.error('Error reading field glossary:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write every stored glossary
+   */
+  writeAll(glossaries) {
+    localStorage.setItem(this.storageKey, JSON.stringify(glossaries));
+  }
+
+  /**
+   * Get the annotations of one query target
+   *
+   * @param {string} clusterId - Cluster ID
+   * @param {string} indexPattern - Index pattern, alias or data stream
+   * @returns {Object} - Field path to { description, synonyms, examples }
+   */
+  getGlossary(clusterId, indexPattern) {
+    return this.readAll()[`${clusterId}:${indexPattern}`] || {};
+  }
+
+  /**
+   * Save the annotation of a field; an empty annotation removes it
+   *
+   * @param {string} clusterId - Cluster ID
+   * @param {string} indexPattern - Index pattern, alias or data stream
+   * @param {string} path - Dotted field path
+   * @param {Object} annotation - { description, synonyms, examples }
+   * @returns {Object} - The updated glossary of the query target
+   */
+  saveAnnotation(clusterId, indexPattern, path, annotation) {
+    if (!path) {
+      throw new Error('A field is required');
+    }
+
+    const key = `${clusterId}:${indexPattern}`;
+    const glossaries = this.readAll();
+    const glossary = { ...(glossaries[key] || {}) };
+    const normalized = normalizeAnnotation(annotation);
+
+    if (normalized) {
+      glossary[path] = normalized;
+    } else {
+      delete glossary[path];
+    }
+
+    if (Object.keys(glossary).length > 0) {
+      glossaries[key] = glossary;
+    } else {
+      delete glossaries[key];
+    }
+    this.writeAll(glossaries);
+
+    return glossary;
+  }
+
+  /**
+   * Remove the glossaries of a cluster
+   *
+   * @param {string} clusterId - Cluster ID
+   */
+  clear(clusterId) {
+    const glossaries = this.readAll();
+    for (const key of Object.keys(glossaries)) {
+      if (key.startsWith(`${clusterId}:`)) {
+        delete glossaries[key];
+      }
+    }
+    this.writeAll(glossaries);
+  }
+}
+
+export { FieldGlossaryStore, normalizeAnnotation };
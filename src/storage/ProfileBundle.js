@@ -0,0 +1,270 @@
+// src/storage/ProfileBundle.js
+
+/**
+ * ProfileBundle
+ *
+ * Helpers for the versioned connection profile bundle ESConfigManager imports
+ * and exports. A bundle carries cluster definitions (including each cluster's
+ * default index pattern) and may reference secrets as `${ENV_VAR}`
+ * placeholders that are filled in when the bundle is imported, so a team can
+ * share one file without sharing credentials.
+ *
+ *   {
+ *     "format": "es-query-helper-profiles",
+ *     "version": 1,
+ *     "exportedAt": "2024-05-01T12:00:00.000Z",
+ *     "defaults": { "indexPattern": "logs-*" },
+ *     "clusters": [{ "id": "...", "name": "...", "auth": { "password": "${ES_PASSWORD}" } }],
+ *     "activeCluster": "...",
+ *     "vault": { "kdf": "PBKDF2-SHA256", "iterations": 310000, "salt": "..." }
+ *   }
+ */
+
+const PROFILE_BUNDLE_FORMAT = 'es-query-helper-profiles';
+const PROFILE_BUNDLE_VERSION = 1;
+
+// ${NAME} where NAME is an environment-style variable name
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Properties that describe the stored record rather than the connection
+const DIFF_IGNORED_FIELDS = ['id', 'versionInfo', 'encryptedSecrets', 'secretsLocked', 'secretsUnreadable', 'secretsRedacted'];
+
+// Leaf paths whose values are masked in diffs
+const SECRET_PATHS = [/^auth\.(password|apiKey|token)$/, /^headers\./];
+
+/**
+ * Parse a bundle, upgrading the unversioned { clusters, activeCluster } export
+ *
+ * @param {string} json - Bundle contents
+ * @returns {Object} - Bundle with format, version, defaults and clusters
+ * @throws {Error} - If the JSON is not a bundle or was written by a newer version
+ */
+function parseProfileBundle(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('Import file is not valid JSON');
+  }
+
+  if (!data || !Array.isArray(data.clusters)) {
+    throw new Error('Invalid import format: expected a profile bundle with a "clusters" list');
+  }
+
+  if (data.format !== undefined && data.format !== PROFILE_BUNDLE_FORMAT) {
+    throw new Error(`Unsupported bundle format "${data.format}"`);
+  }
+
+  const version = data.format ? data.version : 0;
+  if (!Number.isInteger(version) || version > PROFILE_BUNDLE_VERSION) {
+    throw new Error(`Profile bundle version ${data.version} is newer than this version supports (${PROFILE_BUNDLE_VERSION})`);
+  }
+
+  return {
+    ...data,
+    format: PROFILE_BUNDLE_FORMAT,
+    version,
+    defaults: data.defaults || {},
+    clusters: data.clusters.filter(cluster => cluster && cluster.id)
+  };
+}
+
+/**
+ * Move the index pattern most clusters use into the bundle defaults
+ *
+ * Clusters with that pattern leave it out and inherit it on import; the
+ * others keep their own, with null for clusters that have none.
+ *
+ * @param {Array} clusters - Cluster configurations to export
+ * @returns {Object} - { defaults, clusters }
+ */
+function extractBundleDefaults(clusters) {
+  const counts = new Map();
+  for (const cluster of clusters) {
+    if (cluster.indexPattern) {
+      counts.set(cluster.indexPattern, (counts.get(cluster.indexPattern) || 0) + 1);
+    }
+  }
+
+  let indexPattern = null;
+  for (const [pattern, count] of counts) {
+    if (!indexPattern || count > counts.get(indexPattern)) indexPattern = pattern;
+  }
+
+  if (!indexPattern) {
+    return { defaults: {}, clusters };
+  }
+
+  return {
+    defaults: { indexPattern },
+    clusters: clusters.map(({ indexPattern: own, ...cluster }) =>
+      own === indexPattern ? cluster : { ...cluster, indexPattern: own || null })
+  };
+}
+
+/**
+ * Apply the bundle defaults to a cluster of the bundle
+ *
+ * Only a cluster without an indexPattern property inherits the default one;
+ * an explicit null keeps the cluster without a target.
+ *
+ * @param {Object} cluster - Cluster from the bundle
+ * @param {Object} defaults - Bundle defaults
+ * @returns {Object} - The cluster with its index pattern
+ */
+function applyBundleDefaults(cluster, defaults = {}) {
+  const indexPattern = cluster.indexPattern === undefined ? defaults.indexPattern : cluster.indexPattern;
+  return { ...cluster, indexPattern: indexPattern || null };
+}
+
+/**
+ * Collect the placeholder names used anywhere in a value
+ *
+ * @param {*} value - String, array or object to search
+ * @param {Set<string>} [names] - Set to add to
+ * @returns {Array<string>} - Sorted unique variable names
+ */
+function findPlaceholders(value, names = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => findPlaceholders(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findPlaceholders(item, names));
+  }
+
+  return Array.from(names).sort();
+}
+
+/**
+ * Replace placeholders with values from an environment map
+ *
+ * @param {*} value - String, array or object to resolve
+ * @param {Object} environment - Variable names to values
+ * @returns {*} - A copy with every known placeholder replaced
+ * @throws {Error} - Listing the variables the environment does not define
+ */
+function resolvePlaceholders(value, environment = {}) {
+  const missing = findPlaceholders(value).filter(name =>
+    environment[name] === undefined || environment[name] === null || environment[name] === '');
+  if (missing.length > 0) {
+    throw new Error(`Missing values for ${missing.map(name => `\${${name}}`).join(', ')}`);
+  }
+
+  const resolve = (item) => {
+    if (typeof item === 'string') {
+      return item.replace(PLACEHOLDER_PATTERN, (match, name) => String(environment[name]));
+    }
+    if (Array.isArray(item)) {
+      return item.map(resolve);
+    }
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, resolve(child)]));
+    }
+    return item;
+  };
+
+  return resolve(value);
+}
+
+/**
+ * Flatten a cluster configuration into dotted leaf paths
+ */
+function flattenConfig(value, prefix = '', result = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (!prefix && DIFF_IGNORED_FIELDS.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenConfig(child, path, result);
+    } else if (child !== undefined && child !== null && child !== '') {
+      result[path] = Array.isArray(child) ? child.join(', ') : child;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a diff path holds a secret
+ */
+function isSecretPath(path) {
+  return SECRET_PATHS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Describe how importing a cluster would change the stored one
+ *
+ * Secret values are never included; a changed secret is reported as "changed".
+ *
+ * @param {Object|null} existing - Stored configuration, or null for a new cluster
+ * @param {Object} incoming - Configuration from the bundle
+ * @returns {Object} - { id, name, action: 'add'|'update'|'unchanged', fields: [{ path, before, after, secret }] }
+ */
+function diffCluster(existing, incoming) {
+  if (!existing) {
+    return { id: incoming.id, name: incoming.name, action: 'add', fields: [] };
+  }
+
+  const before = flattenConfig(existing);
+  const after = flattenConfig(incoming);
+  const paths = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+
+  const fields = paths
+    .filter(path => before[path] !== after[path])
+    // Redacted bundles keep the stored secrets, and locked ones cannot be compared
+    .filter(path => !(isSecretPath(path) && after[path] === undefined &&
+      (incoming.secretsRedacted || existing.secretsLocked)))
+    .map(path => {
+      const secret = isSecretPath(path);
+      return {
+        path,
+        before: secret ? (before[path] === undefined ? null : 'set') : (before[path] ?? null),
+        after: secret ? (after[path] === undefined ? null : 'changed') : (after[path] ?? null),
+        secret
+      };
+    });
+
+  return {
+    id: incoming.id,
+    name: incoming.name,
+    action: fields.length > 0 ? 'update' : 'unchanged',
+    fields
+  };
+}
+
+/**
+ * Build the placeholder a secret is exported as, e.g. ${ES_PROD_LOGS_1714557600000_42_PASSWORD}
+ *
+ * Names are derived from the cluster id, which also tells apart clusters
+ * that share a display name.
+ *
+ * @param {Object} cluster - The cluster the secret belongs to
+ * @param {string} field - Secret name such as "password" or "header X-Token"
+ * @returns {string} - The placeholder
+ */
+function secretPlaceholder(cluster, field) {
+  const toName = value => String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+
+  // Variable names cannot start with a digit
+  const prefix = toName(cluster.id).replace(/^(?=\d)/, 'CLUSTER_');
+  return `\${${prefix}_${toName(field)}}`;
+}
+
+export {
+  PROFILE_BUNDLE_FORMAT,
+  PROFILE_BUNDLE_VERSION,
+  parseProfileBundle,
+  extractBundleDefaults,
+  applyBundleDefaults,
+  findPlaceholders,
+  resolvePlaceholders,
+  secretPlaceholder,
+  diffCluster
+};
@@ -0,0 +1,141 @@
+// src/storage/SchemaStore.js
+
+/**
+ * SchemaStore
+ *
+ * Persists discovered schemas in IndexedDB so they survive reloads of the
+ * side panel. Records are keyed by cluster and index pattern and carry the
+ * hash of the mappings they were built from, which SchemaManager compares
+ * against the live mappings to decide whether rediscovery is needed.
+ *
+ * Where IndexedDB is not available every read misses and writes are dropped,
+ * so schemas are simply rediscovered as before.
+ */
+
+const DB_NAME = 'es-query-helper-schemas';
+const DB_VERSION = 1;
+const STORE_NAME = 'schemas';
+
+class SchemaStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether IndexedDB can be used in this context
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   *
+   * @returns {Promise<IDBDatabase>} - The open database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            store.createIndex('clusterId', 'clusterId', { unique: false });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Allow a later call to try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the schema store inside a transaction
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get a stored schema record
+   *
+   * @param {string} key - Cache key ("<clusterId>:<indexPattern>")
+   * @returns {Promise<Object|null>} - { key, clusterId, indexPattern, schema, mappingHash, storedAt } or null
+   */
+  async get(key) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      return (await this.withStore('readonly', store => store.get(key))) || null;
+    } catch (error) {
+      console.error('Error reading stored schema:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a schema record
+   *
+   * @param {Object} record - Record with at least key and clusterId
+   * @returns {Promise<boolean>} - Whether the record was written
+   */
+  async put(record) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this.withStore('readwrite', store => store.put(record));
+      return true;
+    } catch (error) {
+      console.error('Error storing schema:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove stored schemas for one cluster or all clusters
+   *
+   * @param {string} [clusterId] - Cluster whose schemas are removed; all when omitted
+   */
+  async clear(clusterId = null) {
+    if (!this.isAvailable()) return;
+
+    try {
+      await this.withStore('readwrite', store => {
+        if (!clusterId) {
+          return store.clear();
+        }
+
+        const cursorRequest = store.index('clusterId').openCursor(IDBKeyRange.only(clusterId));
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+        return null;
+      });
+    } catch (error) {
+      console.error('Error clearing stored schemas:', error);
+    }
+  }
+}
+
+export { SchemaStore };